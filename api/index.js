@@ -10,10 +10,21 @@ import uploadRoutes from '../routes/uploadRoutes.js';
 import aiRoutes from '../routes/aiRoutes.js';
 import diseaseRoutes from '../routes/diseaseRoutes.js';
 import adminRoutes from '../routes/adminRoutes.js';
+import reportRoutes from '../routes/reportRoutes.js';
+import profileRoutes from '../routes/profileRoutes.js';
+import jobRoutes from '../routes/jobRoutes.js';
 import { apiLimiter } from '../middlewares/rateLimiter.js';
+import { startWorker } from '../services/jobWorker.js';
 
 const app = express();
 
+// Serverless functions can't run background work: on Vercel queued interpretations need `npm run worker` elsewhere.
+// As a traditional server this file processes them itself, like index.js.
+const runsWorker = !process.env.VERCEL && process.env.JOB_WORKER_MODE !== 'external';
+if (process.env.VERCEL && process.env.JOB_WORKER_MODE !== 'external') {
+	console.warn('⚠️ No job worker configured: queued interpretations stay queued until `npm run worker` runs (then set JOB_WORKER_MODE=external)');
+}
+
 // Basic middleware
 app.use(express.json({ limit: '2mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -61,7 +72,8 @@ app.use(cors({
 			callback(new Error('Not allowed by CORS'));
 		}
 	},
-	credentials: true 
+	credentials: true,
+	exposedHeaders: ['X-Quota-Kind', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After']
 }));
 
 // Rate limiter
@@ -73,6 +85,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/diseases', diseaseRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/jobs', jobRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Root endpoint
@@ -113,7 +128,10 @@ app.get('/health', async (_req, res) => {
 					gemini: providerStatus.gemini,
 					groq: providerStatus.groq,
 					huggingface: providerStatus.huggingface,
-					openai: providerStatus.openai
+					openai: providerStatus.openai,
+					local: providerStatus.local,
+					mock: providerStatus.mock,
+					circuitBreakers: providerStatus.circuitBreakers
 				}
 			}
 		});
@@ -150,11 +168,14 @@ app.get('/api/status', async (_req, res) => {
 						openai: providerStatus.openai,
 						huggingface: providerStatus.huggingface,
 						openrouter: providerStatus.openrouter,
-						anthropic: providerStatus.anthropic
+						anthropic: providerStatus.anthropic,
+						local: providerStatus.local,
+						mock: providerStatus.mock
 					},
 					availableProviders: providerStatus.available,
 					consensus: providerStatus.consensus,
-					endpoints: ['POST /api/ai/interpret'],
+					circuitBreakers: providerStatus.circuitBreakers,
+					endpoints: ['POST /api/ai/interpret', 'GET /api/ai/interpret/:jobId/events'],
 					apiKeyStatus: {
 						GEMINI_API_KEY: process.env.GEMINI_API_KEY 
 							? (process.env.GEMINI_API_KEY.startsWith('sk-or-v1-') ? 'OpenRouter key set' : 'Direct API key set')
@@ -162,9 +183,19 @@ app.get('/api/status', async (_req, res) => {
 						ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY ? 'set' : 'not set',
 						GROQ_API_KEY: process.env.GROQ_API_KEY ? 'set' : 'not set',
 						OPENAI_API_KEY: process.env.OPENAI_API_KEY ? 'set' : 'not set',
-						HUGGINGFACE_API_KEY: process.env.HUGGINGFACE_API_KEY ? 'set' : 'not set'
+						HUGGINGFACE_API_KEY: process.env.HUGGINGFACE_API_KEY ? 'set' : 'not set',
+						LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL ? 'set' : 'not set'
 					}
 				},
+				reports: {
+					status: 'available',
+					endpoints: ['GET /api/reports', 'GET /api/reports/:id', 'DELETE /api/reports/:id']
+				},
+				jobs: {
+					status: 'available',
+					worker: runsWorker ? 'in-process' : 'external',
+					endpoints: ['GET /api/jobs/:id']
+				},
 				diseases: {
 					status: 'available',
 					endpoints: [
@@ -244,6 +275,7 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL) {
 			app.listen(PORT, '0.0.0.0', () => {
 				console.log(`Server running on port ${PORT}`);
 			});
+			if (runsWorker) startWorker();
 		})
 		.catch((err) => {
 			console.error('Failed to start server', err);
@@ -0,0 +1,59 @@
+// AI pricing: USD per 1M tokens, looked up by "provider/model" and then by provider.
+// Override or extend with AI_RATES_JSON='{"groq/llama-3.3-70b-versatile":{"input":0.59,"output":0.79}}'
+// or AI_RATES_FILE=/path/to/rates.json (same shape).
+import fs from 'fs';
+
+const DEFAULT_RATES = {
+	'gemini/gemini-2.0-flash-exp': { input: 0, output: 0 }, // Experimental models are free
+	'gemini/gemini-2.0-flash': { input: 0.1, output: 0.4 },
+	'gemini/gemini-2.5-flash': { input: 0.3, output: 2.5 },
+	'gemini/gemini-2.5-pro': { input: 1.25, output: 10 },
+	gemini: { input: 0.1, output: 0.4 },
+	'openrouter/google/gemini-2.0-flash-exp': { input: 0, output: 0 },
+	'openrouter/google/gemini-2.0-flash-001': { input: 0.1, output: 0.4 },
+	'openrouter/anthropic/claude-3-haiku': { input: 0.25, output: 1.25 },
+	'openrouter/anthropic/claude-3.5-sonnet': { input: 3, output: 15 },
+	'openrouter/perplexity/llama-3.1-sonar-large-128k-online': { input: 1, output: 1 },
+	openrouter: { input: 0.5, output: 1.5 },
+	'groq/llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+	'groq/llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+	groq: { input: 0.59, output: 0.79 },
+	perplexity: { input: 1, output: 1 },
+	'openai/gpt-4o-mini': { input: 0.15, output: 0.6 },
+	'openai/gpt-4o': { input: 2.5, output: 10 },
+	openai: { input: 0.15, output: 0.6 },
+	huggingface: { input: 0, output: 0 },
+	local: { input: 0, output: 0 },
+	mock: { input: 0, output: 0 }
+};
+
+let rates = null;
+
+function loadRates() {
+	const merged = { ...DEFAULT_RATES };
+	try {
+		if (process.env.AI_RATES_FILE) {
+			Object.assign(merged, JSON.parse(fs.readFileSync(process.env.AI_RATES_FILE, 'utf8')));
+		}
+		if (process.env.AI_RATES_JSON) {
+			Object.assign(merged, JSON.parse(process.env.AI_RATES_JSON));
+		}
+	} catch (err) {
+		console.warn('⚠️  Could not load AI rate overrides, using defaults:', err.message);
+	}
+	return merged;
+}
+
+export function getRate(provider, model) {
+	if (!rates) rates = loadRates();
+	return rates[`${provider}/${model}`] || rates[provider] || null;
+}
+
+/**
+ * Cost in USD of one call; null when there is no rate for the provider
+ */
+export function priceUsage(provider, model, { promptTokens = 0, completionTokens = 0 }) {
+	const rate = getRate(provider, model);
+	if (!rate) return null;
+	return (promptTokens * rate.input + completionTokens * rate.output) / 1e6;
+}
@@ -1,8 +1,12 @@
 // Multi-Provider AI System with Automatic Fallback
-// Priority: Gemini (medical) → Groq (fast) → Hugging Face (backup)
+// Priority: Gemini (medical) → Groq (fast) → Hugging Face (backup) → local model server
 import OpenAI from 'openai';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import Groq from 'groq-sdk';
+import { callMockProvider, getMockInstances, isMockMode } from './mockAIProvider.js';
+import { acquire, getBreakerStates, nextRetryAt, recordFailure, recordSuccess } from './circuitBreaker.js';
+import { cacheKey, findCachedResponse, storeCachedResponse } from '../services/aiResponseCache.js';
+import { recordUsage } from '../services/usageTracker.js';
 
 // Provider configuration
 const PROVIDERS = {
@@ -11,9 +15,40 @@ const PROVIDERS = {
 	HUGGINGFACE: 'huggingface',
 	OPENAI: 'openai',
 	OPENROUTER: 'openrouter',
-	PERPLEXITY: 'perplexity'
+	PERPLEXITY: 'perplexity',
+	LOCAL: 'local',
+	MOCK: 'mock'
 };
 
+// Server address of the local model, logged once; it is internal, so status endpoints don't show it
+let loggedLocalLLM = '';
+
+// Local/offline model server (Ollama or any OpenAI-compatible endpoint on the local network)
+function getLocalLLMConfig() {
+	const baseUrl = process.env.LOCAL_LLM_BASE_URL;
+	if (!baseUrl || baseUrl.trim() === '') {
+		return null;
+	}
+	const config = {
+		baseUrl: baseUrl.trim().replace(/\/+$/, ''),
+		model: process.env.LOCAL_LLM_MODEL || 'llama3.1:8b',
+		// 'openai' → /v1/chat/completions (Ollama, vLLM, LM Studio, llama.cpp); 'ollama' → native /api/chat
+		api: process.env.LOCAL_LLM_API === 'ollama' ? 'ollama' : 'openai',
+		apiKey: process.env.LOCAL_LLM_API_KEY || null
+	};
+	const description = `${config.model} @ ${config.baseUrl}`;
+	if (loggedLocalLLM !== description) {
+		loggedLocalLLM = description;
+		console.log(`🏠 Local LLM configured: ${description}`);
+	}
+	return config;
+}
+
+// When set, report text never leaves the local network: hosted providers are ignored
+export function isLocalOnlyMode() {
+	return process.env.LOCAL_LLM_ONLY === 'true';
+}
+
 // Get OpenRouter clients (supports multiple keys)
 function getOpenRouterClient(modelType = 'gemini') {
 	// Primary OpenRouter key (for Gemini)
@@ -77,11 +112,48 @@ function getOpenAIClient() {
 	return new OpenAI({ apiKey });
 }
 
+const DEFAULT_TIMEOUT_MS = Number(process.env.AI_REQUEST_TIMEOUT_MS) || 1000 * 60;
+
+// Mock instances get a breaker each so fault injection on mock-1 doesn't take mock-2 down with it
+function breakerKey(provider) {
+	return provider.name === PROVIDERS.MOCK ? `${provider.name}:${provider.model}` : provider.name;
+}
+
+// Abort the provider call (and stop waiting for it) once timeoutMs has passed
+async function callWithTimeout(providerName, timeoutMs, fn) {
+	const controller = new AbortController();
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => {
+			const err = new Error(`${providerName} timed out after ${timeoutMs}ms`);
+			err.code = 'ETIMEDOUT';
+			controller.abort(err);
+			reject(err);
+		}, timeoutMs);
+	});
+	try {
+		return await Promise.race([fn(controller.signal), timeout]);
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
 // Generate response with automatic fallback
 export async function generateAIResponse(messages, systemPrompt = null, options = {}) {
-	const { preferredProviders = [], temperature = 0.2, maxTokens = 4000, model = null } = options;
+	const {
+		preferredProviders = [],
+		excludeProviders = [],
+		temperature = 0.2,
+		maxTokens = 4000,
+		model = null,
+		timeout = DEFAULT_TIMEOUT_MS,
+		cache = null, // { callSite, disease, ttlMs, store } to reuse answers to identical prompts
+		usageContext = {} // { userId, feature, disease } for usage accounting
+	} = options;
 
-	const providers = getAvailableProviders(preferredProviders);
+	// excludeProviders entries are provider names, or "name:model" to skip a single instance
+	const providers = getAvailableProviders(preferredProviders)
+		.filter((p) => !excludeProviders.includes(p.name) && !excludeProviders.includes(`${p.name}:${p.model}`));
 	
 	if (providers.length === 0) {
 		// Diagnostic: Check what API keys are set
@@ -89,33 +161,76 @@ export async function generateAIResponse(messages, systemPrompt = null, options
 			GEMINI_API_KEY: process.env.GEMINI_API_KEY ? 'set' : 'not set',
 			GROQ_API_KEY: process.env.GROQ_API_KEY ? 'set' : 'not set',
 			OPENAI_API_KEY: process.env.OPENAI_API_KEY ? 'set' : 'not set',
-			HUGGINGFACE_API_KEY: process.env.HUGGINGFACE_API_KEY ? 'set' : 'not set'
+			HUGGINGFACE_API_KEY: process.env.HUGGINGFACE_API_KEY ? 'set' : 'not set',
+			LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL ? 'set' : 'not set',
+			LOCAL_LLM_ONLY: isLocalOnlyMode() ? 'true' : 'false'
 		};
 		console.error('❌ No AI providers available. API key status:', keys);
-		throw new Error('No AI providers configured. Please set at least one API key in server/.env');
+		throw new Error(isLocalOnlyMode()
+			? 'No AI providers configured. LOCAL_LLM_ONLY is set, so LOCAL_LLM_BASE_URL must point at a local model server'
+			: 'No AI providers configured. Please set at least one API key in server/.env');
+	}
+	
+	const keyFor = (provider) => cacheKey({ provider: provider.name, model: model || provider.model, systemPrompt, messages, temperature });
+	if (cache) {
+		const hit = await findCachedResponse(providers.map(keyFor));
+		if (hit) {
+			console.log(`💾 Cache hit for ${cache.callSite} (${hit.provider}, cached ${hit.updatedAt.toISOString()})`);
+			return {
+				content: hit.content,
+				provider: hit.provider,
+				model: hit.model,
+				cache: { hit: true, callSite: cache.callSite, key: hit.key, cachedAt: hit.updatedAt, expiresAt: hit.expiresAt }
+			};
+		}
 	}
 	
 	console.log(`🔍 Available providers: ${providers.map(p => p.name).join(', ')}`);
 	let lastError = null;
 	const errors = [];
 	
+	let attempted = 0;
+	
 	// Try each provider in order
 	for (const provider of providers) {
+		const key = breakerKey(provider);
+		if (!acquire(key)) {
+			console.log(`⏸️  Skipping ${key}: circuit open`);
+			errors.push({ provider: provider.name, error: 'Circuit open, provider temporarily skipped' });
+			continue;
+		}
+		attempted++;
 		try {
 			console.log(`🤖 Trying ${provider.name}${model ? ` (${model})` : ` (${provider.model})`}...`);
-			const result = await callProvider(provider.name, messages, systemPrompt, {
+			const result = await callWithTimeout(provider.name, timeout, (signal) => callProvider(provider.name, messages, systemPrompt, {
 				temperature,
 				maxTokens,
-				model: model || provider.model
-			});
+				model: model || provider.model,
+				signal
+			}));
+			recordSuccess(key);
+			// Providers that report token counts return { content, usage }; the rest return the text
+			const { content, usage = null } = typeof result === 'string' ? { content: result } : result;
 			const actualModel = model || provider.model;
 			console.log(`✅ Successfully used ${provider.name} (${actualModel})`);
-			return {
-				content: result,
+			recordUsage({ usageContext, provider: provider.name, model: actualModel, usage, messages, systemPrompt, content });
+			const response = {
+				content,
 				provider: provider.name,
-				model: actualModel
+				model: actualModel,
+				usage
 			};
+			if (cache) {
+				const entryKey = keyFor(provider);
+				// store: false lets the caller validate the answer and save it itself
+				if (cache.store !== false) {
+					storeCachedResponse({ ...cache, key: entryKey, provider: provider.name, model: actualModel, content });
+				}
+				response.cache = { hit: false, callSite: cache.callSite, key: entryKey };
+			}
+			return response;
 		} catch (err) {
+			recordFailure(key, err);
 			lastError = err;
 			const errorMsg = err.message || err.toString();
 			const errorInfo = {
@@ -158,6 +273,12 @@ export async function generateAIResponse(messages, systemPrompt = null, options
 		}
 	}
 	
+	// Every provider is cooling down: say when to come back instead of blaming the API keys
+	if (attempted === 0) {
+		const retryAt = nextRetryAt(providers.map(breakerKey));
+		throw new Error(`All AI providers are temporarily unavailable after repeated failures${retryAt ? `; retry after ${retryAt.toISOString()}` : ''}`);
+	}
+	
 	// All providers failed - provide detailed error message
 	console.error('❌ All AI providers failed. Error summary:');
 	errors.forEach((err, idx) => {
@@ -178,6 +299,19 @@ export async function generateAIResponse(messages, systemPrompt = null, options
 // Get list of available providers in priority order
 function getAvailableProviders(preferredOrder = []) {
 	const providers = [];
+	const localConfig = getLocalLLMConfig();
+	
+	// Mock mode (tests/offline development): only the fixture-backed mock instances
+	if (isMockMode()) {
+		return getMockInstances().map((instance) => ({ name: PROVIDERS.MOCK, model: instance, client: null }));
+	}
+	
+	// Local-only deployments: nothing goes to hosted APIs
+	if (isLocalOnlyMode()) {
+		return localConfig
+			? [{ name: PROVIDERS.LOCAL, model: localConfig.model, client: null }]
+			: [];
+	}
 	
 	// 1. Gemini (best for medical content) - supports both direct API and OpenRouter
 	if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
@@ -248,6 +382,15 @@ function getAvailableProviders(preferredOrder = []) {
 		}
 	}
 	
+	// 6. Local model server (if configured)
+	if (localConfig) {
+		providers.push({
+			name: PROVIDERS.LOCAL,
+			model: localConfig.model,
+			client: null // Local server uses REST API
+		});
+	}
+	
 	if (preferredOrder.length === 0) {
 		return providers;
 	}
@@ -261,6 +404,13 @@ function getAvailableProviders(preferredOrder = []) {
 	});
 }
 
+// Token counts from an OpenAI-style `usage` block (null when the provider didn't send one)
+function openAIUsage(usage) {
+	return usage
+		? { promptTokens: usage.prompt_tokens ?? 0, completionTokens: usage.completion_tokens ?? 0 }
+		: null;
+}
+
 // Call specific provider
 async function callProvider(providerName, messages, systemPrompt, options) {
 	switch (providerName) {
@@ -276,6 +426,10 @@ async function callProvider(providerName, messages, systemPrompt, options) {
 			return await callOpenAI(messages, systemPrompt, options);
 		case PROVIDERS.PERPLEXITY:
 			return await callPerplexity(messages, systemPrompt, options);
+		case PROVIDERS.LOCAL:
+			return await callLocalLLM(messages, systemPrompt, options);
+		case PROVIDERS.MOCK:
+			return await callMockProvider(messages, systemPrompt, options);
 		default:
 			throw new Error(`Unknown provider: ${providerName}`);
 	}
@@ -337,7 +491,8 @@ async function callOpenRouter(messages, systemPrompt, options = {}) {
 				messages: messageArray,
 				temperature: Math.max(0, Math.min(2, temperature)), // Clamp between 0-2
 				max_tokens: Math.max(1, Math.min(32000, maxTokens)) // Clamp between 1-32000
-			})
+			}),
+			signal: options.signal
 		});
 		
 		if (!response.ok) {
@@ -370,7 +525,7 @@ async function callOpenRouter(messages, systemPrompt, options = {}) {
 			throw new Error('OpenRouter returned empty response');
 		}
 		
-		return content;
+		return { content, usage: openAIUsage(data.usage) };
 	} catch (err) {
 		// Try fallback models if model not found
 		if (err.message?.includes('404') || err.message?.includes('not found') || err.message?.includes('model')) {
@@ -410,14 +565,15 @@ async function callOpenRouter(messages, systemPrompt, options = {}) {
 							messages: messageArray,
 							temperature: Math.max(0, Math.min(2, temperature)), // Clamp between 0-2
 							max_tokens: Math.max(1, Math.min(32000, maxTokens)) // Clamp between 1-32000
-						})
+						}),
+						signal: options.signal
 					});
 					
 					if (response.ok) {
 						const data = await response.json();
 						const content = data.choices?.[0]?.message?.content;
 						if (content && content.trim().length > 0) {
-							return content;
+							return { content, usage: openAIUsage(data.usage) };
 						}
 					} else if (response.status === 400) {
 						// Bad request - don't try more fallbacks for this model type
@@ -433,6 +589,12 @@ async function callOpenRouter(messages, systemPrompt, options = {}) {
 	}
 }
 
+function geminiUsage(metadata) {
+	return metadata
+		? { promptTokens: metadata.promptTokenCount ?? 0, completionTokens: metadata.candidatesTokenCount ?? 0 }
+		: null;
+}
+
 // Gemini implementation (direct API)
 async function callGemini(messages, systemPrompt, options = {}) {
 	const genAI = getGeminiClient();
@@ -464,13 +626,13 @@ async function callGemini(messages, systemPrompt, options = {}) {
 		const result = await geminiModel.generateContent({
 			contents: [{ role: 'user', parts: [{ text: fullPrompt }] }],
 			generationConfig
-		});
+		}, { signal: options.signal });
 		const response = await result.response;
 		const text = response.text();
 		if (!text || text.trim().length === 0) {
 			throw new Error('Gemini returned empty response');
 		}
-		return text;
+		return { content: text, usage: geminiUsage(response.usageMetadata) };
 	} catch (err) {
 		// Try fallback models if 404
 		if (err.message?.includes('404') || err.message?.includes('not found')) {
@@ -485,11 +647,11 @@ async function callGemini(messages, systemPrompt, options = {}) {
 				if (fallbackModelName === model) continue;
 				try {
 					const fallbackModel = genAI.getGenerativeModel({ model: fallbackModelName });
-					const result = await fallbackModel.generateContent(fullPrompt);
+					const result = await fallbackModel.generateContent(fullPrompt, { signal: options.signal });
 					const response = await result.response;
 					const text = response.text();
 					if (text && text.trim().length > 0) {
-						return text;
+						return { content: text, usage: geminiUsage(response.usageMetadata) };
 					}
 				} catch {
 					continue;
@@ -532,9 +694,9 @@ async function callGroq(messages, systemPrompt, options = {}) {
 				messages: messageArray,
 				temperature: options.temperature ?? 0.2,
 				max_tokens: options.maxTokens ?? 4000
-			});
+			}, { signal: options.signal });
 			
-			return completion.choices?.[0]?.message?.content || '{}';
+			return { content: completion.choices?.[0]?.message?.content || '{}', usage: openAIUsage(completion.usage) };
 		} catch (err) {
 			lastError = err;
 			if (err.message?.includes('decommissioned') || err.message?.includes('not found') || err.message?.includes('404')) {
@@ -590,7 +752,8 @@ async function callHuggingFace(messages, systemPrompt, options = {}) {
 						temperature: options.temperature ?? 0.2,
 						return_full_text: false
 					}
-				})
+				}),
+				signal: options.signal
 			});
 			
 			if (!response.ok) {
@@ -656,7 +819,8 @@ async function callPerplexity(messages, systemPrompt, options = {}) {
 				messages: messageArray,
 				temperature: options.temperature ?? 0.2,
 				max_tokens: options.maxTokens ?? 4000
-			})
+			}),
+			signal: options.signal
 		});
 		
 		if (!response.ok) {
@@ -665,12 +829,80 @@ async function callPerplexity(messages, systemPrompt, options = {}) {
 		}
 		
 		const data = await response.json();
-		return data.choices?.[0]?.message?.content || '{}';
+		return { content: data.choices?.[0]?.message?.content || '{}', usage: openAIUsage(data.usage) };
 	} catch (err) {
 		throw new Error(`Perplexity API failed: ${err.message}`);
 	}
 }
 
+// Local model server implementation (Ollama native API or OpenAI-compatible REST API)
+async function callLocalLLM(messages, systemPrompt, options = {}) {
+	const config = getLocalLLMConfig();
+	if (!config) {
+		throw new Error('Local LLM not configured - LOCAL_LLM_BASE_URL is missing');
+	}
+	
+	const model = options.model || config.model;
+	const messageArray = [];
+	if (systemPrompt) {
+		messageArray.push({ role: 'system', content: systemPrompt });
+	}
+	messageArray.push(...messages);
+	
+	const headers = { 'Content-Type': 'application/json' };
+	if (config.apiKey) {
+		headers.Authorization = `Bearer ${config.apiKey}`;
+	}
+	
+	const url = config.api === 'ollama'
+		? `${config.baseUrl}/api/chat`
+		: `${config.baseUrl}${config.baseUrl.endsWith('/v1') ? '' : '/v1'}/chat/completions`;
+	const body = config.api === 'ollama'
+		? {
+			model,
+			messages: messageArray,
+			stream: false,
+			options: {
+				temperature: options.temperature ?? 0.2,
+				num_predict: options.maxTokens ?? 4000
+			}
+		}
+		: {
+			model,
+			messages: messageArray,
+			temperature: options.temperature ?? 0.2,
+			max_tokens: options.maxTokens ?? 4000
+		};
+	
+	let response;
+	try {
+		response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: options.signal });
+	} catch (err) {
+		if (options.signal?.aborted) throw options.signal.reason;
+		throw new Error(`Local LLM unreachable at ${config.baseUrl}: ${err.cause?.code || err.message}`);
+	}
+	
+	if (!response.ok) {
+		const errorText = await response.text();
+		if (response.status === 404) {
+			throw new Error(`Local LLM model "${model}" not found (404): ${errorText.substring(0, 200)}`);
+		}
+		throw new Error(`Local LLM API error: ${response.status} - ${errorText.substring(0, 200)}`);
+	}
+	
+	const data = await response.json();
+	const content = config.api === 'ollama'
+		? data.message?.content
+		: data.choices?.[0]?.message?.content;
+	if (!content || content.trim().length === 0) {
+		throw new Error('Local LLM returned empty response');
+	}
+	const usage = config.api === 'ollama'
+		? (data.prompt_eval_count != null ? { promptTokens: data.prompt_eval_count, completionTokens: data.eval_count ?? 0 } : null)
+		: openAIUsage(data.usage);
+	return { content, usage };
+}
+
 // OpenAI implementation
 async function callOpenAI(messages, systemPrompt, options = {}) {
 	const openai = getOpenAIClient();
@@ -691,9 +923,9 @@ async function callOpenAI(messages, systemPrompt, options = {}) {
 		messages: messageArray,
 		temperature: options.temperature ?? 0.2,
 		max_tokens: options.maxTokens ?? 4000
-	});
+	}, { signal: options.signal });
 	
-	return completion.choices?.[0]?.message?.content || '{}';
+	return { content: completion.choices?.[0]?.message?.content || '{}', usage: openAIUsage(completion.usage) };
 }
 
 // Get provider status for health check
@@ -703,6 +935,14 @@ export function getProviderStatus() {
 	const anthropicKey = process.env.ANTHROPIC_API_KEY || process.env.OPENROUTER_API_KEY;
 	const isOpenRouter = geminiKey && geminiKey.startsWith('sk-or-v1-');
 	const hasAnthropic = anthropicKey && anthropicKey.startsWith('sk-or-v1-');
+	const localConfig = getLocalLLMConfig();
+	const hostedCount = [
+		geminiKey && geminiKey !== 'your_gemini_api_key_here',
+		hasAnthropic,
+		process.env.GROQ_API_KEY,
+		process.env.OPENAI_API_KEY
+	].filter(Boolean).length;
+	const consensusCount = (isLocalOnlyMode() ? 0 : hostedCount) + (localConfig ? 1 : 0);
 	
 	return {
 		available: providers.map(p => p.name),
@@ -714,7 +954,11 @@ export function getProviderStatus() {
 		groq: process.env.GROQ_API_KEY && process.env.GROQ_API_KEY !== 'your_groq_api_key_here' ? 'configured' : 'not configured',
 		huggingface: process.env.HUGGINGFACE_API_KEY && process.env.HUGGINGFACE_API_KEY !== 'your_huggingface_api_key_here' ? 'configured' : 'not configured',
 		openai: process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here' ? 'configured' : 'not configured',
-		consensus: (isOpenRouter || hasAnthropic) && (process.env.GROQ_API_KEY || process.env.OPENAI_API_KEY) ? 'enabled' : 'partial'
+		local: localConfig ? 'configured' : 'not configured',
+		localOnly: isLocalOnlyMode(),
+		mock: isMockMode() ? `enabled (${getMockInstances().join(', ')})` : 'disabled',
+		circuitBreakers: getBreakerStates(),
+		consensus: consensusCount >= 2 || (isMockMode() && getMockInstances().length >= 2) ? 'enabled' : 'partial'
 	};
 }
 
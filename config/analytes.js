@@ -0,0 +1,123 @@
+// Lab analyte dictionary: one entry per analyte with its canonical name, the names reports use for it,
+// its LOINC code, default (conventional) unit and the panels it is ordered in.
+// Units: `unit` is the conventional unit, `si` converts it to SI (si = (conventional + offset) × factor) and
+// `altUnits` lists other units reports use, as the factor that turns them into the conventional unit.
+// Aliases are compared after normalization (lowercase, no punctuation or parentheticals, "serum"/"plasma" dropped),
+// so "Haemoglobin (Hb)", "HGB" and "Serum hemoglobin" all land on the same entry.
+// Replace or add analytes by id with ANALYTES_FILE=/path/to/analytes.json (array of analytes, same shape).
+import fs from 'fs';
+
+export const PANELS = {
+	cbc: 'Complete blood count',
+	bmp: 'Basic metabolic panel',
+	cmp: 'Comprehensive metabolic panel',
+	lipid: 'Lipid panel',
+	liver: 'Liver function tests',
+	renal: 'Kidney function tests',
+	thyroid: 'Thyroid function tests',
+	iron: 'Iron studies',
+	diabetes: 'Diabetes tests',
+	coagulation: 'Coagulation',
+	inflammation: 'Inflammatory markers',
+	vitamins: 'Vitamins',
+	cardiac: 'Cardiac markers',
+	'blood-gas': 'Blood gas and acid-base'
+};
+
+const DEFAULT_ANALYTES = [
+	// Complete blood count
+	{ id: 'hemoglobin', name: 'Hemoglobin', loinc: '718-7', unit: 'g/dL', si: { unit: 'g/L', factor: 10 }, altUnits: { 'gm/dl': 1, 'g%': 1, 'mmol/l': 1.611 }, panels: ['cbc'], aliases: ['hb', 'hgb', 'haemoglobin'] },
+	{ id: 'hematocrit', name: 'Hematocrit', loinc: '4544-3', unit: '%', si: { unit: 'L/L', factor: 0.01 }, panels: ['cbc'], aliases: ['hct', 'pcv', 'packed cell volume', 'haematocrit'] },
+	{ id: 'rbc', name: 'Red blood cell count', loinc: '789-8', unit: '10^6/uL', si: { unit: '10^12/L', factor: 1 }, altUnits: { 'million/ul': 1, 'mill/ul': 1, '10^6/ul': 1, 'x10^12/l': 1 }, panels: ['cbc'], aliases: ['rbc', 'rbc count', 'red blood cells', 'red cell count', 'erythrocytes', 'total rbc count'] },
+	{ id: 'wbc', name: 'White blood cell count', loinc: '6690-2', unit: '10^3/uL', si: { unit: '10^9/L', factor: 1 }, altUnits: { 'k/ul': 1, 'thou/ul': 1, 'x10^9/l': 1, '/ul': 0.001 }, panels: ['cbc'], aliases: ['wbc', 'wbc count', 'white blood cells', 'white cell count', 'leukocytes', 'total leucocyte count', 'total leukocyte count', 'tlc'] },
+	{ id: 'platelets', name: 'Platelet count', loinc: '777-3', unit: '10^3/uL', si: { unit: '10^9/L', factor: 1 }, altUnits: { 'k/ul': 1, 'thou/ul': 1, 'x10^9/l': 1, 'lakh/ul': 100, '/ul': 0.001 }, panels: ['cbc'], aliases: ['platelets', 'plt', 'platelet', 'thrombocytes'] },
+	{ id: 'mcv', name: 'Mean corpuscular volume', loinc: '787-2', unit: 'fL', si: { unit: 'fL', factor: 1 }, panels: ['cbc'], aliases: ['mcv'] },
+	{ id: 'mch', name: 'Mean corpuscular hemoglobin', loinc: '785-6', unit: 'pg', si: { unit: 'pg', factor: 1 }, panels: ['cbc'], aliases: ['mch'] },
+	{ id: 'mchc', name: 'Mean corpuscular hemoglobin concentration', loinc: '786-4', unit: 'g/dL', si: { unit: 'g/L', factor: 10 }, altUnits: { 'g%': 1 }, panels: ['cbc'], aliases: ['mchc'] },
+	{ id: 'rdw', name: 'Red cell distribution width', loinc: '788-0', unit: '%', si: { unit: '%', factor: 1 }, panels: ['cbc'], aliases: ['rdw', 'rdw cv'] },
+	{ id: 'neutrophils-absolute', name: 'Absolute neutrophil count', loinc: '751-8', unit: '10^3/uL', si: { unit: '10^9/L', factor: 1 }, altUnits: { 'k/ul': 1, 'x10^9/l': 1, '/ul': 0.001 }, panels: ['cbc'], aliases: ['anc', 'neutrophils absolute', 'absolute neutrophils', 'neutrophil count'] },
+	{ id: 'neutrophils-percent', name: 'Neutrophils %', loinc: '770-8', unit: '%', si: { unit: '%', factor: 1 }, panels: ['cbc'], aliases: ['neutrophils', 'neutrophil', 'polymorphs', 'neutrophils percent'] },
+	{ id: 'lymphocytes-absolute', name: 'Absolute lymphocyte count', loinc: '731-0', unit: '10^3/uL', si: { unit: '10^9/L', factor: 1 }, altUnits: { 'k/ul': 1, 'x10^9/l': 1, '/ul': 0.001 }, panels: ['cbc'], aliases: ['alc', 'lymphocytes absolute', 'absolute lymphocytes', 'lymphocyte count'] },
+	{ id: 'lymphocytes-percent', name: 'Lymphocytes %', loinc: '736-9', unit: '%', si: { unit: '%', factor: 1 }, panels: ['cbc'], aliases: ['lymphocytes', 'lymphocyte', 'lymphocytes percent'] },
+
+	// Electrolytes and kidney
+	{ id: 'sodium', name: 'Sodium', loinc: '2951-2', unit: 'mmol/L', si: { unit: 'mmol/L', factor: 1 }, altUnits: { 'meq/l': 1 }, panels: ['bmp', 'cmp'], aliases: ['na', 'na+'] },
+	{ id: 'potassium', name: 'Potassium', loinc: '2823-3', unit: 'mmol/L', si: { unit: 'mmol/L', factor: 1 }, altUnits: { 'meq/l': 1 }, panels: ['bmp', 'cmp'], aliases: ['k', 'k+'] },
+	{ id: 'chloride', name: 'Chloride', loinc: '2075-0', unit: 'mmol/L', si: { unit: 'mmol/L', factor: 1 }, altUnits: { 'meq/l': 1 }, panels: ['bmp', 'cmp'], aliases: ['cl', 'cl-'] },
+	{ id: 'bicarbonate', name: 'Bicarbonate', loinc: '2028-9', unit: 'mmol/L', si: { unit: 'mmol/L', factor: 1 }, altUnits: { 'meq/l': 1 }, panels: ['bmp', 'cmp', 'blood-gas'], aliases: ['hco3', 'total co2', 'co2', 'carbon dioxide'] },
+	{ id: 'calcium', name: 'Calcium', loinc: '17861-6', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.2495 }, altUnits: { 'meq/l': 2.004 }, panels: ['bmp', 'cmp'], aliases: ['total calcium', 'calcium total'] },
+	{ id: 'magnesium', name: 'Magnesium', loinc: '19123-9', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.4114 }, altUnits: { 'meq/l': 1.215 }, panels: [], aliases: ['mg'] },
+	{ id: 'phosphorus', name: 'Phosphorus', loinc: '2777-1', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.3229 }, panels: [], aliases: ['phosphate', 'inorganic phosphorus', 'po4'] },
+	{ id: 'bun', name: 'Blood urea nitrogen', loinc: '3094-0', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.357 }, panels: ['bmp', 'cmp', 'renal'], aliases: ['bun', 'urea nitrogen'] },
+	{ id: 'urea', name: 'Urea', loinc: '3091-6', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.1665 }, panels: ['renal'], aliases: ['blood urea'] },
+	{ id: 'creatinine', name: 'Creatinine', loinc: '2160-0', unit: 'mg/dL', si: { unit: 'umol/L', factor: 88.42 }, panels: ['bmp', 'cmp', 'renal'], aliases: ['creat', 'cr'] },
+	{ id: 'egfr', name: 'eGFR', loinc: '98979-8', unit: 'mL/min/1.73m2', si: { unit: 'mL/min/1.73m2', factor: 1 }, altUnits: { 'ml/min/1.73m^2': 1, 'ml/min/1.73sqm': 1, 'ml/min': 1 }, panels: ['renal'], aliases: ['gfr', 'estimated gfr', 'estimated glomerular filtration rate', 'egfr ckd epi'] },
+	{ id: 'uric-acid', name: 'Uric acid', loinc: '3084-1', unit: 'mg/dL', si: { unit: 'umol/L', factor: 59.48 }, panels: ['renal'], aliases: ['urate'] },
+
+	// Glucose metabolism
+	{ id: 'glucose', name: 'Glucose', loinc: '2345-7', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.05551 }, panels: ['bmp', 'cmp', 'diabetes'], aliases: ['blood glucose', 'blood sugar', 'random glucose', 'glucose random', 'random blood sugar', 'rbs', 'plasma glucose'] },
+	{ id: 'glucose-fasting', name: 'Fasting glucose', loinc: '1558-6', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.05551 }, panels: ['diabetes'], aliases: ['glucose fasting', 'fasting blood sugar', 'fasting blood glucose', 'fasting plasma glucose', 'fbs', 'fpg'] },
+	{ id: 'hba1c', name: 'Hemoglobin A1c', loinc: '4548-4', unit: '%', si: { unit: 'mmol/mol', factor: 10.929, offset: -2.15 }, panels: ['diabetes'], aliases: ['hba1c', 'a1c', 'hb a1c', 'glycated hemoglobin', 'glycosylated hemoglobin', 'glycohemoglobin'] },
+	{ id: 'insulin', name: 'Insulin', loinc: '20448-7', unit: 'uIU/mL', si: { unit: 'pmol/L', factor: 6 }, altUnits: { 'mu/l': 1, 'miu/l': 1, 'uu/ml': 1 }, panels: ['diabetes'], aliases: ['fasting insulin', 'insulin fasting'] },
+
+	// Liver
+	{ id: 'alt', name: 'Alanine aminotransferase', loinc: '1742-6', unit: 'U/L', si: { unit: 'U/L', factor: 1 }, altUnits: { 'iu/l': 1 }, panels: ['cmp', 'liver'], aliases: ['alt', 'sgpt', 'alt sgpt', 'sgpt alt'] },
+	{ id: 'ast', name: 'Aspartate aminotransferase', loinc: '1920-8', unit: 'U/L', si: { unit: 'U/L', factor: 1 }, altUnits: { 'iu/l': 1 }, panels: ['cmp', 'liver'], aliases: ['ast', 'sgot', 'ast sgot', 'sgot ast'] },
+	{ id: 'alp', name: 'Alkaline phosphatase', loinc: '6768-6', unit: 'U/L', si: { unit: 'U/L', factor: 1 }, altUnits: { 'iu/l': 1 }, panels: ['cmp', 'liver'], aliases: ['alp', 'alk phos', 'alkaline phosphatase alp'] },
+	{ id: 'ggt', name: 'Gamma-glutamyl transferase', loinc: '2324-2', unit: 'U/L', si: { unit: 'U/L', factor: 1 }, altUnits: { 'iu/l': 1 }, panels: ['liver'], aliases: ['ggt', 'gamma gt', 'ggtp', 'gamma glutamyl transpeptidase'] },
+	{ id: 'bilirubin-total', name: 'Total bilirubin', loinc: '1975-2', unit: 'mg/dL', si: { unit: 'umol/L', factor: 17.1 }, panels: ['cmp', 'liver'], aliases: ['bilirubin', 'bilirubin total', 't bil', 'tbil'] },
+	{ id: 'bilirubin-direct', name: 'Direct bilirubin', loinc: '1968-7', unit: 'mg/dL', si: { unit: 'umol/L', factor: 17.1 }, panels: ['liver'], aliases: ['bilirubin direct', 'conjugated bilirubin', 'd bil', 'dbil'] },
+	{ id: 'bilirubin-indirect', name: 'Indirect bilirubin', loinc: '1971-1', unit: 'mg/dL', si: { unit: 'umol/L', factor: 17.1 }, panels: ['liver'], aliases: ['bilirubin indirect', 'unconjugated bilirubin'] },
+	{ id: 'albumin', name: 'Albumin', loinc: '1751-7', unit: 'g/dL', si: { unit: 'g/L', factor: 10 }, panels: ['cmp', 'liver'], aliases: ['alb'] },
+	{ id: 'total-protein', name: 'Total protein', loinc: '2885-2', unit: 'g/dL', si: { unit: 'g/L', factor: 10 }, panels: ['cmp', 'liver'], aliases: ['protein total', 'protein'] },
+
+	// Lipids
+	{ id: 'cholesterol-total', name: 'Total cholesterol', loinc: '2093-3', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.02586 }, panels: ['lipid'], aliases: ['cholesterol', 'cholesterol total', 't chol'] },
+	{ id: 'hdl', name: 'HDL cholesterol', loinc: '2085-9', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.02586 }, panels: ['lipid'], aliases: ['hdl', 'hdl c', 'cholesterol hdl'] },
+	{ id: 'ldl', name: 'LDL cholesterol', loinc: '13457-7', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.02586 }, panels: ['lipid'], aliases: ['ldl', 'ldl c', 'cholesterol ldl', 'ldl calculated'] },
+	{ id: 'triglycerides', name: 'Triglycerides', loinc: '2571-8', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.01129 }, panels: ['lipid'], aliases: ['tg', 'trig', 'triglyceride'] },
+	{ id: 'non-hdl', name: 'Non-HDL cholesterol', loinc: '43396-1', unit: 'mg/dL', si: { unit: 'mmol/L', factor: 0.02586 }, panels: ['lipid'], aliases: ['non hdl', 'non hdl c', 'non hdl cholesterol'] },
+
+	// Thyroid
+	{ id: 'tsh', name: 'TSH', loinc: '3016-3', unit: 'uIU/mL', si: { unit: 'mIU/L', factor: 1 }, altUnits: { 'miu/ml': 1000, 'uiu/l': 0.001 }, panels: ['thyroid'], aliases: ['thyroid stimulating hormone', 'thyrotropin'] },
+	{ id: 'free-t4', name: 'Free T4', loinc: '3024-7', unit: 'ng/dL', si: { unit: 'pmol/L', factor: 12.87 }, panels: ['thyroid'], aliases: ['ft4', 't4 free', 'free thyroxine'] },
+	{ id: 'free-t3', name: 'Free T3', loinc: '3051-0', unit: 'pg/mL', si: { unit: 'pmol/L', factor: 1.536 }, panels: ['thyroid'], aliases: ['ft3', 't3 free', 'free triiodothyronine'] },
+	{ id: 't4', name: 'Total T4', loinc: '3026-2', unit: 'ug/dL', si: { unit: 'nmol/L', factor: 12.87 }, panels: ['thyroid'], aliases: ['t4', 't4 total', 'thyroxine'] },
+	{ id: 't3', name: 'Total T3', loinc: '3053-6', unit: 'ng/dL', si: { unit: 'nmol/L', factor: 0.01536 }, panels: ['thyroid'], aliases: ['t3', 't3 total', 'triiodothyronine'] },
+
+	// Iron and vitamins
+	{ id: 'ferritin', name: 'Ferritin', loinc: '2276-4', unit: 'ng/mL', si: { unit: 'ug/L', factor: 1 }, panels: ['iron'], aliases: [] },
+	{ id: 'iron', name: 'Iron', loinc: '2498-4', unit: 'ug/dL', si: { unit: 'umol/L', factor: 0.1791 }, panels: ['iron'], aliases: ['fe'] },
+	{ id: 'tibc', name: 'Total iron binding capacity', loinc: '2500-7', unit: 'ug/dL', si: { unit: 'umol/L', factor: 0.1791 }, panels: ['iron'], aliases: ['tibc'] },
+	{ id: 'transferrin-saturation', name: 'Transferrin saturation', loinc: '2502-3', unit: '%', si: { unit: '%', factor: 1 }, panels: ['iron'], aliases: ['tsat', 'iron saturation', 'transferrin saturation percent'] },
+	{ id: 'vitamin-b12', name: 'Vitamin B12', loinc: '2132-9', unit: 'pg/mL', si: { unit: 'pmol/L', factor: 0.7378 }, altUnits: { 'ng/l': 1 }, panels: ['vitamins'], aliases: ['b12', 'cobalamin', 'cyanocobalamin'] },
+	{ id: 'folate', name: 'Folate', loinc: '2284-8', unit: 'ng/mL', si: { unit: 'nmol/L', factor: 2.266 }, altUnits: { 'ug/l': 1 }, panels: ['vitamins'], aliases: ['folic acid'] },
+	{ id: 'vitamin-d', name: '25-hydroxyvitamin D', loinc: '62292-8', unit: 'ng/mL', si: { unit: 'nmol/L', factor: 2.496 }, altUnits: { 'ug/l': 1 }, panels: ['vitamins'], aliases: ['vitamin d', '25 oh vitamin d', '25 hydroxy vitamin d', 'vitamin d 25 hydroxy', 'vit d'] },
+
+	// Coagulation, inflammation, cardiac, other
+	{ id: 'inr', name: 'INR', loinc: '6301-6', unit: '', si: { unit: '', factor: 1 }, panels: ['coagulation'], aliases: ['pt inr', 'international normalized ratio'] },
+	{ id: 'pt', name: 'Prothrombin time', loinc: '5902-2', unit: 's', si: { unit: 's', factor: 1 }, altUnits: { 'sec': 1, 'seconds': 1 }, panels: ['coagulation'], aliases: ['pt'] },
+	{ id: 'aptt', name: 'Activated partial thromboplastin time', loinc: '3173-2', unit: 's', si: { unit: 's', factor: 1 }, altUnits: { 'sec': 1, 'seconds': 1 }, panels: ['coagulation'], aliases: ['aptt', 'ptt'] },
+	{ id: 'crp', name: 'C-reactive protein', loinc: '1988-5', unit: 'mg/L', si: { unit: 'mg/L', factor: 1 }, altUnits: { 'mg/dl': 10 }, panels: ['inflammation'], aliases: ['crp'] },
+	{ id: 'esr', name: 'Erythrocyte sedimentation rate', loinc: '30341-2', unit: 'mm/h', si: { unit: 'mm/h', factor: 1 }, altUnits: { 'mm/hr': 1, 'mm/1sthr': 1, 'mm/1st hr': 1 }, panels: ['inflammation'], aliases: ['esr', 'sed rate'] },
+	{ id: 'troponin-i', name: 'Troponin I', loinc: '10839-9', unit: 'ng/mL', si: { unit: 'ng/L', factor: 1000 }, panels: ['cardiac'], aliases: ['tni', 'ctni', 'cardiac troponin i'] },
+	{ id: 'troponin-t', name: 'Troponin T', loinc: '6598-7', unit: 'ng/mL', si: { unit: 'ng/L', factor: 1000 }, panels: ['cardiac'], aliases: ['tnt', 'ctnt', 'cardiac troponin t'] },
+	{ id: 'lactate', name: 'Lactate', loinc: '2524-7', unit: 'mmol/L', si: { unit: 'mmol/L', factor: 1 }, altUnits: { 'mg/dl': 0.111 }, panels: ['blood-gas'], aliases: ['lactic acid', 'blood lactate'] },
+	{ id: 'psa', name: 'Prostate-specific antigen', loinc: '2857-1', unit: 'ng/mL', si: { unit: 'ug/L', factor: 1 }, panels: [], aliases: ['psa', 'total psa'] }
+];
+
+let analytes = null;
+
+export function getAnalytes() {
+	if (analytes) return analytes;
+	const byId = new Map(DEFAULT_ANALYTES.map((analyte) => [analyte.id, analyte]));
+	try {
+		if (process.env.ANALYTES_FILE) {
+			JSON.parse(fs.readFileSync(process.env.ANALYTES_FILE, 'utf8')).forEach((analyte) => byId.set(analyte.id, analyte));
+		}
+	} catch (err) {
+		console.warn('⚠️  Failed to load ANALYTES_FILE, using the default analyte dictionary:', err.message);
+	}
+	analytes = [...byId.values()];
+	return analytes;
+}
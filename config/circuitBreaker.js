@@ -0,0 +1,118 @@
+// Per-provider circuit breaker
+// After AI_BREAKER_FAILURE_THRESHOLD consecutive failures a provider is skipped for a cooldown.
+// When the cooldown ends one probe request is let through (half-open): success closes the circuit,
+// failure re-opens it with a doubled cooldown (capped at AI_BREAKER_MAX_COOLDOWN_MS).
+
+const FAILURE_THRESHOLD = Number(process.env.AI_BREAKER_FAILURE_THRESHOLD) || 3;
+const COOLDOWN_MS = Number(process.env.AI_BREAKER_COOLDOWN_MS) || 1000 * 60;
+const MAX_COOLDOWN_MS = Number(process.env.AI_BREAKER_MAX_COOLDOWN_MS) || 1000 * 60 * 30;
+
+const STATES = {
+	CLOSED: 'closed',
+	OPEN: 'open',
+	HALF_OPEN: 'half-open'
+};
+
+const breakers = new Map();
+
+function getBreaker(key) {
+	if (!breakers.has(key)) {
+		breakers.set(key, {
+			state: STATES.CLOSED,
+			consecutiveFailures: 0,
+			cooldownMs: COOLDOWN_MS,
+			openedAt: null,
+			retryAt: null,
+			probeInFlight: false,
+			lastError: null,
+			lastFailureAt: null,
+			lastSuccessAt: null
+		});
+	}
+	return breakers.get(key);
+}
+
+function open(key, breaker) {
+	breaker.state = STATES.OPEN;
+	breaker.openedAt = new Date();
+	breaker.retryAt = new Date(Date.now() + breaker.cooldownMs);
+	breaker.probeInFlight = false;
+	console.warn(`🔌 Circuit open for ${key} after ${breaker.consecutiveFailures} failure(s), skipping it until ${breaker.retryAt.toISOString()}`);
+}
+
+/**
+ * Whether a request may go to this provider now. Moves an open circuit whose cooldown is over
+ * to half-open and reserves its single probe for the caller.
+ */
+export function acquire(key) {
+	const breaker = getBreaker(key);
+	if (breaker.state === STATES.CLOSED) return true;
+
+	if (breaker.state === STATES.OPEN) {
+		if (Date.now() < breaker.retryAt.getTime()) return false;
+		breaker.state = STATES.HALF_OPEN;
+		console.log(`🔌 Circuit half-open for ${key}, sending a probe request`);
+	}
+	if (breaker.probeInFlight) return false;
+	breaker.probeInFlight = true;
+	return true;
+}
+
+export function recordSuccess(key) {
+	const breaker = getBreaker(key);
+	if (breaker.state !== STATES.CLOSED) {
+		console.log(`🔌 Circuit closed for ${key}`);
+	}
+	breaker.state = STATES.CLOSED;
+	breaker.consecutiveFailures = 0;
+	breaker.cooldownMs = COOLDOWN_MS;
+	breaker.openedAt = null;
+	breaker.retryAt = null;
+	breaker.probeInFlight = false;
+	breaker.lastSuccessAt = new Date();
+}
+
+export function recordFailure(key, err) {
+	const breaker = getBreaker(key);
+	breaker.consecutiveFailures += 1;
+	breaker.lastError = (err?.message || String(err)).substring(0, 200);
+	breaker.lastFailureAt = new Date();
+
+	if (breaker.state === STATES.HALF_OPEN) {
+		breaker.cooldownMs = Math.min(breaker.cooldownMs * 2, MAX_COOLDOWN_MS);
+		open(key, breaker);
+	} else if (breaker.state === STATES.CLOSED && breaker.consecutiveFailures >= FAILURE_THRESHOLD) {
+		open(key, breaker);
+	}
+}
+
+/**
+ * Earliest time any of these providers will accept a request again (null if one is usable now)
+ */
+export function nextRetryAt(keys) {
+	const times = keys.map((key) => {
+		const breaker = getBreaker(key);
+		return breaker.state === STATES.OPEN ? breaker.retryAt.getTime() : Date.now();
+	});
+	const earliest = Math.min(...times);
+	return earliest > Date.now() ? new Date(earliest) : null;
+}
+
+/**
+ * Breaker state per provider, for /health and /api/status
+ */
+export function getBreakerStates() {
+	const states = {};
+	for (const [key, breaker] of breakers) {
+		states[key] = {
+			state: breaker.state,
+			consecutiveFailures: breaker.consecutiveFailures,
+			openedAt: breaker.openedAt,
+			retryAt: breaker.retryAt,
+			lastError: breaker.lastError,
+			lastFailureAt: breaker.lastFailureAt,
+			lastSuccessAt: breaker.lastSuccessAt
+		};
+	}
+	return states;
+}
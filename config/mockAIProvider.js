@@ -0,0 +1,135 @@
+// Deterministic mock AI provider for tests and offline development
+// Enable with MOCK_AI=true; responses come from config/mockFixtures/<prompt type>.json
+//
+// Fault injection (to exercise the fallback paths in generateAIResponse):
+//   MOCK_AI_FAULT=429                     every mock call fails with a rate limit
+//   MOCK_AI_FAULT=mock-1:429,mock-2:malformed   per mock instance
+//   MOCK_AI_FAULT_TYPES=interpret,statistics    only for these prompt types
+// Faults: 429, malformed (truncated JSON), timeout (hangs MOCK_AI_TIMEOUT_MS, then fails), empty, error
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'mockFixtures');
+
+const PROMPT_TYPES = [
+	'interpret',
+	'reference-ranges',
+	'captions',
+	'web-resources',
+	'statistics',
+	'translation',
+	'translation-stats',
+	'specialists'
+];
+
+const fixtureCache = new Map();
+
+export function isMockMode() {
+	return process.env.MOCK_AI === 'true';
+}
+
+/**
+ * Mock instances offered as separate providers, so consensus and fallback both have more than one to work with
+ */
+export function getMockInstances() {
+	const count = Math.max(1, Number(process.env.MOCK_AI_INSTANCES) || 2);
+	return Array.from({ length: count }, (_, i) => `mock-${i + 1}`);
+}
+
+/**
+ * Work out which call site a prompt came from, from the system prompt and message text
+ */
+export function detectPromptType(messages = [], systemPrompt = '') {
+	const system = systemPrompt || '';
+	const user = messages.map((m) => m.content || '').join('\n');
+
+	if (system.includes('"reference_ranges"')) return 'reference-ranges';
+	if (system.includes('"captions"')) return 'captions';
+	if (system.includes('"web_resources"')) return 'web-resources';
+	if (system.includes('medical translator')) {
+		return user.includes('Global Statistics JSON') ? 'translation-stats' : 'translation';
+	}
+	if (system.includes('"global_statistics"') || user.includes('"global_statistics"')) return 'statistics';
+	if (user.includes('"specialists"')) return 'specialists';
+	if (user.includes('probable_disease')) return 'interpret';
+	return 'default';
+}
+
+function loadFixture(type) {
+	const dir = process.env.MOCK_AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+	const file = path.join(dir, `${PROMPT_TYPES.includes(type) ? type : 'default'}.json`);
+	if (!fixtureCache.has(file)) {
+		fixtureCache.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '{}');
+	}
+	return fixtureCache.get(file);
+}
+
+// "429" or "mock-1:429,mock-2:malformed" → fault for this instance, if any
+function resolveFault(instance, type) {
+	const spec = (process.env.MOCK_AI_FAULT || '').trim();
+	if (!spec) return null;
+
+	const onlyTypes = (process.env.MOCK_AI_FAULT_TYPES || '').split(',').map((t) => t.trim()).filter(Boolean);
+	if (onlyTypes.length && !onlyTypes.includes(type)) return null;
+
+	let fault = null;
+	for (const entry of spec.split(',').map((e) => e.trim()).filter(Boolean)) {
+		const [target, value] = entry.includes(':') ? entry.split(':') : [null, entry];
+		if (target === instance) return value;
+		if (!target) fault = value;
+	}
+	return fault;
+}
+
+function sleep(ms, signal) {
+	return new Promise((resolve, reject) => {
+		const timer = setTimeout(resolve, ms);
+		signal?.addEventListener('abort', () => {
+			clearTimeout(timer);
+			reject(signal.reason || new Error('Aborted'));
+		}, { once: true });
+	});
+}
+
+/**
+ * Answer a prompt with the fixture for its type (or the configured fault)
+ */
+export async function callMockProvider(messages, systemPrompt, options = {}) {
+	const instances = getMockInstances();
+	const instance = instances.includes(options.model) ? options.model : instances[0];
+	const type = detectPromptType(messages, systemPrompt);
+	const fault = resolveFault(instance, type);
+
+	const latency = Number(process.env.MOCK_AI_LATENCY_MS) || 0;
+	if (latency) await sleep(latency, options.signal);
+
+	console.log(`🧪 Mock AI (${instance}) answering "${type}" prompt${fault ? ` with injected fault: ${fault}` : ''}`);
+
+	switch (fault) {
+		case '429': {
+			const err = new Error('Mock rate limit (429): Too Many Requests');
+			err.status = 429;
+			throw err;
+		}
+		case 'timeout': {
+			await sleep(Number(process.env.MOCK_AI_TIMEOUT_MS) || 30000, options.signal);
+			const err = new Error(`Mock provider ${instance} timed out`);
+			err.code = 'ETIMEDOUT';
+			throw err;
+		}
+		case 'empty':
+			return '';
+		case 'error':
+			throw new Error(`Mock provider ${instance} failed`);
+		case 'malformed': {
+			const content = loadFixture(type);
+			return content.slice(0, Math.max(1, Math.floor(content.length / 2)));
+		}
+		default:
+			return loadFixture(type);
+	}
+}
+
+export { PROMPT_TYPES };
@@ -0,0 +1,117 @@
+// Reference ranges by analyte, sex, age band and pregnancy, consulted before asking an AI provider for a range.
+// Keyed by the analyte ids in config/analytes.js; `low`/`high` are in the analyte's conventional unit (either may be
+// left out for a one-sided range). Each entry may narrow who it applies to:
+//   sex: 'male' | 'female', age: [from, to) in years (to = null for no upper bound),
+//   pregnant: true, trimester: 1-3 (implies pregnant).
+// The most specific entry that matches the patient wins. `source` is stored on the finding as the range's provenance.
+// Replace or add analytes with REFERENCE_RANGES_FILE=/path/to/ranges.json ({ "<analyteId>": [entries] }).
+import fs from 'fs';
+
+const WHO_HB = 'WHO 2011, Haemoglobin concentrations for the diagnosis of anaemia';
+const CDC_PREGNANCY_HB = 'CDC 1998, Recommendations to prevent and control iron deficiency';
+const PREGNANCY_LABS = 'Abbassi-Ghanavati et al. 2009, Obstet Gynecol 114:1326 (normal values in pregnancy)';
+const ATA_PREGNANCY = 'American Thyroid Association 2011, thyroid disease during pregnancy';
+const ADA = 'American Diabetes Association, Standards of Care';
+const ADULT = 'Common adult laboratory reference intervals';
+const PEDIATRIC = 'Common pediatric laboratory reference intervals';
+
+const DEFAULT_RANGES = {
+	hemoglobin: [
+		{ age: [0.5, 5], low: 11.0, high: 14.0, source: WHO_HB },
+		{ age: [5, 12], low: 11.5, high: 15.5, source: WHO_HB },
+		{ age: [12, 15], low: 12.0, high: 16.0, source: WHO_HB },
+		{ sex: 'female', age: [15, null], low: 12.0, high: 15.5, source: WHO_HB },
+		{ sex: 'male', age: [15, null], low: 13.0, high: 17.5, source: WHO_HB },
+		{ pregnant: true, low: 11.0, high: 14.0, source: WHO_HB },
+		{ trimester: 1, low: 11.0, high: 14.0, source: CDC_PREGNANCY_HB },
+		{ trimester: 2, low: 10.5, high: 14.0, source: CDC_PREGNANCY_HB },
+		{ trimester: 3, low: 11.0, high: 14.0, source: CDC_PREGNANCY_HB }
+	],
+	hematocrit: [
+		{ age: [1, 12], low: 35, high: 45, source: PEDIATRIC },
+		{ sex: 'female', age: [12, null], low: 36, high: 46, source: ADULT },
+		{ sex: 'male', age: [12, null], low: 41, high: 53, source: ADULT },
+		{ trimester: 1, low: 31, high: 41, source: PREGNANCY_LABS },
+		{ trimester: 2, low: 30, high: 39, source: PREGNANCY_LABS },
+		{ trimester: 3, low: 28, high: 40, source: PREGNANCY_LABS }
+	],
+	wbc: [
+		{ age: [1, 4], low: 6.0, high: 17.5, source: PEDIATRIC },
+		{ age: [4, 8], low: 5.5, high: 15.5, source: PEDIATRIC },
+		{ age: [8, 14], low: 4.5, high: 13.5, source: PEDIATRIC },
+		{ age: [14, null], low: 4.0, high: 11.0, source: ADULT },
+		{ trimester: 1, low: 5.7, high: 13.6, source: PREGNANCY_LABS },
+		{ trimester: 2, low: 5.6, high: 14.8, source: PREGNANCY_LABS },
+		{ trimester: 3, low: 5.9, high: 16.9, source: PREGNANCY_LABS }
+	],
+	platelets: [{ low: 150, high: 450, source: ADULT }],
+	ferritin: [
+		{ sex: 'female', age: [18, null], low: 11, high: 307, source: ADULT },
+		{ sex: 'male', age: [18, null], low: 24, high: 336, source: ADULT },
+		{ trimester: 1, low: 6, high: 130, source: PREGNANCY_LABS },
+		{ trimester: 2, low: 2, high: 230, source: PREGNANCY_LABS },
+		{ trimester: 3, low: 0, high: 116, source: PREGNANCY_LABS }
+	],
+	iron: [
+		{ sex: 'female', age: [18, null], low: 50, high: 170, source: ADULT },
+		{ sex: 'male', age: [18, null], low: 65, high: 175, source: ADULT }
+	],
+	creatinine: [
+		{ age: [1, 12], low: 0.3, high: 0.7, source: PEDIATRIC },
+		{ sex: 'female', age: [12, null], low: 0.59, high: 1.04, source: ADULT },
+		{ sex: 'male', age: [12, null], low: 0.74, high: 1.35, source: ADULT },
+		{ trimester: 1, low: 0.4, high: 0.7, source: PREGNANCY_LABS },
+		{ trimester: 2, low: 0.4, high: 0.8, source: PREGNANCY_LABS },
+		{ trimester: 3, low: 0.4, high: 0.9, source: PREGNANCY_LABS }
+	],
+	'uric-acid': [
+		{ sex: 'female', age: [18, null], low: 2.4, high: 6.0, source: ADULT },
+		{ sex: 'male', age: [18, null], low: 3.4, high: 7.0, source: ADULT }
+	],
+	alp: [
+		{ age: [1, 10], low: 100, high: 320, source: PEDIATRIC },
+		{ age: [10, 16], low: 100, high: 390, source: PEDIATRIC },
+		{ age: [16, null], low: 44, high: 147, source: ADULT },
+		{ trimester: 3, low: 38, high: 229, source: PREGNANCY_LABS }
+	],
+	hdl: [
+		{ sex: 'female', age: [18, null], low: 50, source: ADULT },
+		{ sex: 'male', age: [18, null], low: 40, source: ADULT }
+	],
+	tsh: [
+		{ age: [18, null], low: 0.4, high: 4.0, source: ADULT },
+		{ trimester: 1, low: 0.1, high: 2.5, source: ATA_PREGNANCY },
+		{ trimester: 2, low: 0.2, high: 3.0, source: ATA_PREGNANCY },
+		{ trimester: 3, low: 0.3, high: 3.0, source: ATA_PREGNANCY }
+	],
+	'free-t4': [{ age: [18, null], low: 0.8, high: 1.8, source: ADULT }],
+	esr: [
+		{ sex: 'female', age: [18, 50], high: 20, source: ADULT },
+		{ sex: 'female', age: [50, null], high: 30, source: ADULT },
+		{ sex: 'male', age: [18, 50], high: 15, source: ADULT },
+		{ sex: 'male', age: [50, null], high: 20, source: ADULT }
+	],
+	'glucose-fasting': [
+		{ age: [18, null], low: 70, high: 99, source: ADA },
+		{ pregnant: true, high: 95, source: ADA }
+	],
+	hba1c: [
+		{ age: [18, null], low: 4.0, high: 5.6, source: ADA },
+		{ pregnant: true, high: 6.0, source: ADA }
+	]
+};
+
+let ranges = null;
+
+export function getReferenceRanges() {
+	if (ranges) return ranges;
+	ranges = { ...DEFAULT_RANGES };
+	try {
+		if (process.env.REFERENCE_RANGES_FILE) {
+			Object.assign(ranges, JSON.parse(fs.readFileSync(process.env.REFERENCE_RANGES_FILE, 'utf8')));
+		}
+	} catch (err) {
+		console.warn('⚠️  Failed to load REFERENCE_RANGES_FILE, using default reference ranges:', err.message);
+	}
+	return ranges;
+}
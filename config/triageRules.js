@@ -0,0 +1,142 @@
+// Red-flag triage rules: analytes with the values that need care now, whatever the AI says.
+// A rule applies to the analyte with its id in config/analytes.js, or to each id in `analytes`.
+// Thresholds are in the analyte's dictionary unit; results are converted onto it with services/unitConversion.js,
+// and values outside `plausible` after conversion are skipped as probably being in some other unit.
+// critical → emergency, urgent → urgent. Adult values, in line with common laboratory critical-value lists.
+// Replace or add rules by id with TRIAGE_RULES_FILE=/path/to/rules.json (array of rules, same shape).
+import fs from 'fs';
+
+const DEFAULT_RULES = [
+	{
+		id: 'potassium',
+		plausible: [1, 12],
+		critical: { low: 2.5, high: 6.5 },
+		urgent: { low: 3.0, high: 6.0 },
+		guidance: {
+			high: 'Very high potassium can cause dangerous heart rhythm problems.',
+			low: 'Very low potassium can cause dangerous heart rhythm problems and muscle weakness.'
+		}
+	},
+	{
+		id: 'sodium',
+		plausible: [90, 200],
+		critical: { low: 120, high: 160 },
+		urgent: { low: 125, high: 155 },
+		guidance: {
+			high: 'Very high sodium can cause confusion, seizures and dehydration.',
+			low: 'Very low sodium can cause confusion, seizures and brain swelling.'
+		}
+	},
+	{
+		id: 'glucose',
+		analytes: ['glucose', 'glucose-fasting'],
+		plausible: [5, 2000],
+		critical: { low: 40, high: 500 },
+		urgent: { low: 54, high: 400 },
+		guidance: {
+			high: 'Very high blood sugar can lead to diabetic ketoacidosis or a hyperosmolar state.',
+			low: 'Very low blood sugar can cause fainting, seizures and loss of consciousness.'
+		}
+	},
+	{
+		id: 'hemoglobin',
+		plausible: [1, 25],
+		critical: { low: 7, high: 20 },
+		urgent: { low: 8 },
+		guidance: {
+			high: 'Very high hemoglobin thickens the blood and raises the risk of clots and stroke.',
+			low: 'Very low hemoglobin means the body may not be getting enough oxygen; a transfusion may be needed.'
+		}
+	},
+	{
+		id: 'platelets',
+		plausible: [1, 3000],
+		critical: { low: 20, high: 1000 },
+		urgent: { low: 50 },
+		guidance: {
+			high: 'A very high platelet count raises the risk of clots and, paradoxically, bleeding.',
+			low: 'A very low platelet count carries a risk of serious bleeding.'
+		}
+	},
+	{
+		id: 'wbc',
+		plausible: [0.1, 500],
+		critical: { low: 1, high: 50 },
+		urgent: { low: 2, high: 30 },
+		guidance: {
+			high: 'A very high white cell count can mean a severe infection or a blood disorder.',
+			low: 'A very low white cell count leaves the body open to severe infection.'
+		}
+	},
+	{
+		id: 'neutrophils-absolute',
+		plausible: [0, 100],
+		critical: { low: 0.5 },
+		urgent: { low: 1 },
+		guidance: {
+			low: 'Very few neutrophils leaves the body open to severe infection; a fever needs treatment the same day.'
+		}
+	},
+	{
+		id: 'calcium',
+		plausible: [2, 25],
+		critical: { low: 6, high: 13 },
+		urgent: { low: 7, high: 12 },
+		guidance: {
+			high: 'Very high calcium can cause confusion, kidney problems and heart rhythm problems.',
+			low: 'Very low calcium can cause muscle spasms, seizures and heart rhythm problems.'
+		}
+	},
+	{
+		id: 'magnesium',
+		plausible: [0.2, 15],
+		critical: { low: 1, high: 4.9 },
+		guidance: {
+			high: 'Very high magnesium can slow breathing and the heart.',
+			low: 'Very low magnesium can cause seizures and heart rhythm problems.'
+		}
+	},
+	{
+		id: 'bicarbonate',
+		plausible: [2, 60],
+		critical: { low: 10, high: 40 },
+		guidance: {
+			high: 'Very high bicarbonate points to a serious acid-base imbalance.',
+			low: 'Very low bicarbonate points to a serious acid build-up in the blood.'
+		}
+	},
+	{
+		id: 'lactate',
+		plausible: [0.1, 30],
+		critical: { high: 4 },
+		urgent: { high: 2 },
+		guidance: {
+			high: 'High lactate can be a sign of sepsis or poor blood flow to the organs.'
+		}
+	},
+	{
+		id: 'inr',
+		plausible: [0.5, 20],
+		critical: { high: 5 },
+		urgent: { high: 4 },
+		guidance: {
+			high: 'A very high INR means the blood clots too slowly, with a risk of serious bleeding.'
+		}
+	}
+];
+
+let rules = null;
+
+export function getTriageRules() {
+	if (rules) return rules;
+	const byId = new Map(DEFAULT_RULES.map((rule) => [rule.id, rule]));
+	try {
+		if (process.env.TRIAGE_RULES_FILE) {
+			JSON.parse(fs.readFileSync(process.env.TRIAGE_RULES_FILE, 'utf8')).forEach((rule) => byId.set(rule.id, rule));
+		}
+	} catch (err) {
+		console.warn('⚠️  Failed to load TRIAGE_RULES_FILE, using default triage rules:', err.message);
+	}
+	rules = [...byId.values()];
+	return rules;
+}
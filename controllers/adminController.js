@@ -1,9 +1,45 @@
 import Disease from '../models/Disease.js';
+import Report from '../models/Report.js';
+import User from '../models/User.js';
+import { purgeCachedResponses } from '../services/aiResponseCache.js';
+import { addPromptVersion, getPromptDetails, listPrompts, setPromptRollout } from '../services/promptRegistry.js';
+import { QUOTA_KINDS, getQuotaStatus } from '../services/quota.js';
+import { getValidationStats } from '../services/structuredOutput.js';
+import { getDailyUsage } from '../services/usageTracker.js';
+
+const DEFAULT_USAGE_DAYS = 30;
 
 export async function listPending(req, res) {
 	try {
 		const items = await Disease.find({ approved: false }).sort({ createdAt: -1 }).limit(50).lean();
-		res.json(items);
+		// Attach what the providers said on the latest report for each disease, so reviewers see the disagreement
+		const reports = await Report.find({ diseaseId: { $in: items.map((item) => item._id) }, status: 'interpreted' })
+			.sort({ createdAt: -1 })
+			.select('diseaseId detectedDisease aiRun.provider aiRun.validatedBy aiRun.agreement aiRun.disagreement aiRun.providerOutputs createdAt')
+			.lean();
+		const latest = new Map();
+		reports.forEach((report) => {
+			const key = report.diseaseId.toString();
+			if (!latest.has(key)) latest.set(key, report);
+		});
+		res.json(items.map((item) => {
+			const report = latest.get(item._id.toString());
+			return {
+				...item,
+				consensusReview: report
+					? {
+						reportId: report._id,
+						detectedDisease: report.detectedDisease,
+						providers: report.aiRun?.provider ? report.aiRun.provider.split(', ') : [],
+						validatedBy: report.aiRun?.validatedBy || 0,
+						agreement: report.aiRun?.agreement || null,
+						disagreement: report.aiRun?.disagreement || null,
+						providerOutputs: report.aiRun?.providerOutputs || [],
+						createdAt: report.createdAt
+					}
+					: null
+			};
+		}));
 	} catch {
 		res.status(500).json({ message: 'Failed to fetch pending' });
 	}
@@ -25,3 +61,141 @@ export async function approveDisease(req, res) {
 }
 
 
+
+export async function listValidationStats(req, res) {
+	try {
+		res.json(await getValidationStats());
+	} catch {
+		res.status(500).json({ message: 'Failed to fetch AI validation stats' });
+	}
+}
+
+export async function purgeAICache(req, res) {
+	try {
+		const { disease, callSite } = req.query;
+		const deleted = await purgeCachedResponses({ disease, callSite });
+		res.json({ disease, callSite: callSite || 'all', deleted });
+	} catch {
+		res.status(500).json({ message: 'Failed to purge AI cache' });
+	}
+}
+
+export async function getUsage(req, res) {
+	try {
+		const { from, to, userId, feature, provider } = req.query;
+		const end = to ? new Date(to) : new Date();
+		// A bare date means the whole day
+		if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+		const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_USAGE_DAYS * 24 * 60 * 60 * 1000);
+		res.json(await getDailyUsage({ from: start, to: end, userId, feature, provider }));
+	} catch {
+		res.status(500).json({ message: 'Failed to fetch AI usage' });
+	}
+}
+
+function quotaSubject(user) {
+	return { id: user._id.toString(), role: user.role, quotaOverrides: user.quotaOverrides };
+}
+
+export async function getUserQuota(req, res) {
+	try {
+		const user = await User.findById(req.params.id).select('name email role quotaOverrides').lean();
+		if (!user) return res.status(404).json({ message: 'Not found' });
+		res.json({ userId: user._id, role: user.role, quota: await getQuotaStatus(quotaSubject(user)) });
+	} catch {
+		res.status(500).json({ message: 'Failed to fetch quota' });
+	}
+}
+
+// Replaces the account's overrides: a number sets the daily limit, null makes it unlimited,
+// and kinds left out go back to the role default
+export async function setUserQuota(req, res) {
+	try {
+		const overrides = {};
+		for (const kind of QUOTA_KINDS) {
+			if (req.body[kind] !== undefined) overrides[kind] = req.body[kind];
+		}
+		const update = Object.keys(overrides).length ? { $set: { quotaOverrides: overrides } } : { $unset: { quotaOverrides: 1 } };
+		const user = await User.findByIdAndUpdate(req.params.id, update, { new: true }).select('name email role quotaOverrides').lean();
+		if (!user) return res.status(404).json({ message: 'Not found' });
+		res.json({ userId: user._id, role: user.role, quota: await getQuotaStatus(quotaSubject(user)) });
+	} catch {
+		res.status(500).json({ message: 'Failed to update quota' });
+	}
+}
+
+export async function listPromptVersions(req, res) {
+	try {
+		res.json(await listPrompts());
+	} catch {
+		res.status(500).json({ message: 'Failed to fetch prompts' });
+	}
+}
+
+export async function getPrompt(req, res) {
+	try {
+		const prompt = await getPromptDetails(req.params.id);
+		if (!prompt) return res.status(404).json({ message: 'Not found' });
+		res.json(prompt);
+	} catch {
+		res.status(500).json({ message: 'Failed to fetch prompt' });
+	}
+}
+
+export async function createPromptVersion(req, res) {
+	try {
+		const { version, template, system, notes } = req.body;
+		res.status(201).json(await addPromptVersion(req.params.id, { version, template, system, notes }, req.user.id));
+	} catch (err) {
+		if (err.status) return res.status(err.status).json({ message: err.message });
+		res.status(500).json({ message: 'Failed to add prompt version' });
+	}
+}
+
+export async function updatePromptRollout(req, res) {
+	try {
+		const rollout = await setPromptRollout(req.params.id, req.body.weights || {}, req.user.id);
+		res.json({ id: req.params.id, rollout });
+	} catch (err) {
+		if (err.status) return res.status(err.status).json({ message: err.message });
+		res.status(500).json({ message: 'Failed to update prompt rollout' });
+	}
+}
+
+// Reports whose text looked like a prompt injection or whose interpretation didn't match the text.
+// ?reviewed=true lists the ones already reviewed; the default is the open queue.
+export async function listSuspiciousReports(req, res) {
+	try {
+		const reviewed = req.query.reviewed === 'true';
+		const reports = await Report.find({
+			suspiciousInput: true,
+			'inputCheck.reviewedAt': reviewed ? { $exists: true } : { $exists: false }
+		})
+			.sort({ createdAt: -1 })
+			.limit(50)
+			.select('userId file.originalName detectedDisease diagnosis.name status inputCheck aiRun.provider aiRun.prompt createdAt')
+			.lean();
+		res.json(reports);
+	} catch {
+		res.status(500).json({ message: 'Failed to fetch suspicious reports' });
+	}
+}
+
+// Close the review; { suspicious: false } also clears the flag when it was a false alarm
+export async function reviewSuspiciousReport(req, res) {
+	try {
+		const update = {
+			'inputCheck.reviewedBy': req.user.id,
+			'inputCheck.reviewedAt': new Date(),
+			'inputCheck.reviewNote': req.body.note || ''
+		};
+		if (req.body.suspicious === false) update.suspiciousInput = false;
+		const report = await Report.findByIdAndUpdate(req.params.id, { $set: update }, { new: true })
+			.select('suspiciousInput inputCheck')
+			.lean();
+		if (!report) return res.status(404).json({ message: 'Not found' });
+		res.json(report);
+	} catch {
+		res.status(500).json({ message: 'Failed to review report' });
+	}
+}
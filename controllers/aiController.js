@@ -1,165 +1,169 @@
-import { generateAIResponse } from '../config/aiProvider.js';
 import { getConsensusResponse, getQuickResponse } from '../services/consensusAI.js';
+import { generateStructuredResponse } from '../services/structuredOutput.js';
 import Disease from '../models/Disease.js';
 import History from '../models/History.js';
-import { enrichMedications } from '../services/drugInfo.js';
-import { fetchSpecialists } from '../services/specialistFinder.js';
+import Report from '../models/Report.js';
+import { enrichMedications, personalizeMedications } from '../services/drugInfo.js';
+import { fetchSpecialists, regionFor, replaceRegionSpecialists, specialistsForRegion } from '../services/specialistFinder.js';
+import { findCanonicalDisease, registerSynonym, resolveDiseaseIdentity } from '../services/diseaseRegistry.js';
+import { rankDifferentials, scoreDiagnosisConfidence } from '../services/diagnosisConfidence.js';
+import { renderPrompt } from '../services/promptRegistry.js';
+import { checkInterpretationConsistency, prepareReportText } from '../services/reportTextSafety.js';
+import { criticalDirection, triageReport } from '../services/triage.js';
+import { annotateFinding, annotateFindings, isSameAnalyte, resolveAnalyte } from '../services/analyteDictionary.js';
+import { isLabUnit, leadingLabUnit, normalizeFinding, unitKey } from '../services/unitConversion.js';
+import { findQualitativeResult, findReferenceRange, flagForValue, isAbnormalFlag, withParsedRange } from '../services/rangeParser.js';
+import { describePatientContext, normalizePatientContext, resolveReferenceRange } from '../services/referenceRanges.js';
+import { describeProfile, loadPatientProfile, patientContextFor } from '../services/patientProfile.js';
+import { deriveCalculatedFindings } from '../services/labCalculations.js';
+import Job from '../models/Job.js';
+import { STAGE_MAX_ATTEMPTS, enqueueJob, getJobForUser } from '../services/jobQueue.js';
 
 const DISCLAIMER =
 	'This information is for educational purposes only and not a substitute for professional medical advice.';
 
-const LANGUAGE_NAMES = {
-	en: 'English',
-	hi: 'Hindi'
-};
 
-function languageCodeToName(code) {
-	return LANGUAGE_NAMES[code] || code;
-}
 
-function buildInterpretPrompt(parsedText) {
-	return `You are an expert medical report interpreter with access to evidence-based medical literature. Analyze the lab report with scientific rigor and provide fact-based, clinically relevant insights.
-
-CRITICAL REQUIREMENTS:
-1. Base all interpretations on established medical reference ranges (WHO, CDC, NIH, clinical guidelines)
-2. Cite specific lab values with their clinical significance
-3. Provide evidence-based explanations, not speculation
-4. Include statistical prevalence data when relevant (e.g., "affects ~X% of population")
-5. Reference peer-reviewed sources or clinical guidelines when possible
-6. Distinguish between correlation and causation
-7. Include differential diagnosis considerations when appropriate
-
-ANALYZE AND PROVIDE:
-• Key abnormal lab values: For each abnormal value, include:
-  - Exact numeric value vs. reference range (MUST include reference_range in format "min-max", e.g., "10-20" or "12.5 - 15.3")
-  - Clinical significance (what this indicates physiologically)
-  - Potential causes (prioritize most common first)
-  - Urgency level (immediate attention needed vs. routine follow-up)
-  - CRITICAL: Always provide reference_range for comparison (use standard medical reference ranges from WHO, CDC, or clinical guidelines)
-  
-• Probable disease/condition: 
-  - Primary diagnosis with confidence level (high/moderate/low)
-  - Alternative diagnoses to consider
-  - ICD-10 code if applicable
-  
-• Severity assessment: Use objective criteria (mild/moderate/severe/critical) based on:
-  - Lab value deviation from normal
-  - Clinical presentation indicators
-  - Risk of complications
-  
-• Cause: Evidence-based explanation including:
-  - Pathophysiology (how the disease develops)
-  - Risk factors (modifiable and non-modifiable)
-  - Epidemiology (who is most affected)
-  - Genetic factors if relevant
-  
-• Symptoms: 
-  - Primary symptoms with frequency (% of cases)
-  - Early warning signs
-  - Progression timeline
-  - Red flag symptoms requiring immediate care
-  
-• Treatments: Evidence-based interventions:
-  - First-line treatments (with success rates if known)
-  - Alternative therapies
-  - Lifestyle modifications with expected outcomes
-  - Treatment duration and monitoring requirements
-  
-• Medications: Generic names with:
-  - Mechanism of action (how it works in the body)
-  - Typical dosage ranges
-  - Expected time to see effects
-  - Common side effects (with frequency)
-  
-• Prevention: Evidence-based strategies:
-  - Primary prevention (before disease develops)
-  - Secondary prevention (early detection)
-  - Effectiveness data when available
-  
-• Emergency home remedy: Only include if:
-  - Supported by medical literature
-  - Low risk of harm
-  - Clearly state it's temporary until professional care
-  - Include contraindications
-  
-• Video resources: Three high-quality educational videos from:
-  - Medical institutions (Mayo Clinic, Cleveland Clinic, Johns Hopkins)
-  - Medical education platforms (Osmosis, Armando Hasudungan, Khan Academy Medicine)
-  - Public health organizations (WHO, CDC, NHS)
-  - Include: title, channel, URL, why it's valuable, duration, and learning objectives
-
-OUTPUT FORMAT: Strict JSON with these EXACT keys and types:
-- probable_disease: STRING (just the disease name, e.g., "Anemia", NOT an object)
-- abnormal_values: ARRAY of objects with { test, value, unit, reference_range (e.g., "10-20" or "12.5 - 15.3"), interpretation, flag, severity }
-- cause: STRING (plain text explanation, NOT an object)
-- symptoms: ARRAY of STRINGS (e.g., ["Fatigue", "Weakness"], NOT array of objects)
-- treatments: ARRAY of STRINGS (e.g., ["Iron supplements", "Blood transfusion"], NOT array of objects)
-- medications: ARRAY of STRINGS (generic drug names only)
-- prevention: ARRAY of STRINGS (e.g., ["Eat iron-rich foods", "Regular checkups"], NOT array of objects)
-- severity: STRING (e.g., "mild", "moderate", "severe", NOT an object)
-- typical_duration: STRING (e.g., "2-4 weeks", NOT an object)
-- emergency_home_remedy: STRING or ARRAY of STRINGS
-- video_resources: ARRAY of objects with { title, url, channel, duration, reason }
-
-CRITICAL: All fields must be simple types (string, array of strings, or array of simple objects). Do NOT nest complex objects in cause, symptoms, treatments, prevention, or severity fields.
-
-Be precise, factual, and cite evidence. Avoid vague statements. Use medical terminology appropriately but explain complex concepts.
-
-Extracted text:
-"""${parsedText}"""`;
-}
 
 
-function buildVideoPrompt(diseaseName, language = 'en') {
-	const languageName = languageCodeToName(language);
-	return `You are a medical content curator specializing in evidence-based medical education. Find the most current, authoritative educational videos about "${diseaseName}" in ${languageName}.
-
-PRIORITY SOURCES (in order):
-1. Medical institutions: Mayo Clinic, Cleveland Clinic, Johns Hopkins, Stanford Medicine, Harvard Medical School
-2. Medical education platforms: Osmosis, Armando Hasudungan, Khan Academy Medicine, Lecturio
-3. Public health organizations: WHO, CDC, NHS, NIH
-4. Medical journals with video content: NEJM, The Lancet, BMJ
-5. Regional medical universities/hospitals (for ${languageName} content)
-
-VIDEO CRITERIA:
-• Must be published within last 3 years (prefer latest)
-• Audio and captions in ${languageName}
-• Free to view, publicly accessible
-• Evidence-based content (not promotional or opinion-based)
-• Appropriate for patient education (clear, accurate, non-alarming)
-• Include duration, view count (if available), and publication date
-
-FOR EACH VIDEO PROVIDE:
-- title: Exact video title
-- url: Direct YouTube or platform URL (verify it's accessible)
-- channel: Official channel name
-- duration: Video length (e.g., "15:30")
-- reason: Specific learning objectives this video covers (e.g., "Explains pathophysiology with animations", "Covers treatment protocols per latest guidelines")
-- audio_url: Link to audio-only version or podcast if available
-- language: "${language}"
-- published_date: When available
-- view_count: If available (indicates popularity/trust)
-
-Return JSON with key "videos": array of 3 items. Prioritize the most recent, highest-quality content from authoritative sources.`;
-}
+const STRING_ARRAY = { type: 'array', items: { type: 'string' } };
 
-function safeJsonParse(text) {
-	try {
-		return JSON.parse(text);
-	} catch {
-		// try to extract JSON substring
-		const start = text.indexOf('{');
-		const end = text.lastIndexOf('}');
-		if (start !== -1 && end !== -1) {
-			try {
-				return JSON.parse(text.slice(start, end + 1));
-			} catch {
-				return null;
+// Response schemas for the prompts above (validated by services/structuredOutput.js)
+const INTERPRET_SCHEMA = {
+	type: 'object',
+	required: ['probable_disease', 'abnormal_values', 'cause', 'symptoms', 'treatments', 'medications', 'prevention', 'severity'],
+	properties: {
+		probable_disease: { type: 'string', minLength: 1 },
+		icd10_code: { type: 'string' },
+		confidence: { type: 'string' },
+		differential_diagnoses: {
+			type: 'array',
+			items: {
+				type: 'object',
+				required: ['name'],
+				properties: {
+					name: { type: 'string', minLength: 1 },
+					icd10_code: { type: 'string' },
+					likelihood: { type: 'string' },
+					reasoning: { type: 'string' }
+				}
+			}
+		},
+		abnormal_values: {
+			type: 'array',
+			items: {
+				type: 'object',
+				required: ['test'],
+				properties: {
+					test: { type: 'string', minLength: 1 },
+					value: { type: ['string', 'number'] },
+					unit: { type: 'string' },
+					reference_range: { type: 'string' },
+					interpretation: { type: 'string' },
+					flag: { type: 'string' },
+					severity: { type: 'string' }
+				}
+			}
+		},
+		cause: { type: 'string' },
+		symptoms: STRING_ARRAY,
+		treatments: STRING_ARRAY,
+		medications: STRING_ARRAY,
+		prevention: STRING_ARRAY,
+		severity: { type: 'string' },
+		typical_duration: { type: 'string' },
+		emergency_home_remedy: { type: ['string', 'array'], items: { type: 'string' } },
+		video_resources: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					title: { type: 'string' },
+					url: { type: 'string' },
+					channel: { type: 'string' },
+					duration: { type: 'string' },
+					reason: { type: 'string' }
+				}
 			}
 		}
-		return null;
 	}
-}
+};
+
+const WEB_RESOURCES_SCHEMA = {
+	type: 'object',
+	required: ['web_resources'],
+	properties: {
+		web_resources: {
+			type: 'array',
+			items: {
+				type: 'object',
+				required: ['title', 'url'],
+				properties: {
+					title: { type: 'string', minLength: 1 },
+					url: { type: 'string', pattern: '^https?://' },
+					source: { type: 'string' },
+					description: { type: 'string' },
+					type: { type: 'string' }
+				}
+			}
+		}
+	}
+};
+
+const CAPTIONS_SCHEMA = {
+	type: 'object',
+	required: ['captions'],
+	properties: { captions: { ...STRING_ARRAY, minItems: 1 } }
+};
+
+const REFERENCE_RANGES_SCHEMA = {
+	type: 'object',
+	required: ['reference_ranges'],
+	properties: {
+		reference_ranges: {
+			type: 'array',
+			items: {
+				type: 'object',
+				required: ['test', 'reference_range'],
+				properties: { test: { type: 'string' }, reference_range: { type: 'string' } }
+			}
+		}
+	}
+};
+
+const STATISTICS_SCHEMA = {
+	type: 'object',
+	required: ['global_statistics', 'patient_impact_facts'],
+	properties: {
+		global_statistics: {
+			type: 'object',
+			properties: {
+				global_prevalence: { type: 'string' },
+				incidence_rate: { type: 'string' },
+				mortality_rate: { type: 'string' },
+				affected_regions: STRING_ARRAY,
+				age_groups: { type: 'string' },
+				gender_distribution: { type: 'string' },
+				economic_impact: { type: 'string' },
+				trends: { type: 'string' },
+				case_distribution: { type: 'string' }
+			}
+		},
+		patient_impact_facts: {
+			type: 'object',
+			properties: {
+				lifestyle_impact: STRING_ARRAY,
+				work_impact: STRING_ARRAY,
+				family_impact: STRING_ARRAY,
+				financial_impact: STRING_ARRAY,
+				emotional_impact: STRING_ARRAY,
+				long_term_outlook: STRING_ARRAY,
+				quality_of_life: STRING_ARRAY,
+				precautions: STRING_ARRAY
+			}
+		}
+	}
+};
 
 const FLAG_TERMS = [
 	'critical high',
@@ -175,14 +179,34 @@ const FLAG_TERMS = [
 	'above range',
 	'below range'
 ];
-const FLAG_REGEX = new RegExp(`\\b(${FLAG_TERMS.join('|')})\\b`, 'i');
-const NORMAL_REGEX = /\b(wnl|within normal limits|normal|negative)\b/i;
-const RANGE_REGEX = /(-?\d+(?:\.\d+)?)\s*(?:-|–|—|to|TO)\s*(-?\d+(?:\.\d+)?)/i;
+const FLAG_TERMS_REGEX = new RegExp(`\\b(${FLAG_TERMS.join('|')})\\b`, 'gi');
+// "H", "L", "HH", "LL" at the end of a row, optionally in brackets or starred; case-sensitive so units aren't read as flags
+const FLAG_LETTER_REGEX = /(?:^|\s)[(\[]?(HH|LL|H|L)\*?[)\]]?$/;
+const FLAG_ONLY_REGEX = new RegExp(`^[(\\[]?(${FLAG_TERMS.join('|')}|HH|LL|H|L)\\*?[)\\]]?$`, 'i');
+const PRINTED_NORMAL_REGEX = /\b(wnl|within normal limits|normal)$/i;
+const TITER_VALUE_REGEX = /(?<!\d)1\s*:\s*\d+/;
 const UNIT_REGEX = /([a-zA-Z%\/]+(?:\^[\d]+)?)$/;
 const NUMBER_REGEX = /-?\d+(?:\.\d+)?/g;
+const COUNT_UNIT_REGEX = /^10[\^*]\d+\//;
+
+// A printed unit: one the analyte dictionary knows, or anything shaped like one ("U/mL", "%", "10^3/uL")
+function isUnitToken(token) {
+	if (!token || !/[a-z%µμ]/i.test(token)) return false;
+	return isLabUnit(token) || /[\/%]/.test(token) || COUNT_UNIT_REGEX.test(unitKey(token));
+}
+
+// Critical readings outrank high/low ones, which outrank normal ones
+function flagRank(flag) {
+	if (/critical|panic/i.test(flag || '')) return 2;
+	return isAbnormalFlag(flag) ? 1 : 0;
+}
 
 function normalizeFlagWord(word) {
 	const lower = word.toLowerCase();
+	if (lower === 'hh') return 'Critical High';
+	if (lower === 'll') return 'Critical Low';
+	if (lower === 'h') return 'High';
+	if (lower === 'l') return 'Low';
 	if (lower.includes('critical') && lower.includes('high')) return 'Critical High';
 	if (lower.includes('critical') && lower.includes('low')) return 'Critical Low';
 	if (lower.includes('high') || lower.includes('above') || lower.includes('elevated')) return 'High';
@@ -198,270 +222,287 @@ function deriveSeverity(word) {
 	return '';
 }
 
-function parseAbnormalRow(row, fallbackTest) {
-	const flagMatch = row.match(FLAG_REGEX);
-	if (!flagMatch) return null;
-	const flagWord = flagMatch[1];
-	if (NORMAL_REGEX.test(flagWord)) return null;
-
-	const normalizedFlag = normalizeFlagWord(flagWord);
-	const severity = deriveSeverity(flagWord);
+/**
+ * The flag printed on a row as { word, index }: a flag term after the first number (so "High Sensitivity CRP"
+ * isn't one), else a trailing letter flag ("H", "L", "HH", "LL"); null when there is none
+ */
+function findFlag(row) {
+	const firstValue = row.search(/\d/);
+	const term = [...row.matchAll(FLAG_TERMS_REGEX)].filter((match) => match.index > firstValue).pop();
+	if (term) return { word: term[1], index: term.index };
+	const letter = row.match(FLAG_LETTER_REGEX);
+	return letter ? { word: letter[1], index: letter.index } : null;
+}
 
-	let working = row.slice(0, flagMatch.index).trim();
+/**
+ * Flag for a row printed without one: Critical past the triage rule's critical limit, else value against range
+ */
+function computeFlag(test, value, unit, range) {
+	const critical = criticalDirection({ test, value, unit });
+	if (critical) return critical === 'high' ? 'Critical High' : 'Critical Low';
+	return flagForValue(value, range);
+}
 
-	// Extract reference range - try multiple patterns
-	let referenceRange = '';
-	
-	// Pattern 1: Standard range format "10-20" or "10 - 20"
-	const rangeMatch = working.match(RANGE_REGEX);
-	if (rangeMatch) {
-		referenceRange = `${rangeMatch[1]} - ${rangeMatch[2]}`;
-		working = (working.slice(0, rangeMatch.index) + working.slice(rangeMatch.index + rangeMatch[0].length)).trim();
+// Finding for one parsed row; a flag printed on the report wins over the computed one
+function buildResult({ test, value, unit, range, flagWord, printedNormal }) {
+	let flag = '';
+	let flagComputed = false;
+	if (flagWord) {
+		flag = normalizeFlagWord(flagWord);
+	} else if (printedNormal) {
+		flag = 'Normal';
 	} else {
-		// Pattern 2: Look for reference range in parentheses or brackets
-		const parenMatch = working.match(/\(([^)]*reference[^)]*)\)/i) || working.match(/\[([^\]]*reference[^\]]*)\]/i);
-		if (parenMatch) {
-			const refText = parenMatch[1];
-			const refRangeMatch = refText.match(RANGE_REGEX);
-			if (refRangeMatch) {
-				referenceRange = `${refRangeMatch[1]} - ${refRangeMatch[2]}`;
-			}
-		}
-		
-		// Pattern 3: Look for "ref:" or "reference:" followed by range
-		const refLabelMatch = working.match(/(?:ref|reference):\s*([0-9.\s\-–—to]+)/i);
-		if (refLabelMatch) {
-			const refText = refLabelMatch[1];
-			const refRangeMatch = refText.match(RANGE_REGEX);
-			if (refRangeMatch) {
-				referenceRange = `${refRangeMatch[1]} - ${refRangeMatch[2]}`;
-			}
-		}
+		flag = computeFlag(test, value, unit, range);
+		flagComputed = Boolean(flag);
+	}
+	const referenceRange = range?.text || '';
+	return {
+		test,
+		value,
+		unit,
+		referenceRange,
+		range,
+		flag,
+		flagComputed,
+		severity: deriveSeverity(flag),
+		interpretation: flag ? `${flag} value${referenceRange ? ` (reference ${referenceRange})` : ''}` : ''
+	};
+}
+
+function cleanTestName(name) {
+	return String(name || '').replace(/\s{2,}/g, ' ').replace(/[\s:=|([-]+$/, '').trim();
+}
+
+// Only rows that look like results count: a printed flag or range, or a test the dictionary knows
+function isResultRow(test, flagWord, range) {
+	return Boolean(flagWord || range || resolveAnalyte(test));
+}
+
+/**
+ * Whether a line only carries the flag or the range of the row above it ("High", "Ref: 10 - 20")
+ */
+function isRowContinuation(line) {
+	if (FLAG_ONLY_REGEX.test(line)) return true;
+	const rest = line.replace(/^(?:ref(?:erence)?(?:\s+range)?|normal\s+range|range)\s*:?\s*/i, '');
+	const found = findReferenceRange(rest);
+	return Boolean(found) && found.range.kind !== 'categorical' && found.index === 0 && found.length === rest.length;
+}
+
+/**
+ * One result row in free text ("Hemoglobin 9.8 g/dL 12.0 - 15.5 L") as a finding, or null when it isn't one.
+ * `fallbackTest` names a row printed without its test name (the name was on the line above).
+ */
+function parseResultRow(row, fallbackTest) {
+	const flagMatch = findFlag(row);
+	const flagWord = flagMatch?.word || '';
+
+	let working = (flagMatch ? row.slice(0, flagMatch.index) : row).trim();
+	const printedNormal = !flagMatch && PRINTED_NORMAL_REGEX.test(working);
+	if (printedNormal) working = working.replace(PRINTED_NORMAL_REGEX, '').trim();
+
+	// Reference range anywhere before the flag: "10 - 20", "< 200", "> 40", "< 1:80", "Non-Reactive",
+	// also inside "(reference: 10-20)"
+	const found = findReferenceRange(working);
+	const range = found?.range || null;
+	// The result is printed before its range; numbers after it belong to a second unit or a method
+	const valueEnd = found ? found.index : working.length;
+	if (found) {
+		working = (working.slice(0, found.index) + working.slice(found.index + found.length)).trim();
 	}
 
-	// Extract numeric value
+	// Extract the value: a titer ("1:160"), else a number, else a qualitative result ("Reactive", "2+")
 	let value = '';
-	const values = working.match(NUMBER_REGEX);
-	if (values && values.length) {
-		value = values[values.length - 1];
-		const idx = working.lastIndexOf(value);
-		if (idx !== -1) {
-			working = working.slice(0, idx).trim();
-		}
+	let afterValue = '';
+	let numeric = false;
+	const titerMatch = working.match(TITER_VALUE_REGEX);
+	// Only standalone numbers: not part of a name ("Vitamin B12", "HbA1c", "CA 19-9", "25-OH") or a count unit
+	// ("10^3/uL", "x10*9/L")
+	const values = [...working.matchAll(NUMBER_REGEX)].filter(
+		(match) =>
+			(match.index === 0 || /[\s(=:]/.test(working[match.index - 1])) &&
+			!/^[\^*-]/.test(working.slice(match.index + match[0].length))
+	);
+	const qualitative = findQualitativeResult(working);
+	if (titerMatch) {
+		value = titerMatch[0].replace(/\s+/g, '');
+		afterValue = working.slice(titerMatch.index + titerMatch[0].length).trim();
+		working = working.slice(0, titerMatch.index).trim();
+	} else if (values.length && range?.kind !== 'categorical') {
+		// The number directly before the unit, else the last one before the range ("CA 125 80 U/mL < 35" is 80)
+		const beforeRange = values.filter((match) => match.index < valueEnd);
+		const picked =
+			beforeRange.find((match) => isUnitToken(working.slice(match.index + match[0].length).trim().split(/\s+/)[0])) ||
+			beforeRange[beforeRange.length - 1] ||
+			values[0];
+		value = picked[0];
+		numeric = true;
+		afterValue = working.slice(picked.index + value.length).trim();
+		working = working.slice(0, picked.index).trim();
+	} else if (qualitative) {
+		value = qualitative.value;
+		working = working.slice(0, qualitative.index).trim();
 	}
 
-	// Extract unit (last token with letters or /)
+	// Extract unit: a known unit printed after the value, which may be several words ("35 mm/1st hr"), else the token
+	// after the value ("9.8 g/dL"), else the last token with letters or / before it
 	let unit = '';
-	const unitMatch = working.match(UNIT_REGEX);
-	if (unitMatch) {
-		unit = unitMatch[1];
-		working = working.slice(0, unitMatch.index).trim();
+	const knownUnit = leadingLabUnit(afterValue);
+	const unitAfter = afterValue.split(/\s+/)[0];
+	if (knownUnit) {
+		unit = knownUnit;
+	} else if (unitAfter && (/^[a-zA-Z%\/µμ^*]/.test(unitAfter) || COUNT_UNIT_REGEX.test(unitAfter))) {
+		unit = unitAfter.replace(/[,;]$/, '');
+	} else if (!afterValue && numeric) {
+		const unitMatch = working.match(UNIT_REGEX);
+		if (unitMatch && /\s/.test(working) && isUnitToken(unitMatch[1])) {
+			unit = unitMatch[1];
+			working = working.slice(0, unitMatch.index).trim();
+		}
 	}
 
-	let testName = working || fallbackTest || '';
-	testName = testName.replace(/\s{2,}/g, ' ').trim();
-	if (!testName || !value) return null;
-
-	return {
-		test: testName,
-		value,
-		unit,
-		referenceRange,
-		flag: normalizedFlag,
-		severity,
-		interpretation: `${normalizedFlag} value${referenceRange ? ` (reference ${referenceRange})` : ''}`
-	};
+	const testName = cleanTestName(working) || fallbackTest || '';
+	if (!testName || !value || !isResultRow(testName, flagWord, range)) return null;
+	return buildResult({ test: testName, value, unit, range, flagWord, printedNormal });
 }
 
-function extractAbnormalFromText(text) {
-	console.log('📄 Extracting abnormal values from text (length:', text.length, 'chars)');
+/**
+ * Every result row in the report text, normal ones included, so the whole panel is available. Flags printed on
+ * the report are kept; rows without one are flagged from the value against the parsed range (see computeFlag).
+ */
+export function extractResultsFromText(text) {
+	console.log('📄 Extracting results from text (length:', text.length, 'chars)');
 	
 	// Clean and normalize text
 	const cleanedLines = text
 		.split(/\r?\n+/)
-		.map((line) => {
-			// Replace tabs with spaces, normalize whitespace
-			line = line.replace(/\t+/g, ' ').replace(/\s+/g, ' ').trim();
-			// Fix common OCR errors (be careful not to break numbers)
-			line = line.replace(/\|/g, '|'); // Keep pipes for table parsing
-			return line;
-		})
-		.filter((line) => line && !/^[-=._]+$/.test(line) && line.length > 3);
+		.map((line) => line.replace(/\t+/g, ' ').replace(/\s+/g, ' ').trim())
+		.filter((line) => line && !/^[-=._]+$/.test(line) && (line.length > 3 || FLAG_ONLY_REGEX.test(line)));
 
 	console.log('📊 Total lines after cleaning:', cleanedLines.length);
 
-	// Strategy 1: Look for table-like structures (common in lab reports)
-	const tableRows = [];
-	const findings = [];
-	
-	// Pattern: Test Name | Value | Unit | Reference Range | Flag
-	// Also handle: Test Name Value Unit (Reference Range) Flag
+	const results = [];
+	// A test name printed on its own line, for a value row below it that has none
+	let pendingTest = '';
 	for (let i = 0; i < cleanedLines.length; i++) {
-		const line = cleanedLines[i];
+		let line = cleanedLines[i];
 		
-		// Skip headers
-		if (/^(test|parameter|name|value|result|unit|reference|normal|range|flag|status)/i.test(line) && 
-		    !/\d/.test(line)) {
+		// Section titles and column headers ("COMPLETE BLOOD COUNT", "Test Result Unit Reference Range Flag")
+		if (!/\d/.test(line) && !findQualitativeResult(line)) {
+			pendingTest = resolveAnalyte(line) ? line : '';
 			continue;
 		}
 		
-		// Look for lines with numbers (potential lab values)
-		if (!/\d/.test(line)) continue;
-		
-		// Try to extract test data from this line
-		const extracted = extractTestDataFromLine(line, cleanedLines[i + 1], cleanedLines[i - 1]);
-		if (extracted && extracted.flag && !NORMAL_REGEX.test(extracted.flag)) {
-			findings.push(extracted);
-			console.log('✅ Extracted:', extracted.test, '=', extracted.value, 'Range:', extracted.referenceRange);
-		}
-	}
-
-	// Strategy 2: Original buffer-based approach for multi-line entries
-	const rows = [];
-	let buffer = [];
-
-	for (const line of cleanedLines) {
-		// Ignore section headers like "BIOCHEMISTRY"
-		if (!/\d/.test(line) && !buffer.length) {
-			buffer.push(line);
-			continue;
-		}
-
-		if (buffer.length) {
-			buffer.push(line);
-		} else {
-			buffer = [line];
-		}
-
-		const joined = buffer.join(' ').trim();
-		if (FLAG_REGEX.test(joined) || NORMAL_REGEX.test(joined) || joined.length > 180) {
-			if (FLAG_REGEX.test(joined) && !NORMAL_REGEX.test(joined)) {
-				rows.push(joined);
-			}
-			buffer = [];
-		}
-	}
-
-	// Parse buffer-based rows
-	let lastTest = '';
-	for (const row of rows) {
-		const parsed = parseAbnormalRow(row, lastTest);
-		if (parsed) {
-			// Check if we already have this test
-			const existing = findings.find(f => 
-				f.test.toLowerCase().trim() === parsed.test.toLowerCase().trim()
-			);
-			if (!existing) {
-			findings.push(parsed);
-				console.log('✅ Extracted (buffer):', parsed.test, '=', parsed.value, 'Range:', parsed.referenceRange);
-			}
-			lastTest = parsed.test;
+		// A flag or range printed on the next line belongs to this row
+		while (i + 1 < cleanedLines.length && isRowContinuation(cleanedLines[i + 1])) {
+			line += ' ' + cleanedLines[++i];
 		}
+		
+		// Table rows ("Test | 12.5 | g/dL | 10-15 | H") first, then free-text rows
+		const result = extractTestDataFromLine(line, cleanedLines[i + 1], cleanedLines[i - 1]) || parseResultRow(line, pendingTest);
+		pendingTest = '';
+		if (!result) continue;
+		// The same test twice (a repeat or a second specimen): keep the worse reading, so a critical one is never lost
+		const duplicateIdx = results.findIndex((existing) => isSameAnalyte(existing.test, result.test));
+		if (duplicateIdx !== -1 && flagRank(result.flag) <= flagRank(results[duplicateIdx].flag)) continue;
+		if (duplicateIdx !== -1) results[duplicateIdx] = result;
+		else results.push(result);
+		console.log('✅ Extracted:', result.test, '=', result.value, 'Range:', result.referenceRange, 'Flag:', result.flag || 'N/A');
 	}
 	
-	console.log('📋 Total findings extracted:', findings.length);
-	return findings;
+	console.log(`📋 Total results extracted: ${results.length} (${results.filter((r) => isAbnormalFlag(r.flag)).length} abnormal)`);
+	return annotateFindings(results);
 }
 
 /**
- * Extract test data from a single line (handles table-like formats)
+ * The out-of-range results of extractResultsFromText
+ */
+export function extractAbnormalFromText(text) {
+	return extractResultsFromText(text).filter((result) => isAbnormalFlag(result.flag));
+}
+
+/**
+ * Extract test data from a single line split on pipes, wide gaps or colons (table-like formats)
  */
 function extractTestDataFromLine(line, nextLine = '', prevLine = '') {
 	// Common patterns in lab reports:
 	// 1. "Test Name    12.5    g/dL    (10-15)    H"
 	// 2. "Test Name: 12.5 g/dL Reference: 10-15 Flag: H"
 	// 3. "Test Name | 12.5 | g/dL | 10-15 | H"
-	// 4. "Test Name 12.5 g/dL 10-15 H"
-	
-	// Check if line has a flag
-	const flagMatch = line.match(FLAG_REGEX);
-	if (!flagMatch) return null;
 	
-	const flagWord = flagMatch[1];
-	if (NORMAL_REGEX.test(flagWord)) return null;
+	const flagMatch = findFlag(line);
+	const flagWord = flagMatch?.word || '';
 	
-	// Split by common delimiters (pipes, multiple spaces, colons)
+	// Split by common delimiters (pipes, multiple spaces, colons other than in a titer like "1:80")
 	const parts = line
-		.split(/\s*\|\s*|\s{2,}|\s*:\s*/)
+		.split(/\s*\|\s*|\s{2,}|(?<!\d)\s*:\s*|\s*:\s*(?!\d)/)
 		.map(p => p.trim())
 		.filter(p => p);
+	if (parts.length < 2) return null;
 	
 	let test = '';
 	let value = '';
 	let unit = '';
-	let referenceRange = '';
-	let flag = normalizeFlagWord(flagWord);
+	let range = null;
+	let printedNormal = false;
 	
 	// Try to identify parts
 	for (let i = 0; i < parts.length; i++) {
 		const part = parts[i];
 		
-		// Check if it's a numeric value
-		if (/^-?\d+\.?\d*$/.test(part) && !value) {
+		// Check if it's a value: a number, a titer or a qualitative result
+		if (!value && test && (/^-?\d+\.?\d*$/.test(part) || /^1:\d+$/.test(part) || findQualitativeResult(part)?.value === part)) {
 			value = part;
 			continue;
 		}
 		
-		// Check if it's a reference range
-		const rangeMatch = part.match(RANGE_REGEX);
-		if (rangeMatch && !referenceRange) {
-			referenceRange = `${rangeMatch[1]} - ${rangeMatch[2]}`;
+		// Check if it's a reference range ("10-15", "< 200", "> 40", "< 1:80", "Non-Reactive")
+		const partRange = findReferenceRange(part);
+		if (partRange && !range && value && partRange.length >= part.length - 12) {
+			range = partRange.range;
 			continue;
 		}
 		
 		// Check if it's a unit (contains letters and maybe / or %)
-		if (/^[a-zA-Z%\/]+$/.test(part) && !unit && value) {
+		if ((/^[a-zA-Zµμ%\/][a-zA-Z0-9µμ%\/^.]*$/.test(part) || COUNT_UNIT_REGEX.test(part) || isLabUnit(part)) && !unit && value && part !== flagWord) {
 			unit = part;
 			continue;
 		}
 		
 		// Check if it's a flag
-		if (FLAG_REGEX.test(part) && part === flagWord) {
-			// Already captured
+		if (part === flagWord || (value && FLAG_ONLY_REGEX.test(part))) continue;
+		if (value && PRINTED_NORMAL_REGEX.test(part)) {
+			printedNormal = true;
 			continue;
 		}
 		
 		// Otherwise, it's likely part of the test name
-		if (!value && !referenceRange) {
+		if (!value && !range) {
 			test += (test ? ' ' : '') + part;
 		}
 	}
 	
 	// If we didn't get a reference range, look in parentheses or brackets
-	if (!referenceRange) {
-		const parenMatch = line.match(/[\(\[][^\)\]]*(\d+\.?\d*)\s*[-–—to]\s*(\d+\.?\d*)[^\)\]]*[\)\]]/i);
-		if (parenMatch) {
-			const rangeMatch = parenMatch[0].match(RANGE_REGEX);
-			if (rangeMatch) {
-				referenceRange = `${rangeMatch[1]} - ${rangeMatch[2]}`;
-			}
-		}
+	if (!range) {
+		const parenMatch = line.match(/[\(\[]([^\)\]]*\d[^\)\]]*)[\)\]]/);
+		range = parenMatch ? findReferenceRange(parenMatch[1])?.range || null : null;
 	}
 	
 	// If still no reference range, check next/previous lines
-	if (!referenceRange) {
-		const context = (prevLine + ' ' + nextLine).toLowerCase();
-		const contextRangeMatch = context.match(/(?:ref|reference|normal|range)[:\s]*(\d+\.?\d*)\s*[-–—to]\s*(\d+\.?\d*)/i);
-		if (contextRangeMatch) {
-			referenceRange = `${contextRangeMatch[1]} - ${contextRangeMatch[2]}`;
-		}
+	if (!range) {
+		const context = prevLine + ' ' + nextLine;
+		const contextMatch = context.match(/(?:ref|reference|normal|range)[:\s]*(.+)/i);
+		const contextRange = contextMatch ? findReferenceRange(contextMatch[1])?.range : null;
+		if (contextRange && contextRange.kind !== 'categorical') range = contextRange;
 	}
 	
 	// Validate we have at least test name and value
-	if (!test || !value) return null;
+	test = cleanTestName(test);
+	if (!test || !value || !isResultRow(test, flagWord, range)) return null;
 	
-	return {
-		test: test.trim(),
-		value: value.trim(),
-		unit: unit.trim() || '',
-		referenceRange: referenceRange.trim() || '',
-		flag: flag,
-		severity: deriveSeverity(flagWord),
-		interpretation: `${flag} value${referenceRange ? ` (reference ${referenceRange})` : ''}`
-	};
+	return buildResult({ test, value: value.trim(), unit: unit.trim(), range, flagWord, printedNormal });
 }
 
-export async function fetchVideoResources(diseaseName, language = 'en') {
+export async function fetchVideoResources(diseaseName, language = 'en', usageContext = {}) {
 	console.log(`\n${'='.repeat(60)}`);
 	console.log(`🎬 VIDEO RESOURCE FETCH: Starting for "${diseaseName}" (${language})`);
 	console.log(`${'='.repeat(60)}`);
@@ -469,7 +510,7 @@ export async function fetchVideoResources(diseaseName, language = 'en') {
 	try {
 		// Step 1: Get captions/keywords from AI API
 		console.log(`\n📝 STEP 1: Getting captions/keywords from AI API...`);
-		let captions = await getDiseaseCaptionsFromAI(diseaseName, language);
+		let captions = await getDiseaseCaptionsFromAI(diseaseName, language, usageContext);
 		
 		if (!captions || captions.length === 0) {
 			console.warn(`   ⚠️  No captions generated, using disease name directly`);
@@ -519,7 +560,7 @@ export async function fetchVideoResources(diseaseName, language = 'en') {
 			console.warn(`   ⚠️  No videos found from any caption`);
 			// Fallback: Fetch web-based resources instead
 			console.log(`   🔄 Fetching web-based resources as fallback...`);
-			return await fetchWebResources(diseaseName, language);
+			return await fetchWebResources(diseaseName, language, usageContext);
 		}
 		
 		console.log(`\n📊 STEP 3: Processing ${allVideos.length} videos...`);
@@ -563,7 +604,7 @@ export async function fetchVideoResources(diseaseName, language = 'en') {
 		console.error(`   Stack:`, err.stack?.split('\n').slice(0, 3).join('\n'));
 		console.log(`   🔄 Attempting to fetch web-based resources as fallback...`);
 		try {
-			return await fetchWebResources(diseaseName, language);
+			return await fetchWebResources(diseaseName, language, usageContext);
 		} catch (webErr) {
 			console.error(`   ❌ Web resources fetch also failed:`, webErr.message);
 			console.log(`${'='.repeat(60)}\n`);
@@ -575,89 +616,36 @@ export async function fetchVideoResources(diseaseName, language = 'en') {
 /**
  * Fetch web-based resources (articles, medical websites) when videos are unavailable
  */
-async function fetchWebResources(diseaseName, language = 'en') {
+async function fetchWebResources(diseaseName, language = 'en', usageContext = {}) {
 	console.log(`\n${'='.repeat(60)}`);
 	console.log(`🌐 WEB RESOURCE FETCH: Starting for "${diseaseName}" (${language})`);
 	console.log(`${'='.repeat(60)}`);
 	
 	const languageName = language === 'hi' ? 'Hindi' : 'English';
 	
-	const prompt = `You are a medical content curator. For the disease/condition "${diseaseName}", find 5-8 high-quality web-based educational resources (articles, medical websites, patient guides) in ${languageName}.
-
-PRIORITY SOURCES (in order):
-1. Medical institutions: Mayo Clinic, Cleveland Clinic, Johns Hopkins, WebMD, Healthline, MedlinePlus
-2. Government health organizations: WHO, CDC, NIH, NHS
-3. Medical journals: NEJM, The Lancet, BMJ (patient education sections)
-4. Patient advocacy organizations and support groups
-5. Medical education platforms: UpToDate Patient Info, Merck Manuals
-
-RESOURCE CRITERIA:
-• Must be publicly accessible (free to view)
-• Evidence-based content from authoritative sources
-• Published within last 5 years (prefer latest)
-• Appropriate for patient education
-• Available in ${languageName} or English
-
-FOR EACH RESOURCE PROVIDE:
-- title: Exact article/page title
-- url: Direct URL to the resource
-- source: Organization/website name (e.g., "Mayo Clinic", "CDC")
-- description: Brief summary of what the resource covers (1-2 sentences)
-- type: Resource type (e.g., "Article", "Patient Guide", "Fact Sheet", "Medical Encyclopedia Entry")
-
-Return ONLY valid JSON with this structure:
-{
-  "web_resources": [
-    {
-      "title": "Type 2 Diabetes - Symptoms and Causes",
-      "url": "https://www.mayoclinic.org/diseases-conditions/type-2-diabetes/symptoms-causes/syc-20351193",
-      "source": "Mayo Clinic",
-      "description": "Comprehensive overview of symptoms, causes, and risk factors",
-      "type": "Article"
-    }
-  ]
-}
-
-Return ONLY the JSON, no markdown code blocks, no explanations.`;
+	const prompt = await renderPrompt('web-resources', { diseaseName, languageName }, { seed: diseaseName });
 
 	try {
 		console.log(`   🤖 Calling AI API to generate web resources...`);
-		const { generateAIResponse } = await import('../config/aiProvider.js');
-		
-		const response = await generateAIResponse(
-			[{ role: 'user', content: prompt }],
-			'You are a medical content curator. Return only valid JSON with key "web_resources" as an array of objects with title, url, source, description, and type fields. No markdown code blocks.',
+		const response = await generateStructuredResponse(
+			[{ role: 'user', content: prompt.user }],
+			prompt.system,
 			{ 
+				schema: WEB_RESOURCES_SCHEMA,
+				schemaName: 'web-resources',
+				cache: { callSite: 'web-resources', disease: diseaseName },
+				usageContext: { ...usageContext, feature: 'web-resources', disease: diseaseName, prompt },
 				preferredProviders: ['gemini', 'openrouter', 'groq'],
 				temperature: 0.3,
 				maxTokens: 2000
 			}
 		);
 		
-		console.log(`   ✅ AI response received (${response.content?.length || 0} chars)`);
+		console.log(`   ✅ AI response received (${response.content?.length || 0} chars${response.cache?.hit ? ', from cache' : ''})`);
 		
-		// Parse JSON response
-		let parsed = null;
-		try {
-			let cleaned = response.content.trim();
-			if (cleaned.startsWith('```')) {
-				cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
-			}
-			const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-			if (jsonMatch) {
-				cleaned = jsonMatch[0];
-			}
-			parsed = JSON.parse(cleaned);
-		} catch (parseErr) {
-			console.error(`   ❌ Failed to parse AI response:`, parseErr.message);
-			console.error(`   Raw response:`, response.content?.substring(0, 200));
-			// Return empty array if parsing fails
-			return [];
-		}
+		const webResources = response.data.web_resources;
 		
-		const webResources = parsed.web_resources || parsed.webResources || [];
-		
-		if (!Array.isArray(webResources) || webResources.length === 0) {
+		if (webResources.length === 0) {
 			console.warn(`   ⚠️  No web resources in response, using fallback`);
 			return generateFallbackWebResources(diseaseName, language);
 		}
@@ -665,23 +653,20 @@ Return ONLY the JSON, no markdown code blocks, no explanations.`;
 		// Validate and process web resources
 		const processedResources = webResources
 			.filter(resource => {
-				if (!resource || typeof resource !== 'object') return false;
-				const hasTitle = resource.title && typeof resource.title === 'string' && resource.title.trim().length > 0;
-				const hasUrl = resource.url && typeof resource.url === 'string' && resource.url.trim().length > 0;
 				// Validate URL format
 				try {
 					new URL(resource.url);
-					return hasTitle && hasUrl;
+					return true;
 				} catch {
 					return false;
 				}
 			})
-			.map((resource, index) => ({
-				title: String(resource.title || '').trim(),
-				url: String(resource.url || '').trim(),
-				source: String(resource.source || resource.organization || 'Medical Resource').trim(),
-				description: String(resource.description || resource.summary || '').trim(),
-				type: String(resource.type || 'Article').trim(),
+			.map((resource) => ({
+				title: resource.title.trim(),
+				url: resource.url.trim(),
+				source: (resource.source || 'Medical Resource').trim(),
+				description: (resource.description || '').trim(),
+				type: (resource.type || 'Article').trim(),
 				language: String(language).trim(),
 				refreshedAt: new Date(),
 				isWebResource: true // Flag to distinguish from videos
@@ -760,84 +745,32 @@ function generateFallbackWebResources(diseaseName, language = 'en') {
 /**
  * Step 1: Get captions/keywords from AI API for the identified disease
  */
-async function getDiseaseCaptionsFromAI(diseaseName, language = 'en') {
+async function getDiseaseCaptionsFromAI(diseaseName, language = 'en', usageContext = {}) {
 	const languageName = language === 'hi' ? 'Hindi' : 'English';
 	
-	const prompt = `You are a medical content expert. For the disease/condition "${diseaseName}", generate 3-5 search captions or keywords that would be effective for finding educational YouTube videos about this disease.
-
-IMPORTANT: Return ONLY valid JSON with this exact structure:
-{
-  "captions": ["caption1", "caption2", "caption3"]
-}
-
-REQUIREMENTS:
-1. Each caption should be 2-6 words optimized for YouTube search
-2. Include medical terms, symptoms, treatments, or patient education phrases
-3. For ${languageName} content, include ${languageName} search terms if applicable
-4. Captions should be specific enough to find educational videos from trusted medical sources
-
-Example for "Type 2 Diabetes":
-{
-  "captions": [
-    "type 2 diabetes explained",
-    "diabetes treatment guide",
-    "diabetes symptoms causes",
-    "managing type 2 diabetes",
-    "diabetes patient education"
-  ]
-}
-
-Return ONLY the JSON, no markdown, no explanations.`;
+	const prompt = await renderPrompt('captions', { diseaseName, languageName }, { seed: diseaseName });
 
 	try {
 		console.log(`   🤖 Calling AI API to generate captions...`);
-		const { generateAIResponse } = await import('../config/aiProvider.js');
-		const response = await generateAIResponse(
-			[{ role: 'user', content: prompt }],
-			'You are a medical content expert. Return only valid JSON with key "captions" as an array of strings. No markdown code blocks.',
+		const response = await generateStructuredResponse(
+			[{ role: 'user', content: prompt.user }],
+			prompt.system,
 			{ 
+				schema: CAPTIONS_SCHEMA,
+				schemaName: 'captions',
+				cache: { callSite: 'captions', disease: diseaseName },
+				usageContext: { ...usageContext, feature: 'captions', disease: diseaseName, prompt },
 				preferredProviders: ['gemini', 'openrouter', 'groq'],
 				temperature: 0.3,
 				maxTokens: 500
 			}
 		);
 		
-		console.log(`   ✅ AI response received (${response.content?.length || 0} chars)`);
-		
-		// Parse JSON response
-		let parsed = null;
-		try {
-			// Remove markdown code blocks if present
-			let cleaned = response.content.trim();
-			if (cleaned.startsWith('```')) {
-				cleaned = cleaned.replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
-			}
-			parsed = JSON.parse(cleaned);
-		} catch (parseErr) {
-			console.error(`   ❌ Failed to parse AI response:`, parseErr.message);
-			console.error(`   Raw response:`, response.content?.substring(0, 200));
-			// Fallback: create basic captions from disease name
-			return [
-				`${diseaseName} explained`,
-				`${diseaseName} treatment`,
-				`${diseaseName} symptoms`
-			];
-		}
-		
-		const captions = parsed.captions || parsed.keywords || [];
-		
-		if (!Array.isArray(captions) || captions.length === 0) {
-			console.warn(`   ⚠️  No captions in response, using fallback`);
-			return [
-				`${diseaseName} explained`,
-				`${diseaseName} treatment`,
-				`${diseaseName} symptoms`
-			];
-		}
+		console.log(`   ✅ AI response received (${response.content?.length || 0} chars${response.cache?.hit ? ', from cache' : ''})`);
 		
 		// Filter and validate captions
-		const validCaptions = captions
-			.filter(c => c && typeof c === 'string' && c.trim().length > 0)
+		const validCaptions = response.data.captions
+			.filter(c => c.trim().length > 0)
 			.map(c => c.trim())
 			.slice(0, 5); // Max 5 captions
 		
@@ -854,9 +787,9 @@ Return ONLY the JSON, no markdown, no explanations.`;
 }
 
 /**
- * Enrich abnormal findings with reference ranges using Groq AI API
+ * Enrich abnormal findings with reference ranges using Groq AI API, for this patient when their details are known
  */
-async function enrichFindingsWithReferenceRanges(findings) {
+async function enrichFindingsWithReferenceRanges(findings, usageContext = {}, patientContext) {
 	if (!findings || findings.length === 0) return findings;
 	
 	console.log(`\n🔍 Using Groq AI to fetch reference ranges for ${findings.length} findings...`);
@@ -866,50 +799,23 @@ async function enrichFindingsWithReferenceRanges(findings) {
 		`${i + 1}. ${f.test}${f.value ? ` (Value: ${f.value})` : ''}${f.unit ? ` (Unit: ${f.unit})` : ''}`
 	).join('\n');
 	
-	const prompt = `You are a medical laboratory expert with access to standard clinical reference ranges from WHO, CDC, NIH, and clinical laboratory standards.
-
-For each of the following lab tests, provide the standard reference range (normal values) in the exact format requested.
-
-Lab Tests:
-${testList}
-
-CRITICAL REQUIREMENTS:
-1. Return ONLY valid JSON with this exact structure:
-{
-  "reference_ranges": [
-    { "test": "Exact Test Name", "reference_range": "10-20" },
-    { "test": "Another Test", "reference_range": "5.0 - 15.5" }
-  ]
-}
-
-2. Match test names exactly (case-insensitive, but preserve original capitalization in response)
-3. Reference range format: "min-max" (e.g., "10-20", "12.5 - 15.3", "0.5-2.0")
-4. Use standard medical reference ranges from:
-   - WHO (World Health Organization) guidelines
-   - CDC (Centers for Disease Control) standards
-   - Clinical laboratory reference values
-   - Established medical literature
-5. If a test has different ranges for different populations (e.g., male/female, age groups), provide the most common/adult range
-6. If test name doesn't match exactly, use the closest medical term match
-7. If you cannot find a reference range, use "Not available" as the reference_range value
-
-EXAMPLES:
-- Hemoglobin: "12.0 - 17.5" (g/dL)
-- Glucose: "70 - 100" (mg/dL)
-- Creatinine: "0.6 - 1.2" (mg/dL)
-- Total Cholesterol: "< 200" (mg/dL)
-
-Return ONLY the JSON, no markdown code blocks, no explanations, no additional text.`;
+	const patientDescription = describePatientContext(patientContext);
+	const prompt = await renderPrompt(
+		'reference-ranges',
+		{ testList, patientContext: patientDescription || 'not given (use adult ranges)' },
+		{ seed: usageContext.userId }
+	);
 
 	try {
-		const { generateAIResponse } = await import('../config/aiProvider.js');
-		
 		// Use Groq specifically for reference ranges (fast and reliable)
 		console.log('   🤖 Calling Groq AI API...');
-		const response = await generateAIResponse(
-			[{ role: 'user', content: prompt }],
-			'You are a medical laboratory expert. Return only valid JSON with key "reference_ranges" as an array of objects with "test" and "reference_range" fields. No markdown code blocks.',
+		const response = await generateStructuredResponse(
+			[{ role: 'user', content: prompt.user }],
+			prompt.system,
 			{ 
+				schema: REFERENCE_RANGES_SCHEMA,
+				schemaName: 'reference-ranges',
+				usageContext: { ...usageContext, feature: 'reference-ranges', prompt },
 				preferredProviders: ['groq'], // Prioritize Groq for speed
 				temperature: 0.1, // Low temperature for accuracy
 				maxTokens: 2000
@@ -918,35 +824,18 @@ Return ONLY the JSON, no markdown code blocks, no explanations, no additional te
 		
 		console.log(`   ✅ Groq response received (${response.content?.length || 0} chars)`);
 		
-		// Parse JSON response
-		let parsed = null;
-		try {
-			let cleaned = response.content.trim();
-			// Remove markdown code blocks if present
-			if (cleaned.startsWith('```')) {
-				cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
-			}
-			// Try to extract JSON if wrapped in text
-			const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-			if (jsonMatch) {
-				cleaned = jsonMatch[0];
-			}
-			parsed = JSON.parse(cleaned);
-		} catch (parseErr) {
-			console.error('   ❌ Failed to parse Groq response:', parseErr.message);
-			console.error('   Raw response preview:', response.content?.substring(0, 200));
-			return findings; // Return original if parsing fails
-		}
-		
-		const referenceRanges = parsed.reference_ranges || parsed.referenceRanges || [];
+		const referenceRanges = response.data.reference_ranges;
 		console.log(`   📋 Groq returned ${referenceRanges.length} reference ranges`);
 		
 		// Match and enrich findings
 		let enrichedCount = 0;
 		const enrichedFindings = findings.map(finding => {
 			// Try to find matching reference range (case-insensitive, flexible matching)
-			const match = referenceRanges.find(rr => {
+			// Same analyte first, then looser name matching for tests outside the dictionary
+			const match = referenceRanges.find((rr) => rr.test && finding.test && isSameAnalyte(rr.test, finding.test)) || referenceRanges.find(rr => {
 				if (!rr.test || !finding.test) return false;
+				// Never across two different known analytes ("Bilirubin" vs "Bilirubin, Direct")
+				if (finding.analyteId && resolveAnalyte(rr.test) && resolveAnalyte(rr.test).id !== finding.analyteId) return false;
 				
 				const rrTest = rr.test.toLowerCase().trim();
 				const findingTest = finding.test.toLowerCase().trim();
@@ -973,7 +862,8 @@ Return ONLY the JSON, no markdown code blocks, no explanations, no additional te
 				console.log(`   ✅ Enriched "${finding.test}": ${match.reference_range}`);
 				return {
 					...finding,
-					referenceRange: match.reference_range || match.referenceRange || ''
+					referenceRange: match.reference_range || match.referenceRange || '',
+					referenceRangeProvenance: { source: 'ai', citation: prompt.ref, population: patientDescription || 'adult' }
 				};
 			}
 			
@@ -992,102 +882,12 @@ Return ONLY the JSON, no markdown code blocks, no explanations, no additional te
 /**
  * Fetch global statistics and patient impact facts for a disease using Perplexity AI
  */
-async function fetchGlobalStatisticsAndPatientImpact(diseaseName) {
+async function fetchGlobalStatisticsAndPatientImpact(diseaseName, usageContext = {}) {
 	console.log(`   🤖 Calling Perplexity AI to analyze global cases and statistics for "${diseaseName}"...`);
 	
-	const prompt = `You are a medical epidemiologist and patient care expert with access to REAL-TIME medical data via Perplexity's live search capabilities. Analyze the disease/condition "${diseaseName}" and provide comprehensive GLOBAL CASE ANALYSIS and worldwide statistics with SPECIFIC NUMBERS AND FIGURES from current medical databases.
-
-IMPORTANT: Use Perplexity's real-time search to find the LATEST statistics from WHO, CDC, NIH, peer-reviewed journals, and global health databases. Focus on:
-- Total number of cases worldwide (current and historical)
-- Annual new case numbers globally
-- Country-by-country breakdown if available
-- Regional distribution of cases
-- Recent outbreaks or trends
-- Global burden of disease
-
-CRITICAL: Return ONLY valid JSON with this exact structure. ALL values must include specific numbers, percentages, or figures:
-{
-  "global_statistics": {
-    "global_prevalence": "e.g., Affects 422 million people worldwide (8.5% of global population) or 1 in 12 adults. Current global cases: 150 million active cases as of 2024",
-    "incidence_rate": "e.g., 2.5 million new cases per year globally, or 3,500 new cases per 100,000 people annually. Peak incidence in [specific countries/regions]",
-    "mortality_rate": "e.g., 5.2% mortality rate, or 1.5 million deaths per year globally. Case fatality rate: 2.3% in developed countries vs 8.7% in developing regions",
-    "affected_regions": ["Asia (45% of cases - 68 million cases)", "Americas (30% of cases - 45 million cases)", "Europe (20% of cases - 30 million cases)", "Africa (5% of cases - 7.5 million cases)"],
-    "age_groups": "e.g., Most common in ages 45-64 (35% of cases), ages 65+ (28%), ages 25-44 (25%), under 25 (12%). Peak age: 50-60 years",
-    "gender_distribution": "e.g., 55% males, 45% females, or 1.2:1 male-to-female ratio. Higher prevalence in [specific gender] by [percentage]",
-    "economic_impact": "e.g., Costs $327 billion annually in healthcare expenses globally, or $8,500 per patient per year. Lost productivity: $150 billion/year",
-    "trends": "e.g., Increasing by 2.3% per year globally, or 15% increase over the last decade. Recent surge in [regions] with [percentage] increase in 2023-2024",
-    "case_distribution": "e.g., Top 5 countries: USA (25 million cases), China (18 million), India (15 million), Brazil (12 million), Russia (8 million). These account for 52% of global cases"
-  },
-  "patient_impact_facts": {
-    "lifestyle_impact": [
-      "Requires dietary modifications in 85% of cases",
-      "Exercise restrictions affect 60% of patients",
-      "Daily medication adherence needed in 90% of cases",
-      "Sleep pattern changes in 40% of patients"
-    ],
-    "work_impact": [
-      "Average 5-10 days of work absence per year",
-      "30% of patients require job modifications",
-      "Productivity reduction of 15-25% during flare-ups",
-      "Disability claims in 8% of severe cases"
-    ],
-    "family_impact": [
-      "Genetic counseling recommended for 25% of cases",
-      "Family screening advised for first-degree relatives (30% increased risk)",
-      "Caregiver support needed in 20% of cases",
-      "Impact on family finances in 35% of households"
-    ],
-    "financial_impact": [
-      "Average treatment cost: $2,500-$5,000 per year",
-      "Insurance coverage varies: 70-90% typically covered",
-      "Out-of-pocket expenses: $500-$1,500 annually",
-      "Lost income: $3,000-$8,000 per year for severe cases"
-    ],
-    "emotional_impact": [
-      "Anxiety affects 45% of patients",
-      "Depression reported in 30% of cases",
-      "Support groups available in 60% of regions",
-      "Mental health counseling recommended for 25% of patients"
-    ],
-    "long_term_outlook": [
-      "5-year survival rate: 85-95% with proper treatment",
-      "10-year prognosis: Good in 70% of cases with management",
-      "Requires lifelong monitoring in 80% of cases",
-      "Quality of life maintained in 75% of patients"
-    ],
-    "quality_of_life": [
-      "Minimal impact with proper management in 70% of cases",
-      "Daily activities affected in 40% of patients",
-      "Social activities reduced in 25% of cases",
-      "Overall QoL score: 7.2/10 with treatment (vs 4.5/10 without)"
-    ],
-    "precautions": [
-      "Avoid certain medications in 60% of cases",
-      "Regular monitoring every 3-6 months required",
-      "Emergency action plan needed for 15% of patients",
-      "Vaccination considerations for 50% of cases"
-    ]
-  }
-}
-
-REQUIREMENTS:
-1. Use Perplexity's REAL-TIME search to find the LATEST global case data from WHO, CDC, NIH, peer-reviewed journals, and medical databases
-2. ALWAYS include specific numbers, percentages, or figures - avoid vague statements like "common" or "rare"
-3. Include recent data (within last 5 years when possible, prioritize 2023-2024 data)
-4. Provide country-specific breakdowns when available (top 5-10 countries with highest case counts)
-5. Include regional case distribution with percentages and absolute numbers
-6. Mention any recent outbreaks, epidemics, or significant changes in case numbers
-7. Make patient impact facts practical with QUANTITATIVE data
-8. Focus on facts that directly affect the patient's daily life with MEASURABLE IMPACT
-9. Use actual statistics and research findings - cite data sources when possible
-10. If exact numbers aren't available, provide ranges (e.g., "15-25%") or estimates with context and year
-11. For "case_distribution", list top countries/regions with specific case numbers and percentages
-
-Return ONLY the JSON, no markdown code blocks, no explanations. Use Perplexity's live search to get the most current worldwide case statistics.`;
+	const prompt = await renderPrompt('statistics', { diseaseName }, { seed: diseaseName });
 
 		try {
-		const { generateAIResponse } = await import('../config/aiProvider.js');
-		
 		// Check if Perplexity API key is an OpenRouter key
 		const perplexityKey = process.env.PERPLEXITY_API_KEY || '';
 		const isOpenRouterKey = perplexityKey.startsWith('sk-or-v1-');
@@ -1110,10 +910,14 @@ Return ONLY the JSON, no markdown code blocks, no explanations. Use Perplexity's
 		
 		// Try Perplexity first
 		try {
-			response = await generateAIResponse(
-				[{ role: 'user', content: prompt }],
-				'You are a medical epidemiologist with access to real-time medical data. Return only valid JSON with "global_statistics" and "patient_impact_facts" objects. Include specific numbers and figures. No markdown code blocks.',
+			response = await generateStructuredResponse(
+				[{ role: 'user', content: prompt.user }],
+				prompt.system,
 				{ 
+					schema: STATISTICS_SCHEMA,
+					schemaName: 'statistics',
+					cache: { callSite: 'statistics', disease: diseaseName },
+					usageContext: { ...usageContext, feature: 'stats', disease: diseaseName, prompt },
 					preferredProviders: preferredProviders,
 					model: model, // Specify Perplexity model if using OpenRouter
 					temperature: 0.1, // Very low temperature for accuracy
@@ -1140,10 +944,14 @@ Return ONLY the JSON, no markdown code blocks, no explanations. Use Perplexity's
 			for (const fallback of fallbackProviders) {
 				try {
 					console.log(`   🔄 Trying fallback: ${fallback.name}...`);
-					response = await generateAIResponse(
-						[{ role: 'user', content: prompt }],
-						'You are a medical epidemiologist with access to real-time medical data. Return only valid JSON with "global_statistics" and "patient_impact_facts" objects. Include specific numbers and figures. No markdown code blocks.',
+					response = await generateStructuredResponse(
+						[{ role: 'user', content: prompt.user }],
+						prompt.system,
 						{ 
+							schema: STATISTICS_SCHEMA,
+							schemaName: 'statistics',
+							cache: { callSite: 'statistics', disease: diseaseName },
+							usageContext: { ...usageContext, feature: 'stats', disease: diseaseName, prompt },
 							preferredProviders: fallback.providers,
 							temperature: 0.1,
 							maxTokens: 4000
@@ -1185,66 +993,32 @@ Return ONLY the JSON, no markdown code blocks, no explanations. Use Perplexity's
 			return { globalStatistics: null, patientImpactFacts: null };
 		}
 		
-		// Parse JSON response
-		let parsed = null;
-		try {
-			let cleaned = response.content.trim();
-			if (cleaned.startsWith('```')) {
-				cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
-			}
-			const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-			if (jsonMatch) {
-				cleaned = jsonMatch[0];
-			}
-			parsed = JSON.parse(cleaned);
-			console.log('   ✅ Successfully parsed JSON response');
-		} catch (parseErr) {
-			console.error('   ❌ Failed to parse Perplexity response:', parseErr.message);
-			console.error('   Raw response preview:', response.content?.substring(0, 500));
-			console.error('   Parse error details:', parseErr);
-			return { globalStatistics: null, patientImpactFacts: null };
-		}
-		
-		const globalStats = parsed.global_statistics || parsed.globalStatistics || {};
-		const patientFacts = parsed.patient_impact_facts || parsed.patientImpactFacts || {};
-		
-		// Helper function to normalize string arrays (local to this function)
-		const normalizeStringArrayLocal = (arr) => {
-			if (!arr) return [];
-			if (Array.isArray(arr)) {
-				return arr.filter(Boolean).map(item => String(item).trim()).filter(item => item.length > 0);
-			}
-			if (typeof arr === 'string') {
-				return [arr.trim()].filter(item => item.length > 0);
-			}
-			return [];
-		};
+		const globalStats = response.data.global_statistics;
+		const patientFacts = response.data.patient_impact_facts;
 		
 		// Normalize the data
 		const globalStatistics = {
-			globalPrevalence: globalStats.global_prevalence || globalStats.globalPrevalence || '',
-			incidenceRate: globalStats.incidence_rate || globalStats.incidenceRate || '',
-			mortalityRate: globalStats.mortality_rate || globalStats.mortalityRate || '',
-			affectedRegions: Array.isArray(globalStats.affected_regions || globalStats.affectedRegions) 
-				? (globalStats.affected_regions || globalStats.affectedRegions)
-				: [],
-			ageGroups: globalStats.age_groups || globalStats.ageGroups || '',
-			genderDistribution: globalStats.gender_distribution || globalStats.genderDistribution || '',
-			economicImpact: globalStats.economic_impact || globalStats.economicImpact || '',
+			globalPrevalence: globalStats.global_prevalence || '',
+			incidenceRate: globalStats.incidence_rate || '',
+			mortalityRate: globalStats.mortality_rate || '',
+			affectedRegions: globalStats.affected_regions || [],
+			ageGroups: globalStats.age_groups || '',
+			genderDistribution: globalStats.gender_distribution || '',
+			economicImpact: globalStats.economic_impact || '',
 			trends: globalStats.trends || '',
-			caseDistribution: globalStats.case_distribution || globalStats.caseDistribution || '', // New field for case breakdown
+			caseDistribution: globalStats.case_distribution || '', // New field for case breakdown
 			lastUpdated: new Date()
 		};
 		
 		const patientImpactFacts = {
-			lifestyleImpact: normalizeStringArrayLocal(patientFacts.lifestyle_impact || patientFacts.lifestyleImpact),
-			workImpact: normalizeStringArrayLocal(patientFacts.work_impact || patientFacts.workImpact),
-			familyImpact: normalizeStringArrayLocal(patientFacts.family_impact || patientFacts.familyImpact),
-			financialImpact: normalizeStringArrayLocal(patientFacts.financial_impact || patientFacts.financialImpact),
-			emotionalImpact: normalizeStringArrayLocal(patientFacts.emotional_impact || patientFacts.emotionalImpact),
-			longTermOutlook: normalizeStringArrayLocal(patientFacts.long_term_outlook || patientFacts.longTermOutlook),
-			qualityOfLife: normalizeStringArrayLocal(patientFacts.quality_of_life || patientFacts.qualityOfLife),
-			precautions: normalizeStringArrayLocal(patientFacts.precautions || []),
+			lifestyleImpact: patientFacts.lifestyle_impact || [],
+			workImpact: patientFacts.work_impact || [],
+			familyImpact: patientFacts.family_impact || [],
+			financialImpact: patientFacts.financial_impact || [],
+			emotionalImpact: patientFacts.emotional_impact || [],
+			longTermOutlook: patientFacts.long_term_outlook || [],
+			qualityOfLife: patientFacts.quality_of_life || [],
+			precautions: patientFacts.precautions || [],
 			lastUpdated: new Date()
 		};
 		
@@ -1305,447 +1079,726 @@ function extractVideoIdFromUrl(url) {
 	return null;
 }
 
-export async function interpretReport(req, res) {
-	try {
-		const { parsedText, fileName } = req.body;
-		if (!parsedText || parsedText.length < 5) {
-			return res.status(400).json({ message: 'parsedText required' });
-		}
-		
-		console.log('🔬 Starting multi-provider consensus analysis...');
-		
-		// Use multi-provider consensus for fact-based medical analysis
-		let aiResponse;
-		let result;
-		try {
-			aiResponse = await getConsensusResponse(
-				[{ role: 'user', content: buildInterpretPrompt(parsedText) }],
-				'Return only valid JSON for downstream parsing. Be precise and evidence-based.',
-				{ sectionType: 'json', minProviders: 1, temperature: 0.1, maxTokens: 4000 }
-			);
-			result = aiResponse.parsed || safeJsonParse(aiResponse.content) || {};
-			result.disclaimer = DISCLAIMER;
-			result.aiProvider = aiResponse.providers.join(', '); // Track all providers used
-			result.aiModel = aiResponse.models.join(', ');
-			result.consensusValidated = aiResponse.validatedBy > 1;
-			result.validatedBy = aiResponse.validatedBy;
-		} catch (consensusError) {
-			console.warn('⚠️  Consensus failed, falling back to single provider:', consensusError.message);
-			// Fallback to single provider if consensus fails
-			const fallback = await generateAIResponse(
-				[{ role: 'user', content: buildInterpretPrompt(parsedText) }],
-				'Return only valid JSON for downstream parsing.',
-				{ preferredProviders: ['openrouter', 'groq'], temperature: 0.1, maxTokens: 4000 }
-			);
-			result = safeJsonParse(fallback.content) || {};
-			result.disclaimer = DISCLAIMER;
-			result.aiProvider = fallback.provider;
-			result.aiModel = fallback.model;
-			result.consensusValidated = false;
-			result.validatedBy = 1;
-		}
-
-		// Normalize complex AI responses to match schema
-		function normalizeDiseaseName(diseaseData) {
-			if (typeof diseaseData === 'string') return diseaseData;
-			if (typeof diseaseData === 'object' && diseaseData !== null) {
-				return diseaseData.primary_diagnosis || diseaseData.diagnosis || diseaseData.name || 'Unknown';
-			}
-			return 'Unknown';
-		}
-
-		function normalizeCause(causeData) {
-			if (typeof causeData === 'string') return causeData;
-			if (typeof causeData === 'object' && causeData !== null) {
-				const parts = [];
-				if (causeData.pathophysiology) parts.push(causeData.pathophysiology);
-				if (causeData.epidemiology) parts.push(`Epidemiology: ${causeData.epidemiology}`);
-				if (Array.isArray(causeData.risk_factors) && causeData.risk_factors.length) {
-					parts.push(`Risk factors: ${causeData.risk_factors.join(', ')}`);
-				}
-				if (causeData.genetic_factors && causeData.genetic_factors !== 'None') {
-					parts.push(`Genetic factors: ${causeData.genetic_factors}`);
-				}
-				return parts.length > 0 ? parts.join('\n\n') : JSON.stringify(causeData);
-			}
-			return '';
-		}
+function httpError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
 
-		function normalizeStringArray(arrayData) {
-			if (!arrayData) return [];
-			if (Array.isArray(arrayData)) {
-				const normalized = [];
-				for (const item of arrayData) {
-					if (typeof item === 'string') {
-						normalized.push(item);
-					} else if (typeof item === 'object' && item !== null) {
-						// Extract from common object structures
-						if (Array.isArray(item.primary_symptoms)) {
-							normalized.push(...item.primary_symptoms);
-						} else if (Array.isArray(item.primary_prevention)) {
-							normalized.push(...item.primary_prevention);
-						} else if (Array.isArray(item.first_line_treatments)) {
-							normalized.push(...item.first_line_treatments);
-						} else if (item.name || item.title || item.text) {
-							normalized.push(item.name || item.title || item.text);
-						} else {
-							// Flatten object to readable strings
-							const values = Object.values(item).flat();
-							for (const val of values) {
-								if (typeof val === 'string' && val.trim()) {
-									normalized.push(val);
-								} else if (Array.isArray(val)) {
-									normalized.push(...val.filter(v => typeof v === 'string'));
-								}
-							}
-						}
-					} else {
-						const str = String(item).trim();
-						if (str) normalized.push(str);
-					}
-				}
-				return normalized.filter(Boolean);
+/**
+ * The part of an interpretation that needs no database: AI diagnosis (consensus, falling back to one provider),
+ * confidence, differentials, abnormal findings merged with the ones read straight from the text, and the
+ * prompt-injection checks on the text (inputCheck).
+ * runInterpretation builds on it; scripts (the offline eval) call it directly. promptVersion pins the prompt version;
+ * patientContext ({ age, sex, pregnant, trimester }) picks the reference ranges for missing or unprinted ones;
+ * profile (the user's health profile) is summarized into the prompt. `results` is the full panel read from the
+ * text plus the calculated values (services/labCalculations.js); out-of-range calculated values are findings too.
+ */
+export async function interpretReportText(parsedText, { userId, promptVersion, patientContext, profile, emit = () => {} } = {}) {
+	console.log('🔬 Starting multi-provider consensus analysis...');
+	// The report is untrusted input: cleaned, instruction-like lines redacted, delimiters escaped
+	const reportInput = prepareReportText(parsedText);
+	// Seeded by user so each patient stays on one prompt version during an A/B rollout
+	const prompt = await renderPrompt(
+		'interpret',
+		{ parsedText: reportInput.text, patientProfile: describeProfile(profile) || 'Not provided.' },
+		{ seed: userId, version: promptVersion }
+	);
+	
+	// Use multi-provider consensus for fact-based medical analysis
+	let aiResponse;
+	let result;
+	try {
+		aiResponse = await getConsensusResponse(
+			[{ role: 'user', content: prompt.user }],
+			prompt.system,
+			{
+				sectionType: 'json',
+				schema: INTERPRET_SCHEMA,
+				schemaName: 'interpret',
+				minProviders: 1,
+				temperature: 0.1,
+				maxTokens: 4000,
+				usageContext: { userId, feature: 'interpret', prompt }
 			}
-			if (typeof arrayData === 'string') {
-				// Try to parse if it's a JSON string
-				try {
-					const parsed = JSON.parse(arrayData);
-					return normalizeStringArray(parsed);
-				} catch {
-					// If it's a multiline string with array-like syntax, try to extract
-					const match = arrayData.match(/\[(.*?)\]/s);
-					if (match) {
-						try {
-							const parsed = JSON.parse(match[0]);
-							return normalizeStringArray(parsed);
-						} catch {
-							// Extract quoted strings
-							const quoted = arrayData.match(/'([^']+)'|"([^"]+)"/g);
-							if (quoted) {
-								return quoted.map(q => q.replace(/['"]/g, '')).filter(Boolean);
-							}
-						}
-					}
-					return [arrayData];
-				}
+		);
+		result = aiResponse.parsed;
+		result.disclaimer = DISCLAIMER;
+		result.aiProvider = aiResponse.providers.join(', '); // Track all providers used
+		result.aiModel = aiResponse.models.join(', ');
+		result.consensusValidated = aiResponse.validatedBy > 1;
+		result.validatedBy = aiResponse.validatedBy;
+		result.agreement = aiResponse.agreement || null;
+		result.disagreement = aiResponse.disagreement;
+		result.providerOutputs = aiResponse.providerOutputs;
+	} catch (consensusError) {
+		console.warn('⚠️  Consensus failed, falling back to single provider:', consensusError.message);
+		// Fallback to single provider if consensus fails
+		const fallback = await generateStructuredResponse(
+			[{ role: 'user', content: prompt.user }],
+			prompt.system,
+			{
+				schema: INTERPRET_SCHEMA,
+				schemaName: 'interpret',
+				preferredProviders: ['openrouter', 'groq'],
+				temperature: 0.1,
+				maxTokens: 4000,
+				usageContext: { userId, feature: 'interpret', prompt }
 			}
-			return [];
-		}
+		);
+		result = fallback.data;
+		result.disclaimer = DISCLAIMER;
+		result.aiProvider = fallback.provider;
+		result.aiModel = fallback.model;
+		result.consensusValidated = false;
+		result.validatedBy = 1;
+		result.agreement = null;
+		result.disagreement = null;
+		result.providerOutputs = [{ provider: fallback.provider, model: fallback.model, output: fallback.data }];
+	}
 
-		function normalizeSeverity(severityData) {
-			if (typeof severityData === 'string') return severityData;
-			if (typeof severityData === 'object' && severityData !== null) {
-				return severityData.assessment || severityData.level || severityData.severity || JSON.stringify(severityData);
+	const name = result.probable_disease.trim();
+	const providerAnswers = result.providerOutputs.map((entry) => entry.output);
+	const primary = { name, icd10Code: result.icd10_code };
+	const confidence = scoreDiagnosisConfidence({ primary, outputs: providerAnswers, agreement: result.agreement?.diagnosis });
+	const differentials = rankDifferentials({ primary, outputs: providerAnswers });
+	emit('diagnosis-ready', {
+		probableDisease: name,
+		confidence,
+		differentials,
+		aiProvider: result.aiProvider,
+		aiModel: result.aiModel,
+		consensusValidated: result.consensusValidated,
+		validatedBy: result.validatedBy,
+		agreement: result.agreement
+	});
+	
+	// Process abnormal findings and enrich with reference ranges if missing
+	let abnormalFindings = result.abnormal_values.map((v) => {
+		let referenceRange = v.reference_range || '';
+		
+		// If reference range is missing, try to extract from interpretation (numeric only: prose says "negative" freely)
+		if (!referenceRange && v.interpretation) {
+			const found = findReferenceRange(v.interpretation);
+			if (found && found.range.kind !== 'categorical') {
+				referenceRange = found.range.text;
 			}
-			return '';
 		}
-
-		// Normalize fields
-		const name = normalizeDiseaseName(result.probable_disease) || 'Unknown';
 		
-		// Process abnormal findings and enrich with reference ranges if missing
-		let abnormalFindings = Array.isArray(result.abnormal_values)
-			? result.abnormal_values.map((v) => {
-					// Extract reference range from multiple possible fields
-					let referenceRange = v.reference_range || v.referenceRange || v.range || v.reference || v.ref_range || '';
-					
-					// If reference range is missing, try to extract from interpretation
-					if (!referenceRange && v.interpretation) {
-						const rangeMatch = String(v.interpretation).match(/(\d+\.?\d*)\s*[-–—to]\s*(\d+\.?\d*)/i);
-						if (rangeMatch) {
-							referenceRange = `${rangeMatch[1]} - ${rangeMatch[2]}`;
-						}
-					}
-					
-					return {
-					test: v.test || v.name || '',
-					value: v.value ? String(v.value) : '',
-					unit: v.unit || v.units || '',
-						referenceRange: referenceRange,
-					interpretation: v.interpretation || v.meaning || '',
-					flag: v.flag || v.status || '',
-					severity: v.severity || v.level || ''
-					};
-			  })
-			: [];
+		return annotateFinding({
+			test: v.test,
+			value: v.value != null ? String(v.value) : '',
+			unit: v.unit || '',
+			referenceRange: referenceRange,
+			interpretation: v.interpretation || '',
+			flag: v.flag || '',
+			severity: v.severity || ''
+		});
+	});
+	
+	// Merge with findings extracted directly from text (these have reference ranges from document)
+	console.log('\n' + '='.repeat(70));
+	console.log('📄 STEP: Extracting results directly from uploaded document...');
+	console.log('='.repeat(70));
+	const extractedResults = extractResultsFromText(parsedText);
+	const fallbackFindings = extractedResults.filter((finding) => isAbnormalFlag(finding.flag));
+	
+	// Merge: prefer AI findings but use extracted ones if they have better reference ranges
+	if (fallbackFindings && fallbackFindings.length > 0) {
+		console.log(`\n✅ Found ${fallbackFindings.length} findings from direct text extraction`);
+		console.log('   Extracted findings:');
+		fallbackFindings.forEach((f, i) => {
+			console.log(`   ${i + 1}. ${f.test} = ${f.value} ${f.unit || ''} (Range: ${f.referenceRange || 'N/A'})`);
+		});
 		
-		// Merge with findings extracted directly from text (these have reference ranges from document)
-		console.log('\n' + '='.repeat(70));
-		console.log('📄 STEP: Extracting abnormal values directly from uploaded document...');
-		console.log('='.repeat(70));
-		const fallbackFindings = extractAbnormalFromText(parsedText);
+		// Merge findings: use extracted ones if they have reference ranges and AI ones don't
+		const mergedFindings = [...abnormalFindings];
+		let updatedCount = 0;
+		let addedCount = 0;
 		
-		// Merge: prefer AI findings but use extracted ones if they have better reference ranges
-		if (fallbackFindings && fallbackFindings.length > 0) {
-			console.log(`\n✅ Found ${fallbackFindings.length} findings from direct text extraction`);
-			console.log('   Extracted findings:');
-			fallbackFindings.forEach((f, i) => {
-				console.log(`   ${i + 1}. ${f.test} = ${f.value} ${f.unit || ''} (Range: ${f.referenceRange || 'N/A'})`);
-			});
-			
-			// Merge findings: use extracted ones if they have reference ranges and AI ones don't
-			const mergedFindings = [...abnormalFindings];
-			let updatedCount = 0;
-			let addedCount = 0;
+		for (const extracted of fallbackFindings) {
+			// Same analyte under any of its names ("Hb" from the model, "Haemoglobin" on the report)
+			const existing = mergedFindings.find((f) => f.test && extracted.test && isSameAnalyte(f.test, extracted.test));
 			
-			for (const extracted of fallbackFindings) {
-				const existing = mergedFindings.find(f => 
-					f.test && extracted.test &&
-					f.test.toLowerCase().trim() === extracted.test.toLowerCase().trim()
-				);
-				
-				if (existing) {
-					// If extracted has reference range but existing doesn't, use extracted
-					if (extracted.referenceRange && !existing.referenceRange) {
-						existing.referenceRange = extracted.referenceRange;
-						updatedCount++;
-						console.log(`   ✅ Updated reference range for "${existing.test}": ${extracted.referenceRange}`);
-					}
-				} else {
-					// New finding from extraction, add it
-					mergedFindings.push(extracted);
-					addedCount++;
-					console.log(`   ➕ Added new finding from extraction: "${extracted.test}" = ${extracted.value} ${extracted.unit || ''}`);
+			if (existing) {
+				// If extracted has reference range but existing doesn't, use extracted
+				if (extracted.referenceRange && !existing.referenceRange) {
+					existing.referenceRange = extracted.referenceRange;
+					updatedCount++;
+					console.log(`   ✅ Updated reference range for "${existing.test}": ${extracted.referenceRange}`);
 				}
+			} else {
+				// New finding from extraction, add it
+				mergedFindings.push(extracted);
+				addedCount++;
+				console.log(`   ➕ Added new finding from extraction: "${extracted.test}" = ${extracted.value} ${extracted.unit || ''}`);
 			}
-			
-			console.log(`\n📊 Merge Summary: ${updatedCount} updated, ${addedCount} added, ${mergedFindings.length} total findings`);
-			abnormalFindings = mergedFindings;
-		} else {
-			console.log('   ⚠️  No findings extracted from document text');
-		}
-		
-		// Enrich findings with reference ranges from Groq AI if still missing
-		const findingsNeedingRanges = abnormalFindings.filter(f => !f.referenceRange || f.referenceRange.trim() === '');
-		if (findingsNeedingRanges.length > 0) {
-			console.log('\n' + '='.repeat(70));
-			console.log(`📋 STEP: Enriching ${findingsNeedingRanges.length} findings with missing reference ranges using Groq AI...`);
-			console.log('='.repeat(70));
-			console.log('   Findings needing ranges:');
-			findingsNeedingRanges.forEach((f, i) => {
-				console.log(`   ${i + 1}. ${f.test} = ${f.value} ${f.unit || ''}`);
-			});
-			
-			try {
-				const enrichedFindings = await enrichFindingsWithReferenceRanges(findingsNeedingRanges);
-				// Update findings with enriched data
-				let enrichedCount = 0;
-				abnormalFindings = abnormalFindings.map(f => {
-					const enriched = enrichedFindings.find(e => e.test === f.test);
-					if (enriched && enriched.referenceRange && enriched.referenceRange !== f.referenceRange) {
-						enrichedCount++;
-						return { ...f, referenceRange: enriched.referenceRange };
-					}
-					return f;
-				});
-				console.log(`\n✅ Successfully enriched ${enrichedCount} findings with Groq AI`);
-			} catch (err) {
-				console.error('\n❌ Failed to enrich reference ranges:', err.message);
-				console.error('   Stack:', err.stack?.split('\n').slice(0, 3).join('\n'));
-			}
-		} else {
-			console.log('\n✅ All findings already have reference ranges - skipping Groq enrichment');
 		}
 		
-		// Final summary
-		console.log('\n' + '='.repeat(70));
-		console.log('📊 FINAL ABNORMAL FINDINGS SUMMARY');
-		console.log('='.repeat(70));
-		console.log(`   Total findings: ${abnormalFindings.length}`);
-		const withRanges = abnormalFindings.filter(f => f.referenceRange && f.referenceRange.trim() !== '').length;
-		console.log(`   With reference ranges: ${withRanges}/${abnormalFindings.length}`);
-		if (abnormalFindings.length > 0) {
-			console.log('\n   Final findings list:');
-			abnormalFindings.forEach((f, i) => {
-				const hasRange = f.referenceRange && f.referenceRange.trim() !== '';
-				console.log(`   ${i + 1}. ${f.test} = ${f.value} ${f.unit || ''} | Range: ${hasRange ? f.referenceRange : '❌ Missing'} | Status: ${f.flag || f.severity || 'N/A'}`);
-			});
-		}
-		console.log('='.repeat(70) + '\n');
-		const medications = Array.isArray(result.medications)
-			? result.medications
-					.map((med) =>
-						typeof med === 'string'
-							? med
-							: med.name || med.generic || med.drug || med.title || ''
-					)
-					.filter(Boolean)
-			: typeof result.medications === 'string'
-			? [result.medications]
-			: [];
-		const medicationDetails = medications.length ? await enrichMedications(medications) : [];
-		// Fetch global statistics and patient impact facts using Perplexity AI
+		console.log(`\n📊 Merge Summary: ${updatedCount} updated, ${addedCount} added, ${mergedFindings.length} total findings`);
+		abnormalFindings = mergedFindings;
+	} else {
+		console.log('   ⚠️  No findings extracted from document text');
+	}
+	emit('findings-extracted', { abnormalFindings });
+
+	const postCheck = checkInterpretationConsistency({
+		text: parsedText,
+		result,
+		extractedFindings: fallbackFindings || [],
+		detection: reportInput.detection
+	});
+	if (!postCheck.consistent) {
+		console.warn('⚠️  Interpretation does not match the report:', postCheck.issues.map((issue) => issue.detail).join(' | '));
+	}
+	const inputCheck = {
+		suspicious: reportInput.detection.suspicious || !postCheck.consistent,
+		sanitized: reportInput.changed,
+		detectedPatterns: reportInput.detection.matches,
+		issues: postCheck.issues,
+		checkedAt: new Date()
+	};
+	
+	// Ranges printed on the report stand; otherwise the local table for this patient's age, sex and pregnancy
+	abnormalFindings = abnormalFindings.map((finding) => resolveReferenceRange(finding, { patientContext, reportText: parsedText }));
+
+	// Enrich findings with reference ranges from Groq AI if still missing
+	const findingsNeedingRanges = abnormalFindings.filter(f => !f.referenceRange || f.referenceRange.trim() === '');
+	if (findingsNeedingRanges.length > 0) {
 		console.log('\n' + '='.repeat(70));
-		console.log('🌍 STEP: Fetching global statistics and patient impact facts using Perplexity AI...');
+		console.log(`📋 STEP: Enriching ${findingsNeedingRanges.length} findings with missing reference ranges using Groq AI...`);
 		console.log('='.repeat(70));
-		let globalStatistics = null;
-		let patientImpactFacts = null;
+		console.log('   Findings needing ranges:');
+		findingsNeedingRanges.forEach((f, i) => {
+			console.log(`   ${i + 1}. ${f.test} = ${f.value} ${f.unit || ''}`);
+		});
 		
 		try {
-			const statsAndFacts = await fetchGlobalStatisticsAndPatientImpact(name);
-			globalStatistics = statsAndFacts.globalStatistics;
-			patientImpactFacts = statsAndFacts.patientImpactFacts;
-			
-			if (globalStatistics) {
-				console.log('✅ Global statistics fetched:', {
-					hasPrevalence: !!globalStatistics.globalPrevalence,
-					hasIncidence: !!globalStatistics.incidenceRate,
-					hasMortality: !!globalStatistics.mortalityRate,
-					fieldsCount: Object.keys(globalStatistics).filter(k => globalStatistics[k] && k !== 'lastUpdated').length
-				});
-			}
-			
-			if (patientImpactFacts) {
-				console.log('✅ Patient impact facts fetched:', {
-					lifestyle: patientImpactFacts.lifestyleImpact?.length || 0,
-					work: patientImpactFacts.workImpact?.length || 0,
-					family: patientImpactFacts.familyImpact?.length || 0,
-					financial: patientImpactFacts.financialImpact?.length || 0,
-					emotional: patientImpactFacts.emotionalImpact?.length || 0,
-					totalCategories: Object.keys(patientImpactFacts).filter(k => Array.isArray(patientImpactFacts[k]) && patientImpactFacts[k].length > 0).length
-				});
-			}
+			const enrichedFindings = await enrichFindingsWithReferenceRanges(findingsNeedingRanges, { userId }, patientContext);
+			// Update findings with enriched data
+			let enrichedCount = 0;
+			abnormalFindings = abnormalFindings.map(f => {
+				const enriched = enrichedFindings.find(e => e.test === f.test);
+				if (enriched && enriched.referenceRange && enriched.referenceRange !== f.referenceRange) {
+					enrichedCount++;
+					return { ...f, referenceRange: enriched.referenceRange, referenceRangeProvenance: enriched.referenceRangeProvenance };
+				}
+				return f;
+			});
+			console.log(`\n✅ Successfully enriched ${enrichedCount} findings with Groq AI`);
 		} catch (err) {
-			console.error('⚠️  Failed to fetch global statistics:', err.message);
+			console.error('\n❌ Failed to enrich reference ranges:', err.message);
 			console.error('   Stack:', err.stack?.split('\n').slice(0, 3).join('\n'));
 		}
-		
-		const videoResourcesRaw =
-			Array.isArray(result.video_resources) && result.video_resources.length
-				? result.video_resources
-				: null;
-		const videoResources = videoResourcesRaw
-			? videoResourcesRaw
-					.filter((item) => item?.url && item?.title)
-					.map((item) => ({
-						title: item.title,
-						url: item.url,
-						channel: item.channel || item.source || '',
-						duration: item.duration || '',
-						reason: item.reason || item.summary || '',
-						audioUrl: item.audio_url || '',
-						language: item.language || 'en',
-						refreshedAt: new Date()
-					}))
-			: await fetchVideoResources(name, 'en');
-		const specialistProviders = await fetchSpecialists(name);
-		const emergencyRemedyRaw =
-			result.emergency_home_remedy ||
-			result.emergency_home_remedies ||
-			result.first_aid ||
-			result.emergency_care;
-		const emergencyRemedies = Array.isArray(emergencyRemedyRaw)
-			? emergencyRemedyRaw.filter(Boolean).map((item) => String(item))
-			: emergencyRemedyRaw
-			? [String(emergencyRemedyRaw)]
-			: [];
-
-		// Log what we're about to save
-		console.log('\n' + '='.repeat(70));
-		console.log('💾 STEP: Saving disease data to database...');
-		console.log('='.repeat(70));
-		console.log('   Disease name:', name);
-		console.log('   Global statistics:', globalStatistics ? 'Present' : 'Missing');
-		if (globalStatistics) {
-			console.log('   Global stats fields:', Object.keys(globalStatistics).filter(k => globalStatistics[k] && k !== 'lastUpdated'));
+	} else {
+		console.log('\n✅ All findings already have reference ranges - skipping Groq enrichment');
+	}
+	emit('reference-ranges-enriched', { abnormalFindings });
+
+	// Keep values as reported and add a copy in the dictionary's conventional unit for trends and unit preferences;
+	// parse each range into { low, high, comparator } and flag values the lab or model left unflagged
+	abnormalFindings = abnormalFindings.map(normalizeFinding).map(withParsedRange);
+
+	// The full panel, normal results included, with the same range resolution and unit normalization
+	const results = extractedResults
+		.map((finding) => resolveReferenceRange(finding, { patientContext, reportText: parsedText }))
+		.map(normalizeFinding)
+		.map(withParsedRange);
+
+	// Derived values (eGFR, LDL, anion gap, ...) from the panel plus anything only the model read off the report;
+	// they join the panel, and the out-of-range ones the findings
+	const panel = [...results, ...abnormalFindings.filter((f) => !results.some((r) => isSameAnalyte(r.test, f.test)))];
+	const calculatedFindings = deriveCalculatedFindings(panel, { patientContext, profile }).map(normalizeFinding).map(withParsedRange);
+	results.push(...calculatedFindings);
+	abnormalFindings.push(...calculatedFindings.filter((finding) => isAbnormalFlag(finding.flag)));
+
+	// Final summary
+	console.log('\n' + '='.repeat(70));
+	console.log('📊 FINAL ABNORMAL FINDINGS SUMMARY');
+	console.log('='.repeat(70));
+	console.log(`   Total findings: ${abnormalFindings.length}`);
+	const withRanges = abnormalFindings.filter(f => f.referenceRange && f.referenceRange.trim() !== '').length;
+	console.log(`   With reference ranges: ${withRanges}/${abnormalFindings.length}`);
+	if (abnormalFindings.length > 0) {
+		console.log('\n   Final findings list:');
+		abnormalFindings.forEach((f, i) => {
+			const hasRange = f.referenceRange && f.referenceRange.trim() !== '';
+			console.log(`   ${i + 1}. ${f.test} = ${f.value} ${f.unit || ''} | Range: ${hasRange ? f.referenceRange : '❌ Missing'} | Status: ${f.flag || f.severity || 'N/A'}`);
+		});
+	}
+	console.log('='.repeat(70) + '\n');
+
+	return { result, prompt, confidence, differentials, abnormalFindings, results, inputCheck };
+}
+
+/**
+ * Rule-based red-flag triage of the report text; no AI involved, so it also works when every provider is down
+ */
+function triageReportText(parsedText) {
+	return triageReport({ findings: extractResultsFromText(parsedText), text: parsedText });
+}
+
+/**
+ * Run the full interpretation pipeline for one report.
+ * `emit(type, data)` is called as each stage finishes so callers can stream partial results.
+ */
+export async function runInterpretation({ userId, reportId, parsedText: inputText, fileName }, emit = () => {}) {
+	let report = null;
+	try {
+		if (reportId) {
+			report = await Report.findOne({ _id: reportId, userId });
+			if (!report) throw httpError(404, 'Report not found');
 		}
-		console.log('   Patient impact facts:', patientImpactFacts ? 'Present' : 'Missing');
-		if (patientImpactFacts) {
-			const categoriesWithData = Object.keys(patientImpactFacts).filter(k => 
-				Array.isArray(patientImpactFacts[k]) && patientImpactFacts[k].length > 0
-			);
-			console.log('   Patient impact categories:', categoriesWithData.length, categoriesWithData);
+		const parsedText = inputText || report?.parsedText;
+		if (!parsedText || parsedText.length < 5) {
+			throw httpError(400, 'parsedText required');
 		}
-
-		// Upsert Disease (unapproved by default)
-		const disease = await Disease.create({
-			name,
-			aiSummary: {
-				cause: normalizeCause(result.cause) || '',
-				symptoms: normalizeStringArray(result.symptoms),
-				prevention: normalizeStringArray(result.prevention),
-				treatments: normalizeStringArray(result.treatments),
-				medications,
-				medicationDetails,
-				emergencyRemedies,
-				typicalDuration: result.typical_duration || (typeof result.typical_duration === 'object' ? JSON.stringify(result.typical_duration) : ''),
-				severity: normalizeSeverity(result.severity) || '',
-				sources: [],
-				generatedAt: new Date()
-			},
-			globalStatistics: globalStatistics || {},
-			patientImpactFacts: patientImpactFacts || {},
-			abnormalFindings,
-			specialistProviders,
-			videoResources,
-			pharmacyLinks: [],
-			approved: false,
-			createdBy: req.user ? req.user.id : null,
-			aiProvider: aiResponse.provider, // Store which provider was used
-			aiModel: aiResponse.model // Store which model was used
+		if (!report) {
+			report = await Report.create({
+				userId,
+				file: { originalName: fileName || 'upload', extractionMethod: 'manual' },
+				parsedText
+			});
+		}
+		const startedAt = new Date();
+		emit('started', { reportId: report._id });
+		// The profile fills in what wasn't given with the report; the context used is kept on the report
+		const profile = await loadPatientProfile(userId);
+		const patientContext = patientContextFor(profile, report.patientContext, report.createdAt);
+		report.patientContext = patientContext;
+		// Triage goes first and is kept on the report even if the AI stages fail
+		const triage = triageReportText(parsedText);
+		report.triage = triage;
+		emit('triage', triage);
+		
+		const { result, prompt, confidence, differentials, abnormalFindings, results, inputCheck } = await interpretReportText(parsedText, {
+			userId,
+			patientContext,
+			profile,
+			emit
 		});
-		
-		console.log('✅ Disease saved with ID:', disease._id);
-		console.log('   Saved global statistics:', disease.globalStatistics ? 'Yes' : 'No');
-		console.log('   Saved patient impact facts:', disease.patientImpactFacts ? 'Yes' : 'No');
-		console.log('='.repeat(70) + '\n');
-
-		// Save History
-		if (req.user) {
-			await History.create({
-				userId: req.user.id,
-				fileName: fileName || 'upload',
-				detectedDisease: name,
-				parsedText,
-				aiSummary: disease.aiSummary,
+		const name = result.probable_disease.trim();
+
+		// Resolve onto the canonical disease registry before spending calls on shared content
+		const icd10Code = result.icd10_code || result.icd_10_code || result.icd10 || result.probable_disease?.icd10_code || '';
+		const identity = resolveDiseaseIdentity(name, { icd10Code });
+		const canonical = await findCanonicalDisease(name, { icd10Code });
+		let disease;
+
+		if (canonical) {
+			console.log(`♻️  Reusing canonical disease "${canonical.name}" (${canonical._id}) for "${name}"`);
+			disease = await registerSynonym(canonical, name, { icd10Code });
+			emit('disease-resolved', { diseaseId: disease._id, name: disease.name, reusedCanonical: true });
+		} else {
+			const medications = result.medications.filter(Boolean);
+			const emergencyRemedies = [].concat(result.emergency_home_remedy || []).filter(Boolean);
+			// Videos the model suggested directly; otherwise the videos stage looks them up
+			const videoResources = result.video_resources
+				? result.video_resources
+						.filter((item) => item?.url && item?.title)
+						.map((item) => ({
+							title: item.title,
+							url: item.url,
+							channel: item.channel || item.source || '',
+							duration: item.duration || '',
+							reason: item.reason || item.summary || '',
+							audioUrl: item.audio_url || '',
+							language: item.language || 'en',
+							refreshedAt: new Date()
+						}))
+				: [];
+
+			console.log('\n' + '='.repeat(70));
+			console.log('💾 STEP: Saving disease data to database...');
+			console.log('='.repeat(70));
+			console.log('   Disease name:', identity.name);
+
+			// New canonical Disease (unapproved by default); per-report findings go on the Report.
+			// Medications, statistics, videos and specialists are filled in by the enrichment stages.
+			disease = await Disease.create({
+				name: identity.name,
+				normalizedName: identity.normalizedName,
+				synonyms: identity.synonyms,
+				icd10Code: identity.icd10Code || undefined,
+				aiSummary: {
+					cause: result.cause,
+					symptoms: result.symptoms,
+					prevention: result.prevention,
+					treatments: result.treatments,
+					medications,
+					medicationDetails: [],
+					emergencyRemedies,
+					typicalDuration: result.typical_duration || '',
+					severity: result.severity,
+					sources: [],
+					generatedAt: new Date()
+				},
+				globalStatistics: {},
+				patientImpactFacts: {},
+				specialistProviders: [],
 				videoResources,
-				specialistProviders
+				pharmacyLinks: [],
+				approved: false,
+				createdBy: userId || null,
+				aiProvider: result.aiProvider, // Store which provider was used
+				aiModel: result.aiModel // Store which model was used
 			});
+		
+			console.log('✅ Disease saved with ID:', disease._id);
+			console.log('='.repeat(70) + '\n');
+			emit('disease-resolved', { diseaseId: disease._id, name: disease.name, reusedCanonical: false });
+		}
+		emit('summary-ready', { aiSummary: disease.aiSummary });
+		// Stream whatever a reused entry already has; the rest arrives from the enrichment stages
+		for (const stage of Object.values(ENRICHMENT_STAGES)) {
+			if (stage.isDone(disease, profile)) emit(stage.event, stage.snapshot(disease, profile));
 		}
 
-		res.json({ 
+		// Per-report findings and run metadata live on the Report; History just points at it
+		const completedAt = new Date();
+		report.abnormalFindings = abnormalFindings;
+		report.results = results;
+		report.diseaseId = disease._id;
+		report.detectedDisease = name;
+		report.diagnosis = {
+			name: disease.name,
+			icd10Code: identity.icd10Code || disease.icd10Code || '',
+			confidence,
+			differentials
+		};
+		report.status = 'interpreted';
+		// Held for admin review (GET /api/admin/reports/suspicious); the patient still gets the interpretation
+		report.suspiciousInput = inputCheck.suspicious;
+		report.inputCheck = {
+			sanitized: inputCheck.sanitized,
+			detectedPatterns: inputCheck.detectedPatterns,
+			issues: inputCheck.issues,
+			checkedAt: inputCheck.checkedAt
+		};
+		report.aiRun = {
+			provider: result.aiProvider,
+			model: result.aiModel,
+			consensusValidated: result.consensusValidated,
+			validatedBy: result.validatedBy,
+			agreement: result.agreement,
+			disagreement: result.disagreement,
+			providerOutputs: result.providerOutputs,
+			prompt: { id: prompt.id, version: prompt.version },
+			startedAt,
+			completedAt,
+			durationMs: completedAt - startedAt
+		};
+		await report.save();
+
+		await History.create({
+			userId,
+			reportId: report._id,
+			diseaseId: disease._id,
+			fileName: report.file?.originalName || fileName || 'upload',
+			detectedDisease: disease.name
+		});
+
+		return { 
+			reportId: report._id,
 			diseaseId: disease._id, 
-			disease, 
+			disease: { ...disease.toObject(), abnormalFindings }, 
 			disclaimer: DISCLAIMER,
-			aiProvider: aiResponse.provider,
-			aiModel: aiResponse.model,
-			specialistProviders
-		});
+			aiProvider: result.aiProvider,
+			aiModel: result.aiModel,
+			diagnosis: report.diagnosis,
+			triage,
+			agreement: result.agreement,
+			disagreement: result.disagreement,
+			reusedCanonical: Boolean(canonical),
+			specialistProviders: specialistsForRegion(disease.specialistProviders, regionFor(profile)),
+			medicationWarnings: personalizeMedications(disease.aiSummary?.medicationDetails || [], profile),
+			pendingStages: pendingEnrichmentStages(disease, profile)
+		};
 	} catch (err) {
+		if (err.status) throw err;
 		console.error('AI interpretation error:', err.message, err.stack);
 		console.error('Error details:', JSON.stringify(err, null, 2));
-		
-		// Multi-provider error handling
-		if (err.message?.includes('No AI providers configured')) {
-			return res.status(500).json({ 
-				message: 'No AI providers configured. Please set at least one API key (GEMINI_API_KEY, GROQ_API_KEY, or HUGGINGFACE_API_KEY) in server/.env' 
-			});
-		}
-		if (err.message?.includes('All AI providers failed')) {
-			return res.status(500).json({ 
-				message: 'All AI providers failed. Please check your API keys and try again. The system tried all available providers but none succeeded.' 
-			});
-		}
-		if (err.message?.includes('API key') || err.message?.includes('API_KEY') || err.message?.includes('401')) {
-			return res.status(500).json({ 
-				message: 'One or more AI provider API keys are invalid. Please check your API keys in server/.env' 
-			});
+		if (report) {
+			report.status = 'failed';
+			report.aiRun = { ...(report.aiRun?.toObject?.() || {}), error: err.message?.substring(0, 500) };
+			await report.save().catch(() => {});
 		}
-		if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
-			return res.status(500).json({ 
-				message: 'Cannot connect to AI services. Please check your internet connection.' 
+		throw err;
+	}
+}
+
+function hasFields(subdoc) {
+	const value = subdoc?.toObject ? subdoc.toObject() : subdoc;
+	if (!value) return false;
+	return Object.keys(value).some((k) => k !== 'lastUpdated' && (Array.isArray(value[k]) ? value[k].length > 0 : Boolean(value[k])));
+}
+
+async function loadDiseaseForStage(diseaseId) {
+	const disease = await Disease.findById(diseaseId);
+	if (!disease) throw httpError(404, 'Disease not found');
+	return disease;
+}
+
+async function enrichDiseaseMedications(diseaseId, usageContext, profile) {
+	const disease = await loadDiseaseForStage(diseaseId);
+	const medicationDetails = await enrichMedications(disease.aiSummary?.medications || []);
+	if (medicationDetails.length && medicationDetails.every((detail) => detail.sources.length === 0)) {
+		throw new Error('No drug database returned data for any medication');
+	}
+	disease.aiSummary.medicationDetails = medicationDetails;
+	await disease.save();
+	return ENRICHMENT_STAGES.medications.snapshot(disease, profile);
+}
+
+async function enrichDiseaseStatistics(diseaseId, usageContext) {
+	const disease = await loadDiseaseForStage(diseaseId);
+	console.log('\n' + '='.repeat(70));
+	console.log('🌍 STEP: Fetching global statistics and patient impact facts using Perplexity AI...');
+	console.log('='.repeat(70));
+
+	const { globalStatistics, patientImpactFacts } = await fetchGlobalStatisticsAndPatientImpact(disease.name, usageContext);
+	if (!globalStatistics && !patientImpactFacts) {
+		throw new Error('No global statistics or patient impact facts returned');
+	}
+
+	if (globalStatistics) {
+		console.log('✅ Global statistics fetched:', {
+			hasPrevalence: !!globalStatistics.globalPrevalence,
+			hasIncidence: !!globalStatistics.incidenceRate,
+			hasMortality: !!globalStatistics.mortalityRate,
+			fieldsCount: Object.keys(globalStatistics).filter(k => globalStatistics[k] && k !== 'lastUpdated').length
+		});
+		disease.globalStatistics = globalStatistics;
+	}
+	if (patientImpactFacts) {
+		console.log('✅ Patient impact facts fetched:', {
+			lifestyle: patientImpactFacts.lifestyleImpact?.length || 0,
+			work: patientImpactFacts.workImpact?.length || 0,
+			family: patientImpactFacts.familyImpact?.length || 0,
+			financial: patientImpactFacts.financialImpact?.length || 0,
+			emotional: patientImpactFacts.emotionalImpact?.length || 0
+		});
+		disease.patientImpactFacts = patientImpactFacts;
+	}
+	await disease.save();
+	return { globalStatistics: disease.globalStatistics, patientImpactFacts: disease.patientImpactFacts };
+}
+
+async function enrichDiseaseVideos(diseaseId, usageContext) {
+	const disease = await loadDiseaseForStage(diseaseId);
+	const videoResources = await fetchVideoResources(disease.name, 'en', usageContext);
+	if (!videoResources.length) throw new Error('No video resources found');
+	disease.videoResources = [...(disease.videoResources || []).filter((v) => v.language !== 'en'), ...videoResources];
+	await disease.save();
+	return { videoResources: disease.videoResources };
+}
+
+async function enrichDiseaseSpecialists(diseaseId, usageContext, profile) {
+	const disease = await loadDiseaseForStage(diseaseId);
+	const region = regionFor(profile);
+	const specialistProviders = await fetchSpecialists(disease.name, region, usageContext);
+	if (!specialistProviders.length) throw new Error('No specialists returned');
+	disease.specialistProviders = replaceRegionSpecialists(disease.specialistProviders, region, specialistProviders);
+	await disease.save();
+	return ENRICHMENT_STAGES.specialists.snapshot(disease, profile);
+}
+
+/**
+ * Enrichment that runs after the diagnosis as separate, independently retried job stages.
+ * `run(diseaseId, usageContext, profile)` saves onto the shared Disease and throws when its source gave nothing usable;
+ * `snapshot(disease, profile)` is the event payload for data that is already there. The patient's profile
+ * personalizes what they get back (medication warnings, specialists in their region); the Disease stays shared.
+ */
+export const ENRICHMENT_STAGES = {
+	medications: {
+		event: 'medications-enriched',
+		isDone: (disease) => !disease.aiSummary?.medications?.length || disease.aiSummary.medicationDetails?.length > 0,
+		snapshot: (disease, profile) => ({
+			medicationDetails: disease.aiSummary?.medicationDetails || [],
+			medicationWarnings: personalizeMedications(disease.aiSummary?.medicationDetails || [], profile)
+		}),
+		run: enrichDiseaseMedications
+	},
+	statistics: {
+		event: 'statistics-ready',
+		isDone: (disease) => hasFields(disease.globalStatistics) || hasFields(disease.patientImpactFacts),
+		snapshot: (disease) => ({ globalStatistics: disease.globalStatistics, patientImpactFacts: disease.patientImpactFacts }),
+		run: enrichDiseaseStatistics
+	},
+	videos: {
+		event: 'videos-ready',
+		isDone: (disease) => (disease.videoResources || []).some((video) => (video.language || 'en') === 'en'),
+		snapshot: (disease) => ({ videoResources: disease.videoResources || [] }),
+		run: enrichDiseaseVideos
+	},
+	specialists: {
+		event: 'specialists-ready',
+		isDone: (disease, profile) => specialistsForRegion(disease.specialistProviders, regionFor(profile)).length > 0,
+		snapshot: (disease, profile) => ({ specialistProviders: specialistsForRegion(disease.specialistProviders, regionFor(profile)) }),
+		run: enrichDiseaseSpecialists
+	}
+};
+
+/**
+ * Enrichment stages whose data is still missing on a disease (none when reusing a fully enriched canonical entry)
+ */
+export function pendingEnrichmentStages(disease, profile) {
+	return Object.keys(ENRICHMENT_STAGES).filter((stage) => !ENRICHMENT_STAGES[stage].isDone(disease, profile));
+}
+
+/**
+ * Map a pipeline failure onto the HTTP status and message shown to clients
+ */
+export function describeInterpretationError(err) {
+	if (err.status) {
+		return { status: err.status, message: err.message };
+	}
+	
+	// Multi-provider error handling
+	if (err.message?.includes('No AI providers configured')) {
+		return { 
+			status: 500,
+			message: 'No AI providers configured. Please set at least one API key (GEMINI_API_KEY, GROQ_API_KEY, or HUGGINGFACE_API_KEY) or LOCAL_LLM_BASE_URL in server/.env' 
+		};
+	}
+	if (err.message?.includes('All AI providers failed')) {
+		return { 
+			status: 500,
+			message: 'All AI providers failed. Please check your API keys and try again. The system tried all available providers but none succeeded.' 
+		};
+	}
+	if (err.message?.includes('API key') || err.message?.includes('API_KEY') || err.message?.includes('401')) {
+		return { 
+			status: 500,
+			message: 'One or more AI provider API keys are invalid. Please check your API keys in server/.env' 
+		};
+	}
+	if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
+		return { 
+			status: 500,
+			message: 'Cannot connect to AI services. Please check your internet connection.' 
+		};
+	}
+	
+	// Return error message
+	const errorMsg = err.response?.data?.error?.message || err.message || 'Unknown error';
+	return { 
+		status: 500,
+		message: `AI interpretation failed: ${errorMsg}`,
+		details: process.env.NODE_ENV === 'development' ? err.message : undefined
+	};
+}
+
+/**
+ * Queue a report for interpretation. Red-flag triage runs here and comes back in the response; the job worker
+ * runs the diagnosis and enrichment stages. Poll `statusUrl` or follow `eventsUrl` (Server-Sent Events) for progress and the result.
+ */
+export async function interpretReport(req, res) {
+	try {
+		const { reportId, parsedText, fileName } = req.body;
+		// Given here, it replaces what was captured at upload
+		const patientContext = normalizePatientContext(req.body.patientContext);
+		let report;
+		let triage;
+		if (reportId) {
+			report = await Report.findOne({ _id: reportId, userId: req.user.id }).select('_id parsedText');
+			if (!report) return res.status(404).json({ message: 'Report not found' });
+			triage = triageReportText(report.parsedText || '');
+			await Report.updateOne({ _id: report._id }, { $set: patientContext ? { triage, patientContext } : { triage } });
+		} else {
+			triage = triageReportText(parsedText);
+			report = await Report.create({
+				userId: req.user.id,
+				file: { originalName: fileName || 'upload', extractionMethod: 'manual' },
+				parsedText,
+				patientContext,
+				triage
 			});
 		}
-		
-		// Return error message
-		const errorMsg = err.response?.data?.error?.message || err.message || 'Unknown error';
-		console.error('Full error object:', err);
-		res.status(500).json({ 
-			message: `AI interpretation failed: ${errorMsg}`,
-			details: process.env.NODE_ENV === 'development' ? err.message : undefined
+
+		const job = await enqueueJob('interpret', {
+			userId: req.user.id,
+			reportId: report._id,
+			stages: [{ name: 'interpret', maxAttempts: STAGE_MAX_ATTEMPTS.interpret }],
+			quota: req.quota
 		});
+
+		res.status(202).json({
+			jobId: job._id,
+			reportId: report._id,
+			status: job.status,
+			// Available straight away, before (and regardless of) the AI interpretation
+			triage,
+			statusUrl: `/api/jobs/${job._id}`,
+			eventsUrl: `/api/ai/interpret/${job._id}/events`
+		});
+	} catch (err) {
+		console.error('Queue interpretation error:', err.message);
+		res.status(500).json({ message: 'Failed to queue interpretation' });
 	}
 }
 
+function writeSseEvent(res, event) {
+	res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data ?? {})}\n\n`);
+}
 
+const SSE_POLL_INTERVAL_MS = 1000;
 
+/**
+ * Server-Sent Events feed for an interpretation job: replays stages already finished, then follows
+ * new events as the worker (possibly in another process) records them
+ */
+export async function streamInterpretationEvents(req, res) {
+	let job;
+	try {
+		job = await getJobForUser(req.params.jobId, req.user);
+	} catch (err) {
+		return res.status(500).json({ message: 'Failed to load job' });
+	}
+	if (!job) {
+		return res.status(404).json({ message: 'Job not found' });
+	}
+
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache, no-transform',
+		Connection: 'keep-alive',
+		'X-Accel-Buffering': 'no'
+	});
+	res.flushHeaders();
+
+	// Browsers resend the last id they saw when reconnecting
+	let lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId || 0) || 0;
+	let closed = false;
+	let pollTimer = null;
+	const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+	function cleanup() {
+		closed = true;
+		clearInterval(heartbeat);
+		clearTimeout(pollTimer);
+	}
+	req.on('close', cleanup);
+
+	// Event ids are sequential from 1, so the next unseen event sits at index lastEventId
+	async function poll() {
+		try {
+			const current = await Job.findById(job._id)
+				.select({ status: 1, events: { $slice: [lastEventId, 500] } })
+				.lean();
+			if (closed) return;
+			for (const event of current?.events || []) {
+				writeSseEvent(res, event);
+				lastEventId = event.id;
+			}
+			const finished = !current || current.status === 'completed' || current.status === 'failed';
+			if (finished && !(current?.events || []).length) {
+				cleanup();
+				return res.end();
+			}
+		} catch (err) {
+			console.error('SSE poll error:', err.message);
+		}
+		if (!closed) pollTimer = setTimeout(poll, SSE_POLL_INTERVAL_MS);
+	}
+	poll();
+}
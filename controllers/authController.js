@@ -71,4 +71,17 @@ export async function me(req, res) {
 	}
 }
 
-
+export async function updatePreferences(req, res) {
+	try {
+		const updates = {};
+		if (req.body.unitSystem !== undefined) updates['preferences.unitSystem'] = req.body.unitSystem;
+		const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true })
+			.select('preferences')
+			.lean();
+		if (!user) return res.status(404).json({ message: 'User not found' });
+		res.json({ preferences: user.preferences });
+	} catch (err) {
+		console.error('Error updating preferences:', err);
+		res.status(500).json({ message: 'Failed to update preferences' });
+	}
+}
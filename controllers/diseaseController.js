@@ -1,9 +1,15 @@
+import mongoose from 'mongoose';
 import Disease from '../models/Disease.js';
 import User from '../models/User.js';
 import History from '../models/History.js';
+import Report from '../models/Report.js';
 import { translateSummary } from '../services/translation.js';
 import { fetchVideoResources } from './aiController.js';
-import { fetchSpecialists } from '../services/specialistFinder.js';
+import { fetchSpecialists, regionFor, replaceRegionSpecialists, specialistsForRegion } from '../services/specialistFinder.js';
+import { personalizeMedications } from '../services/drugInfo.js';
+import { loadPatientProfile } from '../services/patientProfile.js';
+import { presentFindings } from '../services/unitConversion.js';
+import { resolveUnitSystem } from './reportController.js';
 
 const VIDEO_REFRESH_INTERVAL_MS = 1000 * 60 * 60 * 24 * 3; // 3 days
 const SPECIALIST_REFRESH_INTERVAL_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
@@ -20,7 +26,7 @@ function isSpecialistFresh(provider) {
 	return Date.now() - refreshed < SPECIALIST_REFRESH_INTERVAL_MS;
 }
 
-async function ensureVideoResources(diseaseDoc, language) {
+async function ensureVideoResources(diseaseDoc, language, usageContext = {}) {
 	console.log(`🎥 Ensuring video resources for "${diseaseDoc.name}" in ${language}`);
 	const existing = (diseaseDoc.videoResources || []).filter((it) => it.language === language);
 	
@@ -53,7 +59,7 @@ async function ensureVideoResources(diseaseDoc, language) {
 	console.log(`  🌐 Language: ${language}`);
 	
 	try {
-		const fetched = await fetchVideoResources(diseaseDoc.name, language);
+		const fetched = await fetchVideoResources(diseaseDoc.name, language, usageContext);
 		console.log(`  📊 Fetch result: ${fetched ? fetched.length : 0} videos`);
 		
 		if (!fetched || !fetched.length) {
@@ -64,7 +70,7 @@ async function ensureVideoResources(diseaseDoc, language) {
 			const simplifiedName = diseaseDoc.name.replace(/[^\w\s]/g, '').trim();
 			if (simplifiedName !== diseaseDoc.name) {
 				console.log(`  🔄 Trying simplified name: "${simplifiedName}"`);
-				const retryFetched = await fetchVideoResources(simplifiedName, language);
+				const retryFetched = await fetchVideoResources(simplifiedName, language, usageContext);
 				if (retryFetched && retryFetched.length > 0) {
 					const validatedRetry = retryFetched.filter(v => {
 						if (!v || typeof v !== 'object') return false;
@@ -83,7 +89,7 @@ async function ensureVideoResources(diseaseDoc, language) {
 			
 			// Final retry after delay
 			await new Promise(resolve => setTimeout(resolve, 2000));
-			const finalRetry = await fetchVideoResources(diseaseDoc.name, language);
+			const finalRetry = await fetchVideoResources(diseaseDoc.name, language, usageContext);
 			if (finalRetry && finalRetry.length > 0) {
 				const validatedFinal = finalRetry.filter(v => {
 					if (!v || typeof v !== 'object') return false;
@@ -147,19 +153,21 @@ async function ensureVideoResources(diseaseDoc, language) {
 	}
 }
 
-async function ensureSpecialists(diseaseDoc) {
-	const existing = diseaseDoc.specialistProviders || [];
+// Specialists for the patient's region (from their profile), looked up when that region has none fresh
+async function ensureSpecialists(diseaseDoc, profile, usageContext = {}) {
+	const region = regionFor(profile);
+	const existing = specialistsForRegion(diseaseDoc.specialistProviders, region);
 	const fresh = existing.filter(isSpecialistFresh);
 	if (fresh.length) return fresh;
 
-	const fetched = await fetchSpecialists(diseaseDoc.name);
+	const fetched = await fetchSpecialists(diseaseDoc.name, region, usageContext);
 	if (!fetched.length) return existing;
 
 	const enriched = fetched.map((item) => ({
 		...item,
 		refreshedAt: new Date()
 	}));
-	diseaseDoc.specialistProviders = enriched;
+	diseaseDoc.specialistProviders = replaceRegionSpecialists(diseaseDoc.specialistProviders, region, enriched);
 	await diseaseDoc.save();
 	return enriched;
 }
@@ -169,14 +177,15 @@ export async function getDisease(req, res) {
 		const { id } = req.params;
 		const disease = await Disease.findById(id);
 		if (!disease) return res.status(404).json({ message: 'Not found' });
+		const profile = await loadPatientProfile(req.user.id);
 		
 		// Always fetch videos and specialists with error handling
 		const [videoResources, specialistProviders] = await Promise.allSettled([
-			ensureVideoResources(disease, 'en').catch(err => {
+			ensureVideoResources(disease, 'en', { userId: req.user.id }).catch(err => {
 				console.warn('Video fetch failed in getDisease:', err.message);
 				return [];
 			}),
-			ensureSpecialists(disease).catch(err => {
+			ensureSpecialists(disease, profile, { userId: req.user.id }).catch(err => {
 				console.warn('Specialist fetch failed in getDisease:', err.message);
 				return [];
 			})
@@ -193,6 +202,28 @@ export async function getDisease(req, res) {
 			payload.patientImpactFacts = disease.patientImpactFacts.toObject ? disease.patientImpactFacts.toObject() : disease.patientImpactFacts;
 		}
 		
+		// Abnormal findings are per report: use ?reportId= when given, else the user's latest report for this disease
+		const reportQuery = { userId: req.user.id, diseaseId: disease._id, status: 'interpreted' };
+		if (req.query.reportId && mongoose.isValidObjectId(req.query.reportId)) {
+			reportQuery._id = req.query.reportId;
+		}
+		const report = await Report.findOne(reportQuery)
+			.sort({ createdAt: -1 })
+			.select('abnormalFindings diagnosis')
+			.lean();
+		if (report) {
+			payload.unitSystem = await resolveUnitSystem(req);
+			payload.abnormalFindings = presentFindings(report.abnormalFindings || [], payload.unitSystem);
+		} else if (disease.createdBy?.toString() !== req.user.id) {
+			// Legacy findings stored on the disease belong to whoever uploaded it
+			payload.abnormalFindings = [];
+		}
+		payload.reportId = report?._id || null;
+		// The medications are shared by everyone with this disease; the warnings are for this patient
+		payload.medicationWarnings = personalizeMedications(disease.aiSummary?.medicationDetails || [], profile);
+		// Confidence and differentials belong to that report's interpretation, not to the shared disease
+		payload.diagnosis = report?.diagnosis || null;
+		
 		// Log global statistics and patient impact facts
 		console.log(`📊 Disease "${disease.name}" data check:`, {
 			hasGlobalStats: !!payload.globalStatistics,
@@ -274,13 +305,38 @@ export async function getDisease(req, res) {
 	}
 }
 
+// Flatten a history entry so report-backed and legacy entries have the same shape
+function toHistoryEntry(item) {
+	const report = item.reportId && typeof item.reportId === 'object' ? item.reportId : null;
+	const disease = item.diseaseId && typeof item.diseaseId === 'object' ? item.diseaseId : null;
+	if (!report) {
+		return { ...item, diseaseId: disease?._id || item.diseaseId };
+	}
+	return {
+		_id: item._id,
+		userId: item.userId,
+		reportId: report._id,
+		diseaseId: disease?._id || report.diseaseId,
+		fileName: report.file?.originalName || item.fileName,
+		detectedDisease: disease?.name || item.detectedDisease,
+		status: report.status,
+		aiSummary: disease?.aiSummary || null,
+		abnormalFindings: report.abnormalFindings || [],
+		videoResources: disease?.videoResources || [],
+		specialistProviders: disease?.specialistProviders || [],
+		createdAt: item.createdAt
+	};
+}
+
 export async function getHistory(req, res) {
 	try {
 		const items = await History.find({ userId: req.user.id })
 			.sort({ createdAt: -1 })
 			.limit(50)
+			.populate('reportId', 'file abnormalFindings status diseaseId')
+			.populate('diseaseId', 'name aiSummary videoResources specialistProviders')
 			.lean();
-		res.json(items);
+		res.json(items.map(toHistoryEntry));
 	} catch {
 		res.status(500).json({ message: 'Failed to fetch history' });
 	}
@@ -292,12 +348,13 @@ export async function getDiseaseLocalized(req, res) {
 		const language = (req.query.lang || 'en').toLowerCase();
 		const disease = await Disease.findById(id);
 		if (!disease) return res.status(404).json({ message: 'Not found' });
+		const profile = await loadPatientProfile(req.user.id);
 
 		if (language === 'en') {
 			try {
 				const [videoResources, specialistProviders] = await Promise.all([
-					ensureVideoResources(disease, 'en'),
-					ensureSpecialists(disease)
+					ensureVideoResources(disease, 'en', { userId: req.user.id }),
+					ensureSpecialists(disease, profile, { userId: req.user.id })
 				]);
 				return res.json({
 					language: 'en',
@@ -322,22 +379,22 @@ export async function getDiseaseLocalized(req, res) {
 			const { translateSummary, translateGlobalStatsAndImpact } = await import('../services/translation.js');
 			
 			const [videoResources, translation, statsTranslation, specialistProviders] = await Promise.all([
-				ensureVideoResources(disease, language).catch(err => {
+				ensureVideoResources(disease, language, { userId: req.user.id }).catch(err => {
 					console.warn('Video fetch failed:', err.message);
 					return [];
 				}),
-				translateSummary(disease.aiSummary, language).catch(err => {
+				translateSummary(disease.aiSummary, language, { userId: req.user.id }).catch(err => {
 					console.warn('Translation failed:', err.message);
 					return { summary: disease.aiSummary, narration: '' };
 				}),
-				translateGlobalStatsAndImpact(disease.globalStatistics, disease.patientImpactFacts, language).catch(err => {
+				translateGlobalStatsAndImpact(disease.globalStatistics, disease.patientImpactFacts, language, { userId: req.user.id }).catch(err => {
 					console.warn('Global stats translation failed:', err.message);
 					return { 
 						globalStatistics: disease.globalStatistics || {}, 
 						patientImpactFacts: disease.patientImpactFacts || {} 
 					};
 				}),
-				ensureSpecialists(disease).catch(err => {
+				ensureSpecialists(disease, profile, { userId: req.user.id }).catch(err => {
 					console.warn('Specialist fetch failed:', err.message);
 					return [];
 				})
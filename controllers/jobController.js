@@ -0,0 +1,25 @@
+import { getJobForUser } from '../services/jobQueue.js';
+
+export async function getJobStatus(req, res) {
+	try {
+		const job = await getJobForUser(req.params.id, req.user);
+		if (!job) return res.status(404).json({ message: 'Job not found' });
+		res.json({
+			id: job._id,
+			type: job.type,
+			status: job.status,
+			stage: job.stage,
+			stages: job.stages,
+			reportId: job.reportId,
+			result: job.status === 'completed' ? job.result : undefined,
+			error: job.error,
+			runAfter: job.status === 'queued' ? job.runAfter : undefined,
+			createdAt: job.createdAt,
+			updatedAt: job.updatedAt,
+			completedAt: job.completedAt
+		});
+	} catch (err) {
+		console.error('getJobStatus error:', err.message);
+		res.status(500).json({ message: 'Failed to fetch job' });
+	}
+}
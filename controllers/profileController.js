@@ -0,0 +1,42 @@
+import User from '../models/User.js';
+import { PROFILE_FIELDS, PROFILE_LIST_FIELDS, deriveProfileFacts } from '../services/patientProfile.js';
+
+function toResponse(profile) {
+	return { profile: profile || {}, derived: deriveProfileFacts(profile) };
+}
+
+export async function getProfile(req, res) {
+	try {
+		const user = await User.findById(req.user.id).select('profile').lean();
+		if (!user) return res.status(404).json({ message: 'User not found' });
+		res.json(toResponse(user.profile));
+	} catch (err) {
+		console.error('getProfile error:', err.message);
+		res.status(500).json({ message: 'Failed to fetch profile' });
+	}
+}
+
+/**
+ * Replace the profile with the fields sent; fields left out are cleared
+ */
+export async function updateProfile(req, res) {
+	try {
+		const profile = { updatedAt: new Date() };
+		PROFILE_FIELDS.forEach((field) => {
+			const value = req.body[field];
+			if (value === undefined || value === null || value === '') return;
+			profile[field] = PROFILE_LIST_FIELDS.includes(field)
+				? [...new Set(value.map((item) => item.trim()).filter(Boolean))]
+				: value;
+		});
+		if (profile.pregnancyStatus !== 'pregnant') delete profile.trimester;
+		const user = await User.findByIdAndUpdate(req.user.id, { $set: { profile } }, { new: true, runValidators: true })
+			.select('profile')
+			.lean();
+		if (!user) return res.status(404).json({ message: 'User not found' });
+		res.json(toResponse(user.profile));
+	} catch (err) {
+		console.error('updateProfile error:', err.message);
+		res.status(500).json({ message: 'Failed to update profile' });
+	}
+}
@@ -0,0 +1,150 @@
+import Report from '../models/Report.js';
+import History from '../models/History.js';
+import User from '../models/User.js';
+import { getAnalyte, listAnalytes, listPanels, resolveAnalyte } from '../services/analyteDictionary.js';
+import { DEFAULT_UNIT_SYSTEM, UNIT_SYSTEMS, convertRange, convertValue, presentFindings } from '../services/unitConversion.js';
+import { parseNumericValue } from '../utils/textSimilarity.js';
+
+const DISEASE_SUMMARY_FIELDS = 'name icd10Code approved aiSummary.severity';
+const TREND_REPORT_LIMIT = 200;
+
+/**
+ * Unit system to return lab values in: ?units= when given, otherwise the user's saved preference
+ */
+export async function resolveUnitSystem(req) {
+	if (UNIT_SYSTEMS.includes(req.query.units)) return req.query.units;
+	const user = await User.findById(req.user.id).select('preferences').lean();
+	return user?.preferences?.unitSystem || DEFAULT_UNIT_SYSTEM;
+}
+
+export async function listReports(req, res) {
+	try {
+		const reports = await Report.find({ userId: req.user.id })
+			.select('-parsedText -aiRun.providerOutputs')
+			.sort({ createdAt: -1 })
+			.limit(50)
+			.populate('diseaseId', DISEASE_SUMMARY_FIELDS)
+			.lean();
+		res.json(reports);
+	} catch (err) {
+		console.error('listReports error:', err.message);
+		res.status(500).json({ message: 'Failed to fetch reports' });
+	}
+}
+
+export async function getReport(req, res) {
+	try {
+		const report = await Report.findOne({ _id: req.params.id, userId: req.user.id })
+			.populate('diseaseId', 'name icd10Code approved aiSummary globalStatistics patientImpactFacts videoResources specialistProviders')
+			.lean();
+		if (!report) return res.status(404).json({ message: 'Not found' });
+		const unitSystem = await resolveUnitSystem(req);
+		res.json({
+			...report,
+			unitSystem,
+			abnormalFindings: presentFindings(report.abnormalFindings || [], unitSystem),
+			results: presentFindings(report.results || [], unitSystem)
+		});
+	} catch (err) {
+		console.error('getReport error:', err.message);
+		res.status(500).json({ message: 'Failed to fetch report' });
+	}
+}
+
+/**
+ * What each AI provider answered for a report and where they disagreed. Admins can open any report.
+ */
+export async function getReportConsensus(req, res) {
+	try {
+		const filter = req.user.role === 'admin' ? { _id: req.params.id } : { _id: req.params.id, userId: req.user.id };
+		const report = await Report.findOne(filter).select('detectedDisease diseaseId status aiRun').lean();
+		if (!report) return res.status(404).json({ message: 'Not found' });
+		const { aiRun = {} } = report;
+		res.json({
+			reportId: report._id,
+			diseaseId: report.diseaseId,
+			detectedDisease: report.detectedDisease,
+			status: report.status,
+			providers: aiRun.provider ? aiRun.provider.split(', ') : [],
+			validatedBy: aiRun.validatedBy || 0,
+			agreement: aiRun.agreement || null,
+			disagreement: aiRun.disagreement || null,
+			providerOutputs: aiRun.providerOutputs || []
+		});
+	} catch (err) {
+		console.error('getReportConsensus error:', err.message);
+		res.status(500).json({ message: 'Failed to fetch consensus details' });
+	}
+}
+
+export async function deleteReport(req, res) {
+	try {
+		// The linked Disease is shared across patients, so only the report and its history entry go
+		const report = await Report.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+		if (!report) return res.status(404).json({ message: 'Not found' });
+		await History.deleteMany({ reportId: report._id });
+		res.json({ message: 'Report deleted', id: report._id });
+	} catch (err) {
+		console.error('deleteReport error:', err.message);
+		res.status(500).json({ message: 'Failed to delete report' });
+	}
+}
+
+/**
+ * The analyte dictionary (optionally one panel) and the panels, so clients know which ids they can trend
+ */
+export async function listAnalyteDictionary(req, res) {
+	try {
+		res.json({ analytes: listAnalytes({ panel: req.query.panel }), panels: listPanels() });
+	} catch (err) {
+		console.error('listAnalyteDictionary error:', err.message);
+		res.status(500).json({ message: 'Failed to fetch analytes' });
+	}
+}
+
+/**
+ * One analyte's values across the user's reports, oldest first, in one unit of the requested system.
+ * Findings saved before the dictionary existed have no analyteId and are matched by their test name;
+ * values whose unit can't be converted keep the unit they were reported in.
+ */
+export async function getAnalyteTrend(req, res) {
+	try {
+		const analyte = getAnalyte(req.params.analyteId);
+		if (!analyte) return res.status(404).json({ message: 'Unknown analyte' });
+		const unitSystem = await resolveUnitSystem(req);
+		const reports = await Report.find({ userId: req.user.id, status: 'interpreted' })
+			.select('abnormalFindings results createdAt')
+			.sort({ createdAt: -1 })
+			.limit(TREND_REPORT_LIMIT)
+			.lean();
+		const points = reports
+			.reverse()
+			.flatMap((report) =>
+				// The full panel when the report has one, so normal values show up in the trend too
+				(report.results?.length ? report.results : report.abnormalFindings || [])
+					.filter((finding) => (finding.analyteId || resolveAnalyte(finding.test)?.id) === analyte.id)
+					.map((finding) => {
+						const converted = convertValue(analyte, finding.value, finding.unit, unitSystem);
+						return {
+							reportId: report._id,
+							date: report.createdAt,
+							test: finding.test,
+							value: converted ? String(converted.value) : finding.value,
+							numericValue: converted ? converted.value : parseNumericValue(finding.value),
+							unit: converted ? converted.unit : finding.unit || '',
+							referenceRange: converted
+								? convertRange(analyte, finding.referenceRange, finding.unit, unitSystem)
+								: finding.referenceRange || '',
+							converted: Boolean(converted),
+							original: { value: finding.value, unit: finding.unit || '', referenceRange: finding.referenceRange || '' },
+							flag: finding.flag || ''
+						};
+					})
+			);
+		const unit = unitSystem === 'si' && analyte.si ? analyte.si.unit : analyte.unit;
+		res.json({ analyte: { id: analyte.id, name: analyte.name, loinc: analyte.loinc, unit }, unitSystem, points });
+	} catch (err) {
+		console.error('getAnalyteTrend error:', err.message);
+		res.status(500).json({ message: 'Failed to fetch trend' });
+	}
+}
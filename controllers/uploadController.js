@@ -4,6 +4,9 @@ import { fileURLToPath } from 'url';
 import Tesseract from 'tesseract.js';
 import { createMulter } from '../utils/uploader.js';
 import pdfParse from 'pdf-parse';
+import { validationResult } from 'express-validator';
+import Report from '../models/Report.js';
+import { normalizePatientContext } from '../services/referenceRanges.js';
 
 
 const __filename = fileURLToPath(import.meta.url);
@@ -11,6 +14,16 @@ const __dirname = path.dirname(__filename);
 
 export const upload = createMulter().single('report');
 
+/**
+ * Like handleValidation, but also deletes the uploaded file when the form fields are rejected
+ */
+export async function rejectInvalidUpload(req, res, next) {
+	const errors = validationResult(req);
+	if (errors.isEmpty()) return next();
+	if (req.file?.path) await fs.unlink(req.file.path).catch(() => {});
+	res.status(400).json({ errors: errors.array() });
+}
+
 export async function extractText(req, res) {
 	try {
 		if (!req.file) {
@@ -38,7 +51,21 @@ export async function extractText(req, res) {
 			return res.status(422).json({ message: 'Could not extract text from the provided file.' });
 		}
 
-		res.json({ parsedText: text, fileName: req.file.originalname });
+		const report = await Report.create({
+			userId: req.user.id,
+			file: {
+				originalName: req.file.originalname,
+				mimeType: mime,
+				size: req.file.size,
+				extractionMethod: mime === 'application/pdf' ? 'pdf-text' : 'ocr'
+			},
+			parsedText: text,
+			// Optional form fields next to the file; they decide which reference ranges apply
+			patientContext: normalizePatientContext(req.body),
+			status: 'uploaded'
+		});
+
+		res.json({ parsedText: text, fileName: req.file.originalname, reportId: report._id });
 	} catch (err) {
 		console.error('Text extraction error:', err.message, err.stack);
 		// Best effort cleanup
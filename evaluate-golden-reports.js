@@ -0,0 +1,147 @@
+// Offline evaluation: run golden lab reports through text extraction and the interpretation pipeline,
+// score findings precision/recall and diagnosis match, and compare against an earlier run.
+// Run: node evaluate-golden-reports.js [--mock] [--label name] [--prompt-version v2] [--dir eval/golden] [--baseline eval/runs/<run>.json] [--verbose]
+//      node evaluate-golden-reports.js --compare eval/runs/<baseline>.json eval/runs/<candidate>.json
+// Golden cases are JSON files: { id, description, text, patientContext?: { age, sex, pregnant, trimester }, expected: { diagnosis, icd10Code, acceptableDiagnoses, findings: [{ test, flag }], suspiciousInput, triage } }
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { compareRuns, formatComparison, scoreDiagnosis, scoreFindings, summarizeRun } from './services/evaluation.js';
+import { triageReport } from './services/triage.js';
+import { normalizeIcd10 } from './utils/diseaseName.js';
+
+const DEFAULT_GOLDEN_DIR = 'eval/golden';
+const RUNS_DIR = 'eval/runs';
+
+const args = process.argv.slice(2);
+function argValue(name) {
+	const idx = args.indexOf(name);
+	return idx !== -1 ? args[idx + 1] : undefined;
+}
+
+function readJson(file) {
+	return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadCases(dir) {
+	return fs
+		.readdirSync(dir)
+		.filter((file) => file.endsWith('.json'))
+		.sort()
+		.map((file) => ({ id: path.basename(file, '.json'), ...readJson(path.join(dir, file)) }));
+}
+
+// The pipeline logs every step; keep the eval output readable unless asked for it
+async function quietly(fn) {
+	if (args.includes('--verbose')) return fn();
+	const { log, warn } = console;
+	console.log = () => {};
+	console.warn = () => {};
+	try {
+		return await fn();
+	} finally {
+		console.log = log;
+		console.warn = warn;
+	}
+}
+
+function writeComparison(baseline, candidate, outFile) {
+	const comparison = compareRuns(baseline, candidate);
+	const markdown = formatComparison(comparison);
+	fs.writeFileSync(outFile, markdown);
+	console.log(`\n${markdown}`);
+	console.log(`📝 Comparison written to ${outFile}`);
+}
+
+async function runEval() {
+	if (args.includes('--mock')) process.env.MOCK_AI = 'true';
+	// Imported after --mock is applied so the providers see it
+	const { extractAbnormalFromText, extractResultsFromText, interpretReportText } = await import('./controllers/aiController.js');
+
+	const dir = argValue('--dir') || DEFAULT_GOLDEN_DIR;
+	const promptVersion = argValue('--prompt-version');
+	const startedAt = new Date();
+	const label = argValue('--label') || `run-${startedAt.toISOString().replace(/[:.]/g, '-')}`;
+	const cases = loadCases(dir);
+	console.log(`🧪 Evaluating ${cases.length} golden report(s) from ${dir}${process.env.MOCK_AI === 'true' ? ' against the mock provider' : ''}...`);
+
+	const results = [];
+	for (const golden of cases) {
+		const caseStartedAt = Date.now();
+		try {
+			const extracted = await quietly(() => extractAbnormalFromText(golden.text));
+			const triage = await quietly(() => triageReport({ findings: extractResultsFromText(golden.text), text: golden.text }));
+			const { result, prompt, confidence, differentials, abnormalFindings, inputCheck } = await quietly(() =>
+				interpretReportText(golden.text, { promptVersion, patientContext: golden.patientContext })
+			);
+			const record = {
+				id: golden.id,
+				prompt: prompt.ref,
+				providers: result.aiProvider,
+				durationMs: Date.now() - caseStartedAt,
+				diagnosis: scoreDiagnosis(golden.expected, {
+					diagnosis: result.probable_disease,
+					icd10Code: normalizeIcd10(result.icd10_code),
+					differentials
+				}),
+				confidence,
+				// Goldens list what the report shows; calculated values (eGFR, LDL, ...) aren't part of that
+				findings: scoreFindings(golden.expected.findings, abnormalFindings.filter((finding) => !finding.calculated)),
+				extraction: scoreFindings(golden.expected.findings, extracted),
+				suspiciousInput: {
+					flagged: inputCheck.suspicious,
+					expected: Boolean(golden.expected.suspiciousInput),
+					rules: [...new Set(inputCheck.detectedPatterns.map((m) => m.rule))],
+					issues: inputCheck.issues.map((issue) => issue.type)
+				},
+				// Only scored for goldens that name the urgency they expect
+				triage: golden.expected.triage ? { level: triage.level, expected: golden.expected.triage } : null
+			};
+			results.push(record);
+			console.log(`   ${record.diagnosis.match ? '✅' : '❌'} ${golden.id}: "${record.diagnosis.actual}" (expected "${record.diagnosis.expected}"), findings F1 ${record.findings.f1}`);
+		} catch (err) {
+			results.push({ id: golden.id, error: err.message, durationMs: Date.now() - caseStartedAt });
+			console.log(`   💥 ${golden.id}: ${err.message}`);
+		}
+	}
+
+	const run = {
+		label,
+		startedAt,
+		finishedAt: new Date(),
+		mock: process.env.MOCK_AI === 'true',
+		prompt: [...new Set(results.map((r) => r.prompt).filter(Boolean))].join(', ') || null,
+		summary: summarizeRun(results),
+		cases: results
+	};
+
+	fs.mkdirSync(RUNS_DIR, { recursive: true });
+	const runFile = path.join(RUNS_DIR, `${label}.json`);
+	fs.writeFileSync(runFile, JSON.stringify(run, null, 2));
+	console.log('\n📊 Summary:', run.summary);
+	console.log(`📝 Run written to ${runFile}`);
+
+	const baselineFile = argValue('--baseline');
+	if (baselineFile) {
+		const baseline = readJson(baselineFile);
+		writeComparison(baseline, run, path.join(RUNS_DIR, `${label}.vs-${baseline.label}.md`));
+	}
+}
+
+async function main() {
+	const compareIdx = args.indexOf('--compare');
+	if (compareIdx !== -1) {
+		const [baselineFile, candidateFile] = args.slice(compareIdx + 1, compareIdx + 3);
+		if (!baselineFile || !candidateFile) throw new Error('--compare needs two run files');
+		const baseline = readJson(baselineFile);
+		const candidate = readJson(candidateFile);
+		writeComparison(baseline, candidate, path.join(path.dirname(candidateFile), `${candidate.label}.vs-${baseline.label}.md`));
+		return;
+	}
+	await runEval();
+}
+
+main().catch((err) => {
+	console.error('❌ Evaluation failed:', err.message);
+	process.exitCode = 1;
+});
@@ -12,7 +12,11 @@ import uploadRoutes from './routes/uploadRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import diseaseRoutes from './routes/diseaseRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import profileRoutes from './routes/profileRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
 import { apiLimiter } from './middlewares/rateLimiter.js';
+import { startWorker } from './services/jobWorker.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -49,7 +53,8 @@ app.use(cors({
 			callback(new Error('Not allowed by CORS'));
 		}
 	},
-	credentials: true 
+	credentials: true,
+	exposedHeaders: ['X-Quota-Kind', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After']
 }));
 
 app.use(express.json({ limit: '2mb' }));
@@ -65,6 +70,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/diseases', diseaseRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/jobs', jobRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Healthcheck (before auth routes, no auth required)
@@ -83,7 +91,10 @@ app.get('/health', (_req, res) => {
 					gemini: providerStatus.gemini,
 					groq: providerStatus.groq,
 					huggingface: providerStatus.huggingface,
-					openai: providerStatus.openai
+					openai: providerStatus.openai,
+					local: providerStatus.local,
+					mock: providerStatus.mock,
+					circuitBreakers: providerStatus.circuitBreakers
 				}
 			}
 		});
@@ -119,11 +130,14 @@ app.get('/api/status', async (_req, res) => {
 					openai: providerStatus.openai,
 					huggingface: providerStatus.huggingface,
 					openrouter: providerStatus.openrouter,
-					anthropic: providerStatus.anthropic
+					anthropic: providerStatus.anthropic,
+					local: providerStatus.local,
+					mock: providerStatus.mock
 				},
 				availableProviders: providerStatus.available,
 				consensus: providerStatus.consensus,
-				endpoints: ['POST /api/ai/interpret'],
+				circuitBreakers: providerStatus.circuitBreakers,
+				endpoints: ['POST /api/ai/interpret', 'GET /api/ai/interpret/:jobId/events'],
 				apiKeyStatus: {
 					GEMINI_API_KEY: process.env.GEMINI_API_KEY 
 						? (process.env.GEMINI_API_KEY.startsWith('sk-or-v1-') ? 'OpenRouter key set' : 'Direct API key set')
@@ -131,9 +145,19 @@ app.get('/api/status', async (_req, res) => {
 					ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY ? 'set' : 'not set',
 					GROQ_API_KEY: process.env.GROQ_API_KEY ? 'set' : 'not set',
 					OPENAI_API_KEY: process.env.OPENAI_API_KEY ? 'set' : 'not set',
-					HUGGINGFACE_API_KEY: process.env.HUGGINGFACE_API_KEY ? 'set' : 'not set'
+					HUGGINGFACE_API_KEY: process.env.HUGGINGFACE_API_KEY ? 'set' : 'not set',
+					LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL ? 'set' : 'not set'
 				}
 			},
+			reports: {
+				status: 'available',
+				endpoints: ['GET /api/reports', 'GET /api/reports/:id', 'DELETE /api/reports/:id']
+			},
+			jobs: {
+				status: 'available',
+				worker: process.env.JOB_WORKER_MODE === 'external' || process.env.VERCEL ? 'external' : 'in-process',
+				endpoints: ['GET /api/jobs/:id']
+			},
 			diseases: {
 				status: 'available',
 				endpoints: [
@@ -196,6 +220,10 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL) {
 				console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
 				console.log(`🌐 CORS enabled for: ${allowedOrigins.join(', ')}`);
 			});
+			// Process queued interpretations here unless a separate `npm run worker` does it
+			if (process.env.JOB_WORKER_MODE !== 'external') {
+				startWorker();
+			}
 		})
 		.catch((err) => {
 			console.error('❌ Failed to start server:', err);
@@ -0,0 +1,32 @@
+// One-off: collapse duplicate Disease documents into canonical registry entries
+// Run: node merge-duplicate-diseases.js [--dry-run]
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from './config/db.js';
+import { mergeDuplicateDiseases } from './services/diseaseRegistry.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+	await connectDB();
+	console.log(`🔍 Scanning diseases for duplicates${dryRun ? ' (dry run, nothing will be written)' : ''}...`);
+
+	const summary = await mergeDuplicateDiseases({ dryRun });
+
+	console.log(`\n📊 Scanned ${summary.scanned} diseases → ${summary.canonical} canonical entries`);
+	console.log(`   Groups merged: ${summary.merged}`);
+	console.log(`   Duplicates ${dryRun ? 'to remove' : 'removed'}: ${summary.removed.length}`);
+	if (summary.codeCollisions.length) {
+		console.log(`\n⚠️  ${summary.codeCollisions.length} ICD-10 code(s) shared by differently named diseases (not merged, review by hand):`);
+		summary.codeCollisions.forEach(({ icd10Code, diseases }) => {
+			console.log(`   ${icd10Code}: ${diseases.map((disease) => `"${disease.name}" (${disease.id})`).join(', ')}`);
+		});
+	}
+}
+
+main()
+	.catch((err) => {
+		console.error('❌ Merge failed:', err.message);
+		process.exitCode = 1;
+	})
+	.finally(() => mongoose.disconnect());
@@ -1,7 +1,7 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 
-function getJwtSecret() {
+export function getJwtSecret() {
 	const secret =
 		process.env.JWT_SECRET || (process.env.NODE_ENV !== 'production' ? 'dev_jwt_secret' : null);
 	if (!secret) {
@@ -10,11 +10,13 @@ function getJwtSecret() {
 	return secret;
 }
 
-export function requireAuth(requiredRoles = []) {
+// allowQueryToken: also accept ?access_token= for clients that cannot set headers (EventSource)
+export function requireAuth(requiredRoles = [], { allowQueryToken = false } = {}) {
 	return async (req, res, next) => {
 		try {
 			const authHeader = req.headers.authorization || '';
-			const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+			const queryToken = allowQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+			const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : queryToken;
 			if (!token) {
 				return res.status(401).json({ message: 'Unauthorized' });
 			}
@@ -24,7 +26,7 @@ export function requireAuth(requiredRoles = []) {
 			if (requiredRoles.length && !requiredRoles.includes(user.role)) {
 				return res.status(403).json({ message: 'Forbidden' });
 			}
-			req.user = { id: user._id.toString(), role: user.role, email: user.email };
+			req.user = { id: user._id.toString(), role: user.role, email: user.email, quotaOverrides: user.quotaOverrides };
 			next();
 		} catch (err) {
 			return res.status(401).json({ message: 'Unauthorized' });
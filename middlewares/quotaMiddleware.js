@@ -0,0 +1,41 @@
+import { consumeQuota, releaseQuota } from '../services/quota.js';
+
+function setQuotaHeaders(res, kind, quota) {
+	res.set('X-Quota-Kind', kind);
+	res.set('X-Quota-Limit', quota.limit === null ? 'unlimited' : String(quota.limit));
+	res.set('X-Quota-Remaining', quota.remaining === null ? 'unlimited' : String(quota.remaining));
+	res.set('X-Quota-Reset', quota.resetAt.toISOString());
+}
+
+// Counts one use of `kind` per request (after requireAuth). `when(req)` limits it to requests that cost AI calls.
+// Uses are given back if the request fails, so errors don't eat into the quota. Handlers that queue the work read
+// `req.quota` ({ kind, day }) and pass it on, so the use can be given back if the queued job fails.
+export function enforceQuota(kind, { when } = {}) {
+	return async (req, res, next) => {
+		if (when && !when(req)) return next();
+		try {
+			const quota = await consumeQuota(req.user, kind);
+			setQuotaHeaders(res, kind, quota);
+			if (!quota.allowed) {
+				res.set('Retry-After', String(Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000)));
+				return res.status(429).json({
+					message: `Daily ${kind} quota reached (${quota.limit} per day). It resets at ${quota.resetAt.toISOString()}.`,
+					quota: { kind, limit: quota.limit, used: quota.used, resetAt: quota.resetAt }
+				});
+			}
+			req.quota = { kind, day: quota.day };
+			res.on('finish', () => {
+				if (res.statusCode >= 400) {
+					releaseQuota(req.user.id, kind, quota.day).catch((err) => {
+						console.warn('⚠️  Failed to release quota:', err.message);
+					});
+				}
+			});
+			next();
+		} catch (err) {
+			// Quota bookkeeping problems shouldn't block the user
+			console.error('❌ Quota check failed:', err.message);
+			next();
+		}
+	};
+}
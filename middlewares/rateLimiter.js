@@ -1,11 +1,31 @@
 import rateLimit from 'express-rate-limit';
+import jwt from 'jsonwebtoken';
+import { getJwtSecret } from './authMiddleware.js';
+
+// Signed-in requests are limited per account, so users sharing an IP (hospital NAT) don't lock each other out.
+// Per-day AI allowances are enforced separately by enforceQuota.
+// EventSource clients can't send headers and sign in with ?access_token= (requireAuth's allowQueryToken); that token
+// is read too. Only a verified token picks the key, and routes that don't accept it still reject the request.
+function userOrIpKey(req) {
+	const authHeader = req.headers.authorization || '';
+	const queryToken = typeof req.query?.access_token === 'string' ? req.query.access_token : null;
+	const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : queryToken;
+	if (token) {
+		try {
+			const payload = jwt.verify(token, getJwtSecret());
+			if (payload?.id) return `user:${payload.id}`;
+		} catch {
+			// Invalid token: fall back to the IP, requireAuth will reject the request
+		}
+	}
+	return req.ip;
+}
 
 export const apiLimiter = rateLimit({
 	windowMs: 15 * 60 * 1000,
 	max: 60,
 	standardHeaders: true,
 	legacyHeaders: false,
+	keyGenerator: userOrIpKey,
 	message: { message: 'Too many requests, please try again later.' }
 });
-
-
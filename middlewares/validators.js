@@ -1,4 +1,5 @@
-import { validationResult } from 'express-validator';
+import { body, validationResult } from 'express-validator';
+import { SEXES } from '../services/referenceRanges.js';
 
 export function handleValidation(req, res, next) {
 	const errors = validationResult(req);
@@ -8,4 +9,14 @@ export function handleValidation(req, res, next) {
 	next();
 }
 
-
+/**
+ * Optional patient context fields (age, sex, pregnant, trimester), as form fields or under a body prefix
+ */
+export function patientContextValidators(prefix = '') {
+	return [
+		body(`${prefix}age`).optional({ values: 'falsy' }).isFloat({ min: 0, max: 130 }),
+		body(`${prefix}sex`).optional({ values: 'falsy' }).isIn(SEXES),
+		body(`${prefix}pregnant`).optional({ values: 'falsy' }).isBoolean(),
+		body(`${prefix}trimester`).optional({ values: 'falsy' }).isInt({ min: 1, max: 3 })
+	];
+}
@@ -0,0 +1,58 @@
+// One-off: move legacy History entries (which copied summaries and findings) onto Report documents
+// Run: node migrate-history-to-reports.js [--dry-run]
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from './config/db.js';
+import History from './models/History.js';
+import Report from './models/Report.js';
+import { findCanonicalDisease } from './services/diseaseRegistry.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+	await connectDB();
+	const legacy = await History.find({ reportId: { $exists: false } }).sort({ createdAt: 1 });
+	console.log(`🔍 Found ${legacy.length} history entries without a report${dryRun ? ' (dry run)' : ''}`);
+
+	let migrated = 0;
+	let unresolved = 0;
+	for (const entry of legacy) {
+		let diseaseId = entry.diseaseId;
+		if (!diseaseId && entry.detectedDisease) {
+			const disease = await findCanonicalDisease(entry.detectedDisease);
+			diseaseId = disease?._id;
+		}
+		if (!diseaseId) unresolved++;
+		if (dryRun) continue;
+
+		const report = await Report.create({
+			userId: entry.userId,
+			file: { originalName: entry.fileName || 'upload' },
+			parsedText: entry.parsedText,
+			abnormalFindings: entry.abnormalFindings || [],
+			diseaseId,
+			detectedDisease: entry.detectedDisease,
+			status: 'interpreted',
+			createdAt: entry.createdAt
+		});
+
+		await History.updateOne(
+			{ _id: entry._id },
+			{
+				$set: { reportId: report._id, diseaseId },
+				$unset: { parsedText: 1, aiSummary: 1, videoResources: 1, specialistProviders: 1, abnormalFindings: 1 }
+			}
+		);
+		migrated++;
+	}
+
+	console.log(`\n📊 Migrated ${dryRun ? 0 : migrated} entries`);
+	console.log(`   Entries with no matching disease: ${unresolved}`);
+}
+
+main()
+	.catch((err) => {
+		console.error('❌ Migration failed:', err.message);
+		process.exitCode = 1;
+	})
+	.finally(() => mongoose.disconnect());
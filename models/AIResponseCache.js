@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Cached AI responses keyed by prompt fingerprint (see services/aiResponseCache.js)
+const AIResponseCacheSchema = new mongoose.Schema(
+	{
+		key: { type: String, required: true, unique: true }, // sha256 of provider, model, prompts, temperature
+		callSite: { type: String, required: true },
+		disease: { type: String, index: true }, // Lowercased disease name, for purging
+		provider: { type: String, required: true },
+		model: { type: String, default: '' },
+		content: { type: String, required: true },
+		hits: { type: Number, default: 0 },
+		lastHitAt: { type: Date },
+		expiresAt: { type: Date, required: true }
+	},
+	{ timestamps: true }
+);
+
+AIResponseCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AIResponseCache', AIResponseCacheSchema);
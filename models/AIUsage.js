@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// One record per successful AI provider call (see services/usageTracker.js)
+const AIUsageSchema = new mongoose.Schema(
+	{
+		userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+		feature: { type: String, required: true }, // interpret, reference-ranges, translate, stats, captions, web-resources, specialists
+		disease: { type: String },
+		promptId: { type: String }, // Prompt registry id and version (see services/promptRegistry.js)
+		promptVersion: { type: String },
+		provider: { type: String, required: true },
+		model: { type: String, default: '' },
+		promptTokens: { type: Number, default: 0 },
+		completionTokens: { type: Number, default: 0 },
+		totalTokens: { type: Number, default: 0 },
+		estimated: { type: Boolean, default: false }, // Provider didn't report usage; counted from text length
+		costUsd: { type: Number, default: 0 },
+		unpriced: { type: Boolean, default: false } // No rate for this provider/model
+	},
+	{ timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AIUsageSchema.index({ createdAt: -1 });
+AIUsageSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model('AIUsage', AIUsageSchema);
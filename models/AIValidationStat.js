@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Structured-output outcomes per provider/model and prompt schema (see services/structuredOutput.js)
+const AIValidationStatSchema = new mongoose.Schema(
+	{
+		provider: { type: String, required: true },
+		model: { type: String, default: '' },
+		schemaName: { type: String, required: true },
+		calls: { type: Number, default: 0 },
+		validFirstTry: { type: Number, default: 0 },
+		repaired: { type: Number, default: 0 }, // Valid after one or more re-prompts
+		coerced: { type: Number, default: 0 }, // Accepted only after reshaping
+		failed: { type: Number, default: 0 }, // Gave up on this provider
+		repairAttempts: { type: Number, default: 0 },
+		recentErrors: [{ type: String }], // Last few validation errors, newest first
+		lastFailureAt: { type: Date }
+	},
+	{ timestamps: true }
+);
+
+AIValidationStatSchema.index({ provider: 1, model: 1, schemaName: 1 }, { unique: true });
+
+export default mongoose.model('AIValidationStat', AIValidationStatSchema);
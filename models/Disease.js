@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { normalizeDiseaseKey, normalizeIcd10 } from '../utils/diseaseName.js';
 
 const GlobalStatisticsSchema = new mongoose.Schema(
 	{
@@ -46,6 +47,10 @@ const AISummarySchema = new mongoose.Schema(
 				fdaWarnings: [String],
 				fdaAdverseReactions: [String],
 				fdaIndications: [String],
+				fdaContraindications: [String],
+				fdaInteractions: [String],
+				fdaPregnancy: [String],
+				fdaLactation: [String],
 				drugBank: {
 					name: String,
 					description: String,
@@ -74,13 +79,43 @@ const AISummarySchema = new mongoose.Schema(
 
 const AbnormalFindingSchema = new mongoose.Schema(
 	{
-		test: String,
+		test: String, // As written on the report
+		analyteId: String, // config/analytes.js id; '' when the test isn't in the dictionary
+		analyteName: String,
+		loinc: String,
 		value: String,
 		unit: String,
 		referenceRange: String,
+		range: {
+			// referenceRange parsed: "12.0 - 15.5" (between), "< 200", "> 40", "< 1:80" (titer), "Non-Reactive" (categorical)
+			low: Number,
+			high: Number,
+			comparator: String, // 'between', '<', '<=', '>', '>=' or '=' (categorical)
+			text: String,
+			kind: String // 'numeric', 'titer' or 'categorical'
+		},
+		referenceRangeProvenance: {
+			source: String, // 'report' (printed on it), 'table' (config/referenceRanges.js) or 'ai'
+			citation: String, // Table source, or the prompt that produced an AI range
+			population: String // Who the range is for, e.g. "female, pregnant (trimester 2)"
+		},
+		normalized: {
+			// Same result in the analyte's conventional unit; unset when the unit couldn't be converted
+			value: Number,
+			unit: String,
+			referenceRange: String
+		},
 		interpretation: String,
 		flag: String,
-		severity: String
+		flagComputed: Boolean, // No flag printed or given: worked out from value and range
+		severity: String,
+		calculated: Boolean, // Derived by services/labCalculations.js, not printed on the report
+		calculation: {
+			id: String, // e.g. 'egfr-ckd-epi-2021'
+			formula: String,
+			source: String,
+			inputs: [{ _id: false, test: String, value: String, unit: String }]
+		}
 	},
 	{ _id: false }
 );
@@ -121,10 +156,13 @@ const VideoResourceSchema = new mongoose.Schema(
 const DiseaseSchema = new mongoose.Schema(
 	{
 		name: { type: String, required: true, trim: true },
+		normalizedName: { type: String, index: true }, // Canonical lookup key, see utils/diseaseName.js
+		synonyms: { type: [String], default: [], index: true }, // Normalized alternate names resolving to this entry
+		icd10Code: { type: String, index: true },
 		aiSummary: AISummarySchema,
 		globalStatistics: GlobalStatisticsSchema,
 		patientImpactFacts: PatientImpactFactsSchema,
-		abnormalFindings: [AbnormalFindingSchema],
+		abnormalFindings: [AbnormalFindingSchema], // Legacy: per-report findings now live on Report
 		videoResources: [VideoResourceSchema],
 		specialistProviders: [
 			{
@@ -133,7 +171,8 @@ const DiseaseSchema = new mongoose.Schema(
 				hospital: String,
 				city: String,
 				contact: String,
-				mapUrl: String
+				mapUrl: String,
+				region: String // Where the lookup was for; the list holds one set per region patients asked from
 			}
 		],
 		pharmacyLinks: [PharmacyLinkSchema],
@@ -145,6 +184,17 @@ const DiseaseSchema = new mongoose.Schema(
 	{ timestamps: true }
 );
 
+DiseaseSchema.pre('validate', function (next) {
+	if (this.isModified('name') || !this.normalizedName) {
+		this.normalizedName = normalizeDiseaseKey(this.name);
+	}
+	if (this.isModified('icd10Code')) {
+		this.icd10Code = normalizeIcd10(this.icd10Code) || undefined;
+	}
+	next();
+});
+
+export { AbnormalFindingSchema };
 export default mongoose.model('Disease', DiseaseSchema);
 
 
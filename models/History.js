@@ -3,17 +3,19 @@ import mongoose from 'mongoose';
 const HistorySchema = new mongoose.Schema(
 	{
 		userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+		reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'Report', index: true },
+		diseaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Disease', index: true },
 		fileName: { type: String },
 		detectedDisease: { type: String },
+		// Legacy copies from before Report existed; new entries resolve these through reportId/diseaseId
 		parsedText: { type: String },
 		aiSummary: { type: mongoose.Schema.Types.Mixed },
-		videoResources: { type: [mongoose.Schema.Types.Mixed], default: [] },
-		specialistProviders: { type: [mongoose.Schema.Types.Mixed], default: [] },
+		videoResources: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+		specialistProviders: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+		abnormalFindings: { type: [mongoose.Schema.Types.Mixed], default: undefined },
 		createdAt: { type: Date, default: Date.now }
 	},
 	{ versionKey: false }
 );
 
 export default mongoose.model('History', HistorySchema);
-
-
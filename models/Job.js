@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const JOB_RETENTION_SECONDS = 60 * 60 * 24 * 7; // finished jobs expire after a week
+
+const JobStageSchema = new mongoose.Schema(
+	{
+		name: { type: String, required: true }, // interpret, medications, statistics, videos, specialists
+		status: { type: String, enum: ['pending', 'running', 'completed', 'failed'], default: 'pending' },
+		attempts: { type: Number, default: 0 },
+		maxAttempts: { type: Number, default: 3 },
+		nextAttemptAt: Date, // Backoff: the stage is skipped until then
+		lastError: String,
+		completedAt: Date
+	},
+	{ _id: false }
+);
+
+// Stage events kept for Server-Sent Events clients that join late or reconnect
+const JobEventSchema = new mongoose.Schema(
+	{
+		id: Number, // 1-based, sequential per job
+		type: String,
+		data: mongoose.Schema.Types.Mixed,
+		at: { type: Date, default: Date.now }
+	},
+	{ _id: false }
+);
+
+// Background work picked up by the job worker (see services/jobWorker.js)
+const JobSchema = new mongoose.Schema(
+	{
+		type: { type: String, enum: ['interpret'], required: true },
+		userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+		reportId: { type: mongoose.Schema.Types.ObjectId, ref: 'Report' },
+		status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued' },
+		stage: { type: String }, // Stage currently (or last) running
+		stages: [JobStageSchema],
+		runAfter: { type: Date, default: Date.now }, // Not claimed before this (set while stages back off)
+		lockedBy: { type: String },
+		lockedAt: { type: Date },
+		result: mongoose.Schema.Types.Mixed,
+		error: { type: String },
+		// Quota use counted when the job was queued (see middlewares/quotaMiddleware.js); given back if it fails
+		quota: {
+			kind: { type: String },
+			day: { type: String }
+		},
+		events: [JobEventSchema],
+		completedAt: { type: Date }
+	},
+	{ timestamps: true }
+);
+
+JobSchema.index({ status: 1, runAfter: 1 });
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+
+export default mongoose.model('Job', JobSchema);
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const PromptVersionSchema = new mongoose.Schema(
+	{
+		version: { type: String, required: true }, // "v2"
+		template: { type: String, required: true }, // User prompt with {{placeholders}}
+		system: { type: String, default: '' }, // System prompt (also templated)
+		notes: { type: String, default: '' },
+		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+		createdAt: { type: Date, default: Date.now }
+	},
+	{ _id: false }
+);
+
+// Prompt versions and rollout added at runtime (see services/promptRegistry.js).
+// Versions here sit alongside the ones in config/prompts; the rollout here replaces the file rollout.
+const PromptSchema = new mongoose.Schema(
+	{
+		promptId: { type: String, required: true, unique: true },
+		versions: [PromptVersionSchema],
+		rollout: { type: Map, of: Number }, // version → traffic share (percent)
+		updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+	},
+	{ timestamps: true }
+);
+
+export default mongoose.model('Prompt', PromptSchema);
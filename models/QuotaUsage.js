@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Per-user AI usage counters for one UTC day (see services/quota.js)
+const QuotaUsageSchema = new mongoose.Schema(
+	{
+		userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+		day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+		counts: {
+			interpret: { type: Number, default: 0 },
+			translate: { type: Number, default: 0 },
+			videoRefresh: { type: Number, default: 0 }
+		},
+		expiresAt: { type: Date, required: true }
+	},
+	{ timestamps: true }
+);
+
+QuotaUsageSchema.index({ userId: 1, day: 1 }, { unique: true });
+QuotaUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('QuotaUsage', QuotaUsageSchema);
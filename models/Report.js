@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import { AbnormalFindingSchema } from './Disease.js';
+
+const FileMetadataSchema = new mongoose.Schema(
+	{
+		originalName: String,
+		mimeType: String,
+		size: Number, // bytes
+		extractionMethod: { type: String, enum: ['pdf-text', 'ocr', 'manual'] }
+	},
+	{ _id: false }
+);
+
+const DifferentialSchema = new mongoose.Schema(
+	{
+		rank: Number,
+		name: String,
+		icd10Code: String,
+		likelihood: { type: String, enum: ['high', 'moderate', 'low'] },
+		score: Number, // 0-1, from model-reported likelihood and position, across providers
+		support: Number, // Number of providers that suggested it
+		reasoning: String
+	},
+	{ _id: false }
+);
+
+// Primary diagnosis with how sure we are of it, and what else it could be
+const DiagnosisSchema = new mongoose.Schema(
+	{
+		name: String,
+		icd10Code: String,
+		confidence: {
+			level: { type: String, enum: ['high', 'moderate', 'low'] },
+			score: Number, // 0-1, model-reported confidence weighted with cross-provider agreement
+			modelScore: Number,
+			agreementScore: Number // null with a single provider
+		},
+		differentials: [DifferentialSchema]
+	},
+	{ _id: false }
+);
+
+// One provider's answer, as returned before consensus merged it
+const ProviderOutputSchema = new mongoose.Schema(
+	{
+		provider: String,
+		model: String,
+		output: mongoose.Schema.Types.Mixed
+	},
+	{ _id: false }
+);
+
+// Rule-based red-flag triage (services/triage.js), computed before any AI call
+const RedFlagSchema = new mongoose.Schema(
+	{
+		ruleId: String, // null when it comes from the lab's own critical flag
+		analyteId: String, // config/analytes.js
+		analyte: String,
+		test: String, // As written on the report
+		value: String,
+		unit: String,
+		normalizedValue: Number, // In the rule's unit
+		ruleUnit: String,
+		direction: { type: String, enum: ['high', 'low'] },
+		threshold: Number,
+		level: { type: String, enum: ['urgent', 'emergency'] },
+		guidance: String,
+		source: { type: String, enum: ['rule', 'lab-flag'] }
+	},
+	{ _id: false }
+);
+
+const TriageSchema = new mongoose.Schema(
+	{
+		level: { type: String, enum: ['none', 'routine', 'urgent', 'emergency'] },
+		guidance: String,
+		redFlags: [RedFlagSchema],
+		evaluatedAt: Date
+	},
+	{ _id: false }
+);
+
+// Prompt-injection checks on the uploaded text (services/reportTextSafety.js) and the admin review of them
+const InputCheckSchema = new mongoose.Schema(
+	{
+		sanitized: Boolean, // Text was changed before it went into the prompt
+		detectedPatterns: [{ _id: false, rule: String, line: Number, excerpt: String }],
+		issues: [{ _id: false, type: { type: String }, detail: String }], // Where the output didn't match the report
+		checkedAt: Date,
+		reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+		reviewedAt: Date,
+		reviewNote: String
+	},
+	{ _id: false }
+);
+
+const AIRunSchema = new mongoose.Schema(
+	{
+		provider: String, // Comma-separated when several providers reached consensus
+		model: String,
+		consensusValidated: { type: Boolean, default: false },
+		validatedBy: Number, // Number of providers that answered
+		agreement: mongoose.Schema.Types.Mixed, // { fields, overall, diagnosis }: per-field share of providers that agreed (0-1)
+		providerOutputs: [ProviderOutputSchema],
+		disagreement: mongoose.Schema.Types.Mixed, // { fields: [{ field, agreement, values }], diagnoses: [{ name, icd10Code, providers }] }
+		prompt: { id: String, version: String }, // Prompt registry version that produced this run
+		startedAt: Date,
+		completedAt: Date,
+		durationMs: Number,
+		error: String
+	},
+	{ _id: false }
+);
+
+// Who the report is for, as given at upload; picks age-, sex- and pregnancy-specific reference ranges
+const PatientContextSchema = new mongoose.Schema(
+	{
+		age: { type: Number, min: 0, max: 130 }, // Years at the time of the test
+		sex: { type: String, enum: ['male', 'female'] },
+		pregnant: Boolean,
+		trimester: { type: Number, min: 1, max: 3 }
+	},
+	{ _id: false }
+);
+
+// One uploaded lab report: what the patient sent, what we found in it, and which disease it resolved to
+const ReportSchema = new mongoose.Schema(
+	{
+		userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+		file: FileMetadataSchema,
+		parsedText: { type: String },
+		patientContext: { type: PatientContextSchema, default: undefined },
+		abnormalFindings: [AbnormalFindingSchema],
+		results: [AbnormalFindingSchema], // Every result row read from the report, normal ones included
+		diseaseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Disease', index: true },
+		detectedDisease: { type: String }, // Name as reported by the AI, before canonical resolution
+		diagnosis: DiagnosisSchema,
+		triage: TriageSchema,
+		status: { type: String, enum: ['uploaded', 'interpreted', 'failed'], default: 'uploaded' },
+		aiRun: AIRunSchema,
+		suspiciousInput: { type: Boolean, default: false },
+		inputCheck: InputCheckSchema
+	},
+	{ timestamps: true }
+);
+
+ReportSchema.index({ userId: 1, createdAt: -1 });
+ReportSchema.index({ suspiciousInput: 1, createdAt: -1 });
+
+export default mongoose.model('Report', ReportSchema);
@@ -8,6 +8,41 @@ const BookmarkSchema = new mongoose.Schema(
 	{ _id: false }
 );
 
+// Per-account daily limits set by an admin; unset fields fall back to the role default (null = unlimited)
+const QuotaOverridesSchema = new mongoose.Schema(
+	{
+		interpret: { type: Number, min: 0, default: undefined },
+		translate: { type: Number, min: 0, default: undefined },
+		videoRefresh: { type: Number, min: 0, default: undefined }
+	},
+	{ _id: false }
+);
+
+const PreferencesSchema = new mongoose.Schema(
+	{
+		unitSystem: { type: String, enum: ['conventional', 'si'], default: 'conventional' } // How lab values are returned
+	},
+	{ _id: false }
+);
+
+// What the patient tells us about themselves; personalizes interpretation, medication warnings and specialist lookup
+const ProfileSchema = new mongoose.Schema(
+	{
+		dateOfBirth: Date,
+		sex: { type: String, enum: ['male', 'female', 'other'] },
+		heightCm: { type: Number, min: 30, max: 272 },
+		weightKg: { type: Number, min: 1, max: 500 },
+		conditions: [{ type: String, trim: true }], // Known diagnoses, e.g. "Type 2 diabetes"
+		medications: [{ type: String, trim: true }], // Taken now, generic or brand names
+		allergies: [{ type: String, trim: true }], // Drugs or drug classes, e.g. "Penicillin"
+		pregnancyStatus: { type: String, enum: ['not-pregnant', 'pregnant', 'lactating'] },
+		trimester: { type: Number, min: 1, max: 3 },
+		region: { type: String, trim: true }, // City, state or country for specialist lookup
+		updatedAt: Date
+	},
+	{ _id: false }
+);
+
 const UserSchema = new mongoose.Schema(
 	{
 		name: { type: String, required: true, trim: true },
@@ -15,7 +50,10 @@ const UserSchema = new mongoose.Schema(
 		passwordHash: { type: String, required: true },
 		role: { type: String, enum: ['user', 'admin'], default: 'user' },
 		bookmarks: [BookmarkSchema],
-		refreshToken: { type: String, default: null }
+		refreshToken: { type: String, default: null },
+		quotaOverrides: { type: QuotaOverridesSchema, default: undefined },
+		preferences: { type: PreferencesSchema, default: () => ({}) },
+		profile: { type: ProfileSchema, default: undefined }
 	},
 	{ timestamps: true }
 );
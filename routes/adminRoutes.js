@@ -1,7 +1,23 @@
 import { Router } from 'express';
-import { approveDisease, listPending } from '../controllers/adminController.js';
+import { body, param, query } from 'express-validator';
+import {
+	approveDisease,
+	createPromptVersion,
+	getPrompt,
+	getUsage,
+	getUserQuota,
+	listPending,
+	listPromptVersions,
+	listSuspiciousReports,
+	listValidationStats,
+	purgeAICache,
+	reviewSuspiciousReport,
+	setUserQuota,
+	updatePromptRollout
+} from '../controllers/adminController.js';
 import { requireAuth } from '../middlewares/authMiddleware.js';
 import { handleValidation } from '../middlewares/validators.js';
+import { QUOTA_KINDS } from '../services/quota.js';
 
 const router = Router();
 
@@ -14,6 +30,82 @@ router.post(
 	handleValidation,
 	approveDisease
 );
+router.get('/ai/validation-stats', requireAuth(['admin']), listValidationStats);
+router.delete(
+	'/ai/cache',
+	requireAuth(['admin']),
+	[query('disease').isString().trim().notEmpty(), query('callSite').optional().isString()],
+	handleValidation,
+	purgeAICache
+);
+router.get(
+	'/usage',
+	requireAuth(['admin']),
+	[
+		query('from').optional().isISO8601(),
+		query('to').optional().isISO8601(),
+		query('userId').optional().isMongoId(),
+		query('feature').optional().isString(),
+		query('provider').optional().isString()
+	],
+	handleValidation,
+	getUsage
+);
+router.get('/users/:id/quota', requireAuth(['admin']), [param('id').isMongoId()], handleValidation, getUserQuota);
+router.put(
+	'/users/:id/quota',
+	requireAuth(['admin']),
+	[
+		param('id').isMongoId(),
+		// null = unlimited
+		...QUOTA_KINDS.map((kind) =>
+			body(kind).optional().custom((value) => value === null || (Number.isInteger(value) && value >= 0))
+		)
+	],
+	handleValidation,
+	setUserQuota
+);
+router.get('/prompts', requireAuth(['admin']), listPromptVersions);
+router.get('/prompts/:id', requireAuth(['admin']), [param('id').isString().trim().notEmpty()], handleValidation, getPrompt);
+router.post(
+	'/prompts/:id/versions',
+	requireAuth(['admin']),
+	[
+		param('id').matches(/^[a-z0-9-]+$/),
+		body('version').matches(/^v\d+$/),
+		body('template').isString().notEmpty(),
+		body('system').optional().isString(),
+		body('notes').optional().isString()
+	],
+	handleValidation,
+	createPromptVersion
+);
+router.put(
+	'/prompts/:id/rollout',
+	requireAuth(['admin']),
+	[
+		param('id').matches(/^[a-z0-9-]+$/),
+		// { v1: 90, v2: 10 }; {} goes back to config/prompts/rollout.json
+		body('weights').isObject(),
+		body('weights.*').isFloat({ min: 0, max: 100 })
+	],
+	handleValidation,
+	updatePromptRollout
+);
+router.get(
+	'/reports/suspicious',
+	requireAuth(['admin']),
+	[query('reviewed').optional().isIn(['true', 'false'])],
+	handleValidation,
+	listSuspiciousReports
+);
+router.post(
+	'/reports/:id/review',
+	requireAuth(['admin']),
+	[param('id').isMongoId(), body('note').optional().isString(), body('suspicious').optional().isBoolean({ strict: true })],
+	handleValidation,
+	reviewSuspiciousReport
+);
 
 export default router;
 
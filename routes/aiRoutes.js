@@ -1,19 +1,31 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
-import { interpretReport } from '../controllers/aiController.js';
-import { handleValidation } from '../middlewares/validators.js';
+import { body, param } from 'express-validator';
+import { interpretReport, streamInterpretationEvents } from '../controllers/aiController.js';
+import { handleValidation, patientContextValidators } from '../middlewares/validators.js';
 import { requireAuth } from '../middlewares/authMiddleware.js';
+import { enforceQuota } from '../middlewares/quotaMiddleware.js';
 
 const router = Router();
 
+// POST queues the job; GET follows its stage events over SSE (status also at /api/jobs/:id)
 router.post(
 	'/interpret',
 	requireAuth(),
-	[body('parsedText').isString().isLength({ min: 5 })],
+	[
+		body('reportId').optional().isMongoId(),
+		body('parsedText').if(body('reportId').not().exists()).isString().isLength({ min: 5 }),
+		...patientContextValidators('patientContext.')
+	],
 	handleValidation,
+	enforceQuota('interpret'),
 	interpretReport
 );
+router.get(
+	'/interpret/:jobId/events',
+	requireAuth([], { allowQueryToken: true }),
+	[param('jobId').isMongoId()],
+	handleValidation,
+	streamInterpretationEvents
+);
 
 export default router;
-
-
@@ -1,8 +1,9 @@
 import { Router } from 'express';
 import { body } from 'express-validator';
 import { handleValidation } from '../middlewares/validators.js';
-import { login, me, refresh, register } from '../controllers/authController.js';
+import { login, me, refresh, register, updatePreferences } from '../controllers/authController.js';
 import { requireAuth } from '../middlewares/authMiddleware.js';
+import { UNIT_SYSTEMS } from '../services/unitConversion.js';
 
 const router = Router();
 
@@ -20,6 +21,13 @@ router.post(
 router.post('/login', [body('email').isEmail(), body('password').isString()], handleValidation, login);
 router.post('/refresh', [body('refreshToken').isString()], handleValidation, refresh);
 router.get('/me', requireAuth(), me);
+router.put(
+	'/preferences',
+	requireAuth(),
+	[body('unitSystem').optional().isIn(UNIT_SYSTEMS)],
+	handleValidation,
+	updatePreferences
+);
 
 export default router;
 
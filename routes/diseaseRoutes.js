@@ -2,16 +2,20 @@ import { Router } from 'express';
 import { body } from 'express-validator';
 import { addBookmark, getDisease, getDiseaseLocalized, getHistory } from '../controllers/diseaseController.js';
 import { requireAuth } from '../middlewares/authMiddleware.js';
+import { enforceQuota } from '../middlewares/quotaMiddleware.js';
 import { handleValidation } from '../middlewares/validators.js';
 import Disease from '../models/Disease.js';
 import { fetchVideoResources } from '../controllers/aiController.js';
 
 const router = Router();
 
-router.get('/:id/localized', requireAuth(), getDiseaseLocalized);
+// Only non-English requests translate; English is served from the stored summary
+const isTranslation = (req) => (req.query.lang || 'en').toLowerCase() !== 'en';
+
+router.get('/:id/localized', requireAuth(), enforceQuota('translate', { when: isTranslation }), getDiseaseLocalized);
 router.get('/:id', requireAuth(), getDisease);
 router.get('/', requireAuth(), getHistory);
-router.post('/:id/refresh-videos', requireAuth(), async (req, res) => {
+router.post('/:id/refresh-videos', requireAuth(), enforceQuota('videoRefresh'), async (req, res) => {
 	try {
 		const { id } = req.params;
 		const disease = await Disease.findById(id);
@@ -29,7 +33,7 @@ router.post('/:id/refresh-videos', requireAuth(), async (req, res) => {
 		
 		// Force fetch new videos directly
 		console.log(`   🔍 Fetching videos using Gemini + YouTube...`);
-		const videos = await fetchVideoResources(disease.name, 'en');
+		const videos = await fetchVideoResources(disease.name, 'en', { userId: req.user.id });
 		
 		console.log(`   📊 Fetch returned: ${videos ? videos.length : 0} videos`);
 		
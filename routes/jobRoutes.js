@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { param } from 'express-validator';
+import { getJobStatus } from '../controllers/jobController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { handleValidation } from '../middlewares/validators.js';
+
+const router = Router();
+
+router.get('/:id', requireAuth(), [param('id').isMongoId()], handleValidation, getJobStatus);
+
+export default router;
@@ -0,0 +1,39 @@
+import { Router } from 'express';
+import { body } from 'express-validator';
+import { getProfile, updateProfile } from '../controllers/profileController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { handleValidation } from '../middlewares/validators.js';
+import { PREGNANCY_STATUSES, PROFILE_LIST_FIELDS, PROFILE_SEXES } from '../services/patientProfile.js';
+
+const router = Router();
+
+router.get('/', requireAuth(), getProfile);
+router.put(
+	'/',
+	requireAuth(),
+	[
+		body('dateOfBirth')
+			.optional({ values: 'null' })
+			.isISO8601()
+			.custom((value) => new Date(value) <= new Date())
+			.withMessage('dateOfBirth must be in the past'),
+		body('sex').optional({ values: 'null' }).isIn(PROFILE_SEXES),
+		body('heightCm').optional({ values: 'null' }).isFloat({ min: 30, max: 272 }).toFloat(),
+		body('weightKg').optional({ values: 'null' }).isFloat({ min: 1, max: 500 }).toFloat(),
+		...PROFILE_LIST_FIELDS.flatMap((field) => [
+			body(field).optional({ values: 'null' }).isArray({ max: 50 }),
+			body(`${field}.*`).isString().isLength({ max: 200 })
+		]),
+		body('pregnancyStatus')
+			.optional({ values: 'null' })
+			.isIn(PREGNANCY_STATUSES)
+			.custom((value, { req }) => value === 'not-pregnant' || req.body.sex !== 'male')
+			.withMessage('pregnancyStatus does not apply to sex "male"'),
+		body('trimester').optional({ values: 'null' }).isInt({ min: 1, max: 3 }).toInt(),
+		body('region').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+	],
+	handleValidation,
+	updateProfile
+);
+
+export default router;
@@ -0,0 +1,31 @@
+import { Router } from 'express';
+import { param, query } from 'express-validator';
+import {
+	deleteReport,
+	getAnalyteTrend,
+	getReport,
+	getReportConsensus,
+	listAnalyteDictionary,
+	listReports
+} from '../controllers/reportController.js';
+import { requireAuth } from '../middlewares/authMiddleware.js';
+import { handleValidation } from '../middlewares/validators.js';
+import { UNIT_SYSTEMS } from '../services/unitConversion.js';
+
+const router = Router();
+
+router.get('/', requireAuth(), listReports);
+// Declared before /:id so these paths aren't read as report ids
+router.get('/analytes', requireAuth(), [query('panel').optional().isString()], handleValidation, listAnalyteDictionary);
+router.get(
+	'/trends/:analyteId',
+	requireAuth(),
+	[param('analyteId').matches(/^[a-z0-9-]+$/), query('units').optional().isIn(UNIT_SYSTEMS)],
+	handleValidation,
+	getAnalyteTrend
+);
+router.get('/:id', requireAuth(), [param('id').isMongoId(), query('units').optional().isIn(UNIT_SYSTEMS)], handleValidation, getReport);
+router.get('/:id/consensus', requireAuth(), [param('id').isMongoId()], handleValidation, getReportConsensus);
+router.delete('/:id', requireAuth(), [param('id').isMongoId()], handleValidation, deleteReport);
+
+export default router;
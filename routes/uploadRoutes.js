@@ -1,10 +1,12 @@
 import { Router } from 'express';
-import { extractText, upload } from '../controllers/uploadController.js';
+import { extractText, rejectInvalidUpload, upload } from '../controllers/uploadController.js';
 import { requireAuth } from '../middlewares/authMiddleware.js';
+import { patientContextValidators } from '../middlewares/validators.js';
 
 const router = Router();
 
-router.post('/report', requireAuth(), upload, extractText);
+// Multipart: the file as `report`, plus optional age, sex, pregnant and trimester fields
+router.post('/report', requireAuth(), upload, patientContextValidators(), rejectInvalidUpload, extractText);
 
 export default router;
 
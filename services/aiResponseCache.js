@@ -0,0 +1,83 @@
+// AI response cache
+// Prompts that only depend on a disease name (captions, web resources, statistics, specialists) are answered
+// from Mongo until their call site's TTL runs out. Callers opt in with generateAIResponse(..., { cache: { callSite, disease } }).
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AIResponseCache from '../models/AIResponseCache.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// How long each call site's answers stay fresh
+export const CACHE_TTLS = {
+	captions: 30 * DAY_MS,
+	'web-resources': 7 * DAY_MS,
+	statistics: 30 * DAY_MS,
+	specialists: 7 * DAY_MS
+};
+const DEFAULT_TTL_MS = DAY_MS;
+
+function isEnabled() {
+	return process.env.AI_CACHE_DISABLED !== 'true' && mongoose.connection.readyState === 1;
+}
+
+function normalizeDisease(name) {
+	return name ? String(name).trim().toLowerCase() : undefined;
+}
+
+export function cacheKey({ provider, model, systemPrompt, messages, temperature }) {
+	return crypto
+		.createHash('sha256')
+		.update(JSON.stringify([provider, model || '', systemPrompt || '', messages, temperature]))
+		.digest('hex');
+}
+
+/**
+ * Return the first live entry among `keys`, in the order given (provider priority)
+ */
+export async function findCachedResponse(keys) {
+	if (!isEnabled() || !keys.length) return null;
+	try {
+		const entries = await AIResponseCache.find({ key: { $in: keys }, expiresAt: { $gt: new Date() } }).lean();
+		const entry = keys.map((key) => entries.find((e) => e.key === key)).find(Boolean);
+		if (entry) {
+			AIResponseCache.updateOne({ _id: entry._id }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } }).catch(() => {});
+		}
+		return entry || null;
+	} catch (err) {
+		console.warn('⚠️  AI cache lookup failed:', err.message);
+		return null;
+	}
+}
+
+/**
+ * Save (or refresh) a response. Fire-and-forget: a cache write never fails the request.
+ */
+export function storeCachedResponse({ key, callSite, disease, provider, model, content, ttlMs }) {
+	if (!isEnabled() || !content) return;
+	const ttl = ttlMs ?? CACHE_TTLS[callSite] ?? DEFAULT_TTL_MS;
+	AIResponseCache.updateOne(
+		{ key },
+		{
+			$set: {
+				callSite,
+				disease: normalizeDisease(disease),
+				provider,
+				model: model || '',
+				content,
+				expiresAt: new Date(Date.now() + ttl)
+			},
+			$setOnInsert: { hits: 0 }
+		},
+		{ upsert: true }
+	).catch((err) => console.warn('⚠️  AI cache write failed:', err.message));
+}
+
+/**
+ * Drop every cached response for a disease (optionally only one call site)
+ */
+export async function purgeCachedResponses({ disease, callSite }) {
+	const filter = { disease: normalizeDisease(disease) };
+	if (callSite) filter.callSite = callSite;
+	const result = await AIResponseCache.deleteMany(filter);
+	return result.deletedCount;
+}
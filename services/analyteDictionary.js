@@ -0,0 +1,103 @@
+// Analyte dictionary lookups
+// Maps the free-text test names on reports and in model output onto the analytes in config/analytes.js,
+// so findings can be merged, trended and given reference ranges by canonical id instead of by spelling.
+import { PANELS, getAnalytes } from '../config/analytes.js';
+import { normalizeDiseaseKey } from '../utils/diseaseName.js';
+
+// Specimen words in front of and wording after a test name that don't change which analyte it is
+const NAME_PREFIX_REGEX = /^(?:(?:serum|plasma|s|p)\s+)+/;
+const NAME_SUFFIX_REGEX = /\s+(?:level|levels|value|result|serum|plasma)$/;
+// Bracketed qualifiers that pick a different analyte: "Glucose (Fasting)", "Bilirubin (Direct)", "T4 (Free)"
+const QUALIFIER_REGEX = /[(\[]\s*(fasting|random|total|direct|indirect|free)\s*[)\]]/gi;
+
+let aliasIndex = null;
+let idIndex = null;
+
+// The qualifier is folded into the key before normalizeDiseaseKey drops what's in brackets
+function analyteKey(name) {
+	return normalizeDiseaseKey(String(name || '').replace(/\+/g, ' plus ').replace(QUALIFIER_REGEX, ' $1 '))
+		.replace(NAME_PREFIX_REGEX, '')
+		.replace(NAME_SUFFIX_REGEX, '');
+}
+
+function buildIndexes() {
+	aliasIndex = new Map();
+	idIndex = new Map();
+	getAnalytes().forEach((analyte) => {
+		idIndex.set(analyte.id, analyte);
+		// The canonical name and id win over another analyte's alias
+		[analyte.name, analyte.id.replace(/-/g, ' ')].forEach((name) => aliasIndex.set(analyteKey(name), analyte));
+	});
+	getAnalytes().forEach((analyte) => {
+		(analyte.aliases || []).forEach((alias) => {
+			const key = analyteKey(alias);
+			if (!aliasIndex.has(key)) aliasIndex.set(key, analyte);
+		});
+	});
+}
+
+export function getAnalyte(id) {
+	if (!idIndex) buildIndexes();
+	return idIndex.get(id) || null;
+}
+
+/**
+ * The analyte a test name refers to ("Hb", "Haemoglobin", "Serum hemoglobin level" → hemoglobin), or null.
+ * Exact alias match only: close spellings of different tests ("Direct" vs "Indirect bilirubin") must not merge.
+ */
+export function resolveAnalyte(testName) {
+	if (!testName || typeof testName !== 'string') return null;
+	if (!aliasIndex) buildIndexes();
+	// A qualifier the dictionary doesn't distinguish ("Hemoglobin (Total)") is then dropped
+	const direct = aliasIndex.get(analyteKey(testName)) || aliasIndex.get(analyteKey(testName.replace(QUALIFIER_REGEX, ' ')));
+	if (direct) return direct;
+	// "Glucose, Fasting" / "T4, Free": try the parts the other way round
+	const parts = testName.split(',').map((part) => part.trim()).filter(Boolean);
+	return parts.length === 2 ? aliasIndex.get(analyteKey(`${parts[1]} ${parts[0]}`)) || null : null;
+}
+
+/**
+ * Copy of a finding with its analyte id, canonical name and LOINC code ('' when the test isn't in the dictionary).
+ * `test` keeps the name as written on the report.
+ */
+export function annotateFinding(finding) {
+	const analyte = resolveAnalyte(finding?.test);
+	return {
+		...finding,
+		analyteId: analyte?.id || '',
+		analyteName: analyte?.name || '',
+		loinc: analyte?.loinc || ''
+	};
+}
+
+export function annotateFindings(findings = []) {
+	return findings.map(annotateFinding);
+}
+
+/**
+ * Whether two test names are the same analyte; names outside the dictionary compare by normalized spelling
+ */
+export function isSameAnalyte(a, b) {
+	const analyteA = resolveAnalyte(a);
+	const analyteB = resolveAnalyte(b);
+	if (analyteA || analyteB) return Boolean(analyteA && analyteB && analyteA.id === analyteB.id);
+	const keyA = analyteKey(a);
+	return Boolean(keyA) && keyA === analyteKey(b);
+}
+
+/**
+ * Dictionary entries, optionally only those in one panel
+ */
+export function listAnalytes({ panel } = {}) {
+	return getAnalytes()
+		.filter((analyte) => !panel || (analyte.panels || []).includes(panel))
+		.map(({ id, name, loinc, unit, panels, aliases }) => ({ id, name, loinc, unit, panels, aliases }));
+}
+
+export function listPanels() {
+	return Object.entries(PANELS).map(([id, name]) => ({
+		id,
+		name,
+		analytes: getAnalytes().filter((analyte) => (analyte.panels || []).includes(id)).map((analyte) => analyte.id)
+	}));
+}
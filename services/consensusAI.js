@@ -1,13 +1,22 @@
 // Multi-Provider Consensus System for Fact-Based Medical Analysis
 // Uses multiple AI providers in parallel to cross-validate and synthesize responses
-import { generateAIResponse, PROVIDERS } from '../config/aiProvider.js';
+import { generateAIResponse, isLocalOnlyMode, PROVIDERS } from '../config/aiProvider.js';
+import { getMockInstances, isMockMode } from '../config/mockAIProvider.js';
+import { generateStructuredResponse } from './structuredOutput.js';
+import { isSameDisease, resolveDiseaseIdentity } from './diseaseRegistry.js';
+import { resolveAnalyte } from './analyteDictionary.js';
+import { parseJsonContent } from '../utils/jsonSchema.js';
+import { clusterTerms, numbersAgree, parseNumericValue, sameStatement, termSimilarity } from '../utils/textSimilarity.js';
+
+// Phrases at least this similar are treated as the same item when merging lists
+const LIST_MATCH_THRESHOLD = 0.8;
 
 /**
  * Get responses from multiple providers in parallel
  */
 async function getMultiProviderResponses(messages, systemPrompt, options = {}) {
 	// Build provider list based on available API keys
-	const providers = [];
+	let providers = [];
 	
 	// Check for Gemini (OpenRouter or direct)
 	if (process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here') {
@@ -33,6 +42,21 @@ async function getMultiProviderResponses(messages, systemPrompt, options = {}) {
 	if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
 		providers.push({ name: PROVIDERS.OPENAI, model: process.env.OPENAI_MODEL || 'gpt-4o-mini', priority: 4, apiKey: 'OPENAI_API_KEY' });
 	}
+	
+	// Check for a local model server
+	if (process.env.LOCAL_LLM_BASE_URL) {
+		providers.push({ name: PROVIDERS.LOCAL, model: process.env.LOCAL_LLM_MODEL || 'llama3.1:8b', priority: 5, apiKey: 'LOCAL_LLM_BASE_URL' });
+	}
+	
+	// Local-only deployments never send report text to hosted providers
+	if (isLocalOnlyMode()) {
+		providers = providers.filter(p => p.name === PROVIDERS.LOCAL);
+	}
+	
+	// Mock mode replaces every real provider with the fixture-backed mock instances
+	if (isMockMode()) {
+		providers = getMockInstances().map((instance, idx) => ({ name: PROVIDERS.MOCK, model: instance, priority: idx + 1, apiKey: 'MOCK_AI' }));
+	}
 
 	if (providers.length === 0) {
 		throw new Error('No AI providers configured');
@@ -40,16 +64,21 @@ async function getMultiProviderResponses(messages, systemPrompt, options = {}) {
 
 	const promises = providers.map(async (provider) => {
 		try {
-			const result = await generateAIResponse(messages, systemPrompt, {
+			const providerOptions = {
 				...options,
 				preferredProviders: [provider.name],
 				model: provider.model, // Pass model for OpenRouter
 				timeout: 30000 // 30 second timeout per provider
-			});
+			};
+			// With a schema, each provider's answer is validated (and repaired) on its own before voting
+			const result = options.schema
+				? await generateStructuredResponse(messages, systemPrompt, { ...providerOptions, fallback: false })
+				: await generateAIResponse(messages, systemPrompt, providerOptions);
 			return {
 				provider: provider.name,
 				model: provider.model,
 				content: result.content,
+				parsed: result.data,
 				success: true,
 				priority: provider.priority
 			};
@@ -92,6 +121,7 @@ function synthesizeConsensus(responses, sectionType) {
 	if (responses.length === 1) {
 		return {
 			content: responses[0].content,
+			parsed: responses[0].parsed,
 			providers: [responses[0].provider],
 			models: [responses[0].model],
 			consensus: 'single'
@@ -107,22 +137,210 @@ function synthesizeConsensus(responses, sectionType) {
 	return synthesizeTextConsensus(responses);
 }
 
+function mean(values) {
+	return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 1;
+}
+
+function distinctSources(members) {
+	return new Set(members.map((member) => member.index)).size;
+}
+
 /**
- * Synthesize JSON responses by merging and validating
+ * probable_disease: answers agree when they resolve to the same registry entry (synonyms, spelling) or are
+ * near-identical; a shared ICD-10 code backs up similar names but isn't enough alone (see isSameDisease).
+ * The largest group wins; ties go to the higher-priority provider.
+ */
+function mergeDiagnosis(entries, total) {
+	const candidates = entries
+		.filter((entry) => typeof entry.value === 'string' && entry.value.trim())
+		.map((entry) => ({ ...entry, identity: resolveDiseaseIdentity(entry.value, { icd10Code: entry.source.icd10_code }) }));
+	const same = (a, b) =>
+		isSameDisease({ name: a.value, icd10Code: a.source.icd10_code }, { name: b.value, icd10Code: b.source.icd10_code });
+
+	const groups = [];
+	candidates.forEach((candidate) => {
+		const group = groups.find((g) => g.some((member) => same(member, candidate)));
+		if (group) group.push(candidate);
+		else groups.push([candidate]);
+	});
+	if (!groups.length) return null;
+
+	const winner = groups.reduce((best, group) => (group.length > best.length ? group : best), groups[0]);
+	return {
+		value: winner[0].value,
+		agreement: winner.length / total,
+		source: winner[0].source,
+		alternatives: groups.filter((group) => group !== winner).map((group) => group[0].value),
+		groups: groups.map((group) => ({
+			name: group[0].value,
+			icd10Code: group[0].identity.icd10Code || null,
+			sources: group.map((member) => member.index)
+		}))
+	};
+}
+
+/**
+ * abnormal_values: rows for the same test are merged (fuzzy on the test name); a row counts as agreeing
+ * when its value is within 5% of the highest-priority provider's value
+ */
+function mergeFindings(entries, total) {
+	const rows = entries.flatMap((entry) =>
+		entry.value
+			.filter((row) => row && typeof row.test === 'string' && row.test.trim())
+			// Known analytes cluster by id, so "Hb" and "Hemoglobin" are one finding and "MCH" and "MCHC" stay two
+			.map((row) => ({ value: row.test, key: resolveAnalyte(row.test)?.id, row, index: entry.index }))
+	);
+	const scores = [];
+	const merged = clusterTerms(rows, LIST_MATCH_THRESHOLD).map((cluster) => {
+		const [first, ...rest] = cluster.members;
+		const baseValue = parseNumericValue(first.row.value);
+		const agreeing = new Set([first.index]);
+		const conflicting = [];
+		rest.forEach((member) => {
+			if (agreeing.has(member.index)) return;
+			const value = parseNumericValue(member.row.value);
+			const agrees = baseValue === null || value === null
+				? String(member.row.value ?? '').trim() === String(first.row.value ?? '').trim()
+				: numbersAgree(baseValue, value);
+			if (agrees) agreeing.add(member.index);
+			else conflicting.push(member.row.value);
+		});
+		scores.push(agreeing.size / total);
+
+		// Fill fields the first provider left out from the others
+		const row = Object.assign({}, ...rest.map((member) => member.row).reverse(), first.row);
+		if (conflicting.length) row.conflicting_values = conflicting;
+		return row;
+	});
+	return { value: merged, agreement: mean(scores) };
+}
+
+/**
+ * Lists of strings: union de-duplicated on whole words (see sameStatement), items more providers mention first
+ */
+function mergeStringList(entries, total) {
+	const items = entries.flatMap((entry) =>
+		entry.value
+			.filter((item) => typeof item === 'string' && item.trim())
+			.map((item) => ({ value: item.trim(), index: entry.index }))
+	);
+	const clusters = clusterTerms(items, (a, b) => sameStatement(a.value, b.value))
+		.map((cluster) => ({ label: cluster.label, support: distinctSources(cluster.members) }))
+		.sort((a, b) => b.support - a.support);
+	return {
+		value: clusters.map((cluster) => cluster.label),
+		agreement: mean(clusters.map((cluster) => cluster.support / total))
+	};
+}
+
+/**
+ * Lists of objects with a name (differential_diagnoses): union on the disease, matched like probable_disease
+ * (registry entry, or a near-identical name that a shared ICD-10 code can back up); items more providers mention first
+ */
+function mergeNamedList(entries, total) {
+	const items = entries.flatMap((entry) =>
+		entry.value
+			.filter((item) => item.name.trim())
+			.map((item) => ({ value: item.name.trim(), item, index: entry.index }))
+	);
+	const same = (a, b) => isSameDisease({ name: a.value, icd10Code: a.item.icd10_code }, { name: b.value, icd10Code: b.item.icd10_code });
+	const clusters = clusterTerms(items, same)
+		.map((cluster) => ({ item: cluster.members[0].item, support: distinctSources(cluster.members) }))
+		.sort((a, b) => b.support - a.support);
+	return {
+		value: clusters.map((cluster) => cluster.item),
+		agreement: mean(clusters.map((cluster) => cluster.support / total))
+	};
+}
+
+/**
+ * Numbers: the highest-priority value, agreement = share of providers within 5% of it
+ */
+function mergeNumber(entries, total) {
+	const base = entries[0].value;
+	return { value: base, agreement: entries.filter((entry) => numbersAgree(base, entry.value)).length / total };
+}
+
+/**
+ * Short strings (severity, flags) are voted on case-insensitively; longer text (cause, duration) keeps the
+ * highest-priority provider's wording and scores how similar the others are
+ */
+function mergeString(entries, total) {
+	const values = entries.filter((entry) => typeof entry.value === 'string' && entry.value.trim());
+	if (!values.length) return { value: entries[0].value, agreement: 0 };
+
+	if (values.every((entry) => entry.value.trim().split(/\s+/).length <= 3)) {
+		const votes = new Map();
+		values.forEach((entry) => {
+			const key = entry.value.trim().toLowerCase();
+			if (!votes.has(key)) votes.set(key, { value: entry.value.trim(), count: 0 });
+			votes.get(key).count++;
+		});
+		const winner = [...votes.values()].reduce((best, vote) => (vote.count > best.count ? vote : best));
+		return { value: winner.value, agreement: winner.count / total };
+	}
+
+	const [primary, ...others] = values;
+	const similarity = others.map((entry) => termSimilarity(primary.value, entry.value));
+	return { value: primary.value, agreement: (1 + similarity.reduce((sum, score) => sum + score, 0)) / total };
+}
+
+// Anything else (objects, mixed arrays): exact-match vote, highest-priority provider on a tie
+function mergeExact(entries, total) {
+	const votes = new Map();
+	entries.forEach((entry) => {
+		const key = JSON.stringify(entry.value);
+		if (!votes.has(key)) votes.set(key, { value: entry.value, count: 0 });
+		votes.get(key).count++;
+	});
+	const winner = [...votes.values()].reduce((best, vote) => (vote.count > best.count ? vote : best));
+	return { value: winner.value, agreement: winner.count / total };
+}
+
+function mergeField(key, entries, total) {
+	const values = entries.map((entry) => entry.value);
+	if (key === 'probable_disease') return mergeDiagnosis(entries, total) || mergeExact(entries, total);
+	if (values.every(Array.isArray)) {
+		const items = values.flat();
+		if (items.every((item) => typeof item === 'string')) return mergeStringList(entries, total);
+		if (items.every((item) => item && typeof item === 'object' && 'test' in item)) return mergeFindings(entries, total);
+		if (items.every((item) => item && typeof item === 'object' && typeof item.name === 'string')) return mergeNamedList(entries, total);
+	}
+	if (values.every((value) => typeof value === 'number')) return mergeNumber(entries, total);
+	if (values.every((value) => typeof value === 'string')) return mergeString(entries, total);
+	return mergeExact(entries, total);
+}
+
+/**
+ * What each provider said wherever they didn't all agree: one entry per field with an agreement below 1,
+ * plus every distinct diagnosis and who proposed it
+ */
+function buildDisagreementReport(responses, parsed, fields, diagnosis) {
+	const label = (index) => ({ provider: responses[index].provider, model: responses[index].model });
+	return {
+		fields: Object.entries(fields)
+			.filter(([, agreement]) => agreement < 1)
+			.map(([field, agreement]) => ({
+				field,
+				agreement,
+				values: parsed.map((p) => ({ ...label(p.index), value: p.obj[field] ?? null }))
+			})),
+		diagnoses: (diagnosis?.groups || []).map((group) => ({
+			name: group.name,
+			icd10Code: group.icd10Code,
+			providers: group.sources.map(label)
+		}))
+	};
+}
+
+/**
+ * Synthesize JSON responses field by field.
+ * Each field gets an agreement score from 0 to 1 (share of providers that agree with the merged value).
  */
 function synthesizeJsonConsensus(responses) {
-	const parsed = responses.map(r => {
-		try {
-			const start = r.content.indexOf('{');
-			const end = r.content.lastIndexOf('}');
-			if (start !== -1 && end !== -1) {
-				return JSON.parse(r.content.slice(start, end + 1));
-			}
-			return JSON.parse(r.content);
-		} catch {
-			return null;
-		}
-	}).filter(Boolean);
+	const parsed = responses
+		.map((r, index) => ({ obj: r.parsed || parseJsonContent(r.content), index }))
+		.filter((p) => p.obj && typeof p.obj === 'object');
 
 	if (parsed.length === 0) {
 		// Fallback to first response
@@ -134,61 +352,42 @@ function synthesizeJsonConsensus(responses) {
 		};
 	}
 
-	// Merge JSON objects, prioritizing values that appear in multiple responses
+	const total = parsed.length;
+	const keys = [...new Set(parsed.flatMap((p) => Object.keys(p.obj)))];
 	const merged = {};
-	const fieldVotes = {};
-
-	// Count votes for each field value
-	parsed.forEach((obj, idx) => {
-		Object.keys(obj).forEach(key => {
-			const value = obj[key];
-			const valueStr = JSON.stringify(value);
-			if (!fieldVotes[key]) fieldVotes[key] = {};
-			if (!fieldVotes[key][valueStr]) {
-				fieldVotes[key][valueStr] = { count: 0, value, sources: [] };
-			}
-			fieldVotes[key][valueStr].count++;
-			fieldVotes[key][valueStr].sources.push(responses[idx].provider);
-		});
-	});
+	const fields = {};
+	let diagnosis = null;
 
-	// Select values with highest consensus
-	Object.keys(fieldVotes).forEach(key => {
-		const votes = Object.values(fieldVotes[key]);
-		votes.sort((a, b) => b.count - a.count);
-		
-		// Use value with highest consensus (at least 2 providers agree, or use top if only 1)
-		if (votes[0].count >= 2 || parsed.length === 1) {
-			merged[key] = votes[0].value;
-		} else if (votes.length > 0) {
-			// If no clear consensus, use the first provider's value (highest priority)
-			const firstProviderValue = parsed[0][key];
-			if (firstProviderValue !== undefined) {
-				merged[key] = firstProviderValue;
-			}
-		}
-	});
+	keys.forEach((key) => {
+		const entries = parsed
+			.filter((p) => p.obj[key] !== undefined && p.obj[key] !== null)
+			.map((p) => ({ value: p.obj[key], index: p.index, source: p.obj }));
+		if (!entries.length) return;
+		const result = mergeField(key, entries, total);
+		merged[key] = result.value;
+		fields[key] = Number(result.agreement.toFixed(2));
 
-	// For arrays, merge unique items
-	Object.keys(merged).forEach(key => {
-		if (Array.isArray(merged[key])) {
-			const allItems = parsed.map(p => p[key]).filter(Array.isArray).flat();
-			const uniqueItems = [];
-			const seen = new Set();
-			allItems.forEach(item => {
-				const itemStr = typeof item === 'string' ? item : JSON.stringify(item);
-				if (!seen.has(itemStr)) {
-					seen.add(itemStr);
-					uniqueItems.push(item);
-				}
-			});
-			merged[key] = uniqueItems;
-		}
+		if (key === 'probable_disease' && result.source) diagnosis = result;
 	});
 
+	if (diagnosis) {
+		// Keep the ICD-10 code that belongs to the winning diagnosis, whatever the code vote said
+		if (diagnosis.source.icd10_code) merged.icd10_code = diagnosis.source.icd10_code;
+		if (diagnosis.alternatives.length) merged.alternative_diagnoses = diagnosis.alternatives;
+	}
+
+	const scores = Object.values(fields);
+	const agreement = {
+		fields,
+		overall: Number(mean(scores).toFixed(2)),
+		diagnosis: fields.probable_disease ?? null
+	};
+
 	return {
 		content: JSON.stringify(merged, null, 2),
 		parsed: merged,
+		agreement,
+		disagreement: buildDisagreementReport(responses, parsed, fields, diagnosis),
 		providers: responses.map(r => r.provider),
 		models: responses.map(r => r.model),
 		consensus: parsed.length > 1 ? 'multi-provider' : 'single'
@@ -245,6 +444,14 @@ export async function getConsensusResponse(messages, systemPrompt, options = {})
 		providers: consensus.providers,
 		models: consensus.models,
 		consensus: consensus.consensus,
+		agreement: consensus.agreement,
+		disagreement: consensus.disagreement || null,
+		// Raw answers, kept so reviewers can see what each provider said before merging
+		providerOutputs: responses.map((r) => ({
+			provider: r.provider,
+			model: r.model,
+			output: r.parsed || parseJsonContent(r.content) || r.content
+		})),
 		validatedBy: responses.length
 	};
 }
@@ -0,0 +1,116 @@
+// Diagnosis confidence and differential diagnoses
+// Combines the confidence each model reported with how many providers agreed on the diagnosis,
+// and ranks the alternatives every provider offered into one differential list
+import { isSameDisease, resolveDiseaseIdentity } from './diseaseRegistry.js';
+import { normalizeIcd10 } from '../utils/diseaseName.js';
+
+const LEVEL_SCORES = { high: 0.9, moderate: 0.6, low: 0.3 };
+// Share of the combined score that comes from cross-provider agreement (when there was more than one provider)
+const AGREEMENT_WEIGHT = 0.4;
+const MAX_DIFFERENTIALS = 5;
+
+/**
+ * Turn a model-reported confidence ("high", "Moderate", "85%", 0.85) into a 0-1 score (null if unreadable)
+ */
+export function confidenceToScore(value) {
+	if (typeof value === 'number' && Number.isFinite(value)) {
+		return Math.min(1, Math.max(0, value > 1 ? value / 100 : value));
+	}
+	if (typeof value !== 'string') return null;
+	const text = value.trim().toLowerCase();
+	const percent = text.match(/^(\d+(?:\.\d+)?)\s*%?$/);
+	if (percent) return confidenceToScore(parseFloat(percent[1]));
+	if (/\bhigh\b/.test(text)) return LEVEL_SCORES.high;
+	if (/\b(moderate|medium|intermediate)\b/.test(text)) return LEVEL_SCORES.moderate;
+	if (/\blow\b/.test(text)) return LEVEL_SCORES.low;
+	return null;
+}
+
+export function scoreToLevel(score) {
+	if (score >= 0.75) return 'high';
+	if (score >= 0.5) return 'moderate';
+	return 'low';
+}
+
+/**
+ * Confidence in the primary diagnosis ({ name, icd10Code }).
+ * outputs: each provider's parsed answer; agreement: share of providers that gave the same diagnosis (null for one provider).
+ * Returns { level, score, modelScore, agreementScore }.
+ */
+export function scoreDiagnosisConfidence({ primary, outputs = [], agreement = null }) {
+	// A provider's confidence is about its own diagnosis, so only those that named the primary one count here;
+	// the others are already reflected in the agreement score
+	const reported = outputs
+		.filter((output) => output?.probable_disease && isSameDisease(primary, { name: output.probable_disease, icd10Code: output.icd10_code }))
+		.map((output) => confidenceToScore(output.confidence))
+		.filter((score) => score !== null);
+	// A model that doesn't say how sure it is counts as moderately sure
+	const modelScore = reported.length ? reported.reduce((sum, score) => sum + score, 0) / reported.length : LEVEL_SCORES.moderate;
+	const agreementScore = typeof agreement === 'number' && outputs.length > 1 ? agreement : null;
+	const score = agreementScore === null
+		? modelScore
+		: modelScore * (1 - AGREEMENT_WEIGHT) + agreementScore * AGREEMENT_WEIGHT;
+
+	return {
+		level: scoreToLevel(score),
+		score: Number(score.toFixed(2)),
+		modelScore: Number(modelScore.toFixed(2)),
+		agreementScore: agreementScore === null ? null : Number(agreementScore.toFixed(2))
+	};
+}
+
+/**
+ * One ranked differential list from every provider's answer: their differential_diagnoses plus any primary
+ * diagnosis that lost the consensus vote. Candidates are scored by likelihood and position, summed over the
+ * providers that mention them; the primary diagnosis itself is left out.
+ */
+export function rankDifferentials({ primary, outputs = [], limit = MAX_DIFFERENTIALS }) {
+	const candidates = [];
+	outputs.forEach((output, providerIndex) => {
+		if (!output || typeof output !== 'object') return;
+		const listed = Array.isArray(output.differential_diagnoses) ? output.differential_diagnoses : [];
+		const mentions = listed.map((item, position) => ({ ...(typeof item === 'string' ? { name: item } : item), position }));
+		// A primary diagnosis that lost the vote ranks like the top differential of the provider that gave it
+		if (output.probable_disease) {
+			mentions.push({ name: output.probable_disease, icd10_code: output.icd10_code, likelihood: output.confidence, position: 0 });
+		}
+		mentions.forEach((mention) => {
+			const name = typeof mention?.name === 'string' ? mention.name.trim() : '';
+			if (!name) return;
+			const likelihood = confidenceToScore(mention.likelihood) ?? LEVEL_SCORES.low;
+			candidates.push({
+				name,
+				icd10Code: normalizeIcd10(mention.icd10_code),
+				reasoning: typeof mention.reasoning === 'string' ? mention.reasoning : '',
+				score: likelihood / (mention.position + 1),
+				providerIndex
+			});
+		});
+	});
+
+	const groups = [];
+	candidates.forEach((candidate) => {
+		if (primary && isSameDisease(primary, candidate)) return;
+		const group = groups.find((g) => isSameDisease(g[0], candidate));
+		if (group) group.push(candidate);
+		else groups.push([candidate]);
+	});
+
+	const providerCount = Math.max(1, outputs.length);
+	return groups
+		.map((group) => {
+			const identity = resolveDiseaseIdentity(group[0].name, { icd10Code: group.find((c) => c.icd10Code)?.icd10Code });
+			const score = group.reduce((sum, candidate) => sum + candidate.score, 0) / providerCount;
+			return {
+				name: identity.name,
+				icd10Code: identity.icd10Code,
+				score: Number(Math.min(1, score).toFixed(2)),
+				likelihood: scoreToLevel(score),
+				support: new Set(group.map((candidate) => candidate.providerIndex)).size,
+				reasoning: group.find((candidate) => candidate.reasoning)?.reasoning || ''
+			};
+		})
+		.sort((a, b) => b.score - a.score || b.support - a.support)
+		.slice(0, limit)
+		.map((differential, idx) => ({ rank: idx + 1, ...differential }));
+}
@@ -0,0 +1,233 @@
+// Canonical Disease Registry
+// Resolves AI-reported diagnoses onto a single Disease document per condition so the
+// approved summary, videos and specialists are shared instead of duplicated per upload
+import Disease from '../models/Disease.js';
+import User from '../models/User.js';
+import History from '../models/History.js';
+import Report from '../models/Report.js';
+import { normalizeDiseaseKey, normalizeIcd10 } from '../utils/diseaseName.js';
+import { termSimilarity } from '../utils/textSimilarity.js';
+
+// Seed entries for conditions that commonly come back under several names
+const KNOWN_DISEASES = [
+	{ name: 'Anemia', icd10Code: 'D64.9', synonyms: ['low hemoglobin', 'low haemoglobin'] },
+	{
+		name: 'Iron Deficiency Anemia',
+		icd10Code: 'D50.9',
+		synonyms: ['iron deficiency anaemia', 'ida', 'iron deficiency', 'microcytic hypochromic anemia']
+	},
+	{
+		name: 'Vitamin B12 Deficiency Anemia',
+		icd10Code: 'D51.9',
+		synonyms: ['vitamin b12 deficiency', 'b12 deficiency', 'pernicious anemia', 'megaloblastic anemia']
+	},
+	{ name: 'Vitamin D Deficiency', icd10Code: 'E55.9', synonyms: ['hypovitaminosis d', 'vit d deficiency', 'vitamin d insufficiency'] },
+	{ name: 'Hypothyroidism', icd10Code: 'E03.9', synonyms: ['underactive thyroid', 'low thyroid'] },
+	{ name: 'Subclinical Hypothyroidism', icd10Code: 'E02', synonyms: ['subclinical hypothyroid', 'compensated hypothyroidism'] },
+	{ name: 'Hyperthyroidism', icd10Code: 'E05.90', synonyms: ['overactive thyroid', 'thyrotoxicosis'] },
+	{
+		name: 'Type 2 Diabetes Mellitus',
+		icd10Code: 'E11.9',
+		synonyms: ['type 2 diabetes', 'diabetes mellitus type 2', 'type ii diabetes', 't2dm']
+	},
+	{ name: 'Prediabetes', icd10Code: 'R73.03', synonyms: ['pre diabetes', 'impaired fasting glucose', 'impaired glucose tolerance'] },
+	{ name: 'Hyperlipidemia', icd10Code: 'E78.5', synonyms: ['dyslipidemia', 'hyperlipidaemia', 'dyslipidaemia', 'high cholesterol'] },
+	{ name: 'Hypercholesterolemia', icd10Code: 'E78.00', synonyms: ['pure hypercholesterolemia', 'elevated cholesterol'] },
+	{ name: 'Hypertriglyceridemia', icd10Code: 'E78.1', synonyms: ['high triglycerides', 'elevated triglycerides'] },
+	{ name: 'Chronic Kidney Disease', icd10Code: 'N18.9', synonyms: ['ckd', 'chronic renal failure', 'chronic renal disease'] },
+	{ name: 'Non-Alcoholic Fatty Liver Disease', icd10Code: 'K76.0', synonyms: ['nafld', 'fatty liver', 'hepatic steatosis', 'fatty liver disease'] },
+	{ name: 'Urinary Tract Infection', icd10Code: 'N39.0', synonyms: ['uti'] },
+	{ name: 'Hypokalemia', icd10Code: 'E87.6', synonyms: ['low potassium'] },
+	{ name: 'Hyperuricemia', icd10Code: 'E79.0', synonyms: ['high uric acid', 'elevated uric acid'] }
+];
+
+// Dropped only when what's left is a registry entry ("Severe iron deficiency anemia")
+const SEVERITY_PREFIX_REGEX = /^(?:(?:mild|moderate|severe)\s+)+/;
+
+// Names that aren't known synonyms need to be nearly identical to count as the same disease
+const NAME_MATCH_THRESHOLD = 0.9;
+// With the same ICD-10 code, names this similar are enough ("Hypothyroidism" / "Primary hypothyroidism")
+const CODE_NAME_MATCH_THRESHOLD = 0.65;
+
+const knownByKey = new Map();
+for (const entry of KNOWN_DISEASES) {
+	for (const alias of [entry.name, ...entry.synonyms]) {
+		knownByKey.set(normalizeDiseaseKey(alias), entry);
+	}
+}
+
+/**
+ * Look up a seed registry entry by any of its names
+ */
+export function lookupKnownDisease(name) {
+	const key = normalizeDiseaseKey(name);
+	return knownByKey.get(key) || knownByKey.get(key.replace(SEVERITY_PREFIX_REGEX, '')) || null;
+}
+
+/**
+ * Work out the canonical identity (display name, lookup key, aliases, ICD-10) for a reported diagnosis.
+ * A registry entry keeps its own ICD-10 code; the reported code is only used for names the registry doesn't know.
+ */
+export function resolveDiseaseIdentity(name, { icd10Code } = {}) {
+	const key = normalizeDiseaseKey(name);
+	const known = lookupKnownDisease(name);
+	const canonicalName = known ? known.name : String(name || '').trim();
+	const normalizedName = known ? normalizeDiseaseKey(known.name) : key;
+	const aliases = Array.from(new Set([key, ...(known ? known.synonyms.map(normalizeDiseaseKey) : [])]))
+		.filter((alias) => alias && alias !== normalizedName);
+
+	return {
+		name: canonicalName,
+		normalizedName,
+		synonyms: aliases,
+		icd10Code: known?.icd10Code || normalizeIcd10(icd10Code) || ''
+	};
+}
+
+/**
+ * Whether two reported diagnoses ({ name, icd10Code }) are the same disease: same registry entry or
+ * spelling, or near-identical names. A shared ICD-10 code only corroborates similar names; on its own it isn't
+ * enough, since providers give generic codes (D64.9, R-codes) to different conditions.
+ */
+export function isSameDisease(a, b) {
+	const identityA = resolveDiseaseIdentity(a.name, { icd10Code: a.icd10Code });
+	const identityB = resolveDiseaseIdentity(b.name, { icd10Code: b.icd10Code });
+	if (identityA.normalizedName === identityB.normalizedName) return true;
+	const similarity = termSimilarity(a.name, b.name);
+	const sameCode = Boolean(identityA.icd10Code && identityA.icd10Code === identityB.icd10Code);
+	return similarity >= NAME_MATCH_THRESHOLD || (sameCode && similarity >= CODE_NAME_MATCH_THRESHOLD);
+}
+
+/**
+ * Find the canonical Disease document for a diagnosis by name or synonym. A shared ICD-10 code alone is not a match
+ * (models give generic codes like D64.9 to many conditions); it only picks between entries with the same name.
+ * Otherwise approved entries win over unapproved ones, then the oldest entry.
+ */
+export async function findCanonicalDisease(name, { icd10Code } = {}) {
+	const identity = resolveDiseaseIdentity(name, { icd10Code });
+	if (!identity.normalizedName) return null;
+
+	const keys = [identity.normalizedName, ...identity.synonyms];
+	const matches = await Disease.find({ $or: [{ normalizedName: { $in: keys } }, { synonyms: { $in: keys } }] })
+		.sort({ approved: -1, createdAt: 1 });
+	return matches.find((disease) => identity.icd10Code && disease.icd10Code === identity.icd10Code) || matches[0] || null;
+}
+
+/**
+ * Record an alternate name (and missing ICD-10 code) on an existing canonical entry.
+ * Only for entries found by name or synonym (see findCanonicalDisease), never on a code match alone.
+ */
+export async function registerSynonym(diseaseDoc, name, { icd10Code } = {}) {
+	const key = normalizeDiseaseKey(name);
+	let changed = false;
+
+	if (key && key !== diseaseDoc.normalizedName && !(diseaseDoc.synonyms || []).includes(key)) {
+		diseaseDoc.synonyms = [...(diseaseDoc.synonyms || []), key];
+		changed = true;
+	}
+	const code = normalizeIcd10(icd10Code);
+	if (code && !diseaseDoc.icd10Code) {
+		diseaseDoc.icd10Code = code;
+		changed = true;
+	}
+
+	if (changed) await diseaseDoc.save();
+	return diseaseDoc;
+}
+
+function hasContent(value) {
+	if (!value) return false;
+	if (typeof value !== 'object' || value instanceof Date) return true;
+	if (Array.isArray(value)) return value.length > 0;
+	if (typeof value.toObject === 'function') value = value.toObject();
+	return Object.keys(value).some((k) => k !== 'lastUpdated' && k !== 'generatedAt' && hasContent(value[k]));
+}
+
+/**
+ * One-off merge of duplicate Disease documents created before the registry existed.
+ * Groups by canonical key or synonym, keeps the approved/oldest entry, copies over any resources it is missing,
+ * re-points bookmarks, reports and history, and deletes the rest. Entries that only share an ICD-10 code are not
+ * merged; they are listed in `codeCollisions` for an admin to review.
+ */
+export async function mergeDuplicateDiseases({ dryRun = false } = {}) {
+	const diseases = await Disease.find().sort({ approved: -1, createdAt: 1 });
+	const groups = new Map();
+	const groupByName = new Map();
+
+	for (const disease of diseases) {
+		const identity = resolveDiseaseIdentity(disease.name, { icd10Code: disease.icd10Code });
+		const names = [identity.normalizedName, ...identity.synonyms, ...(disease.synonyms || [])].filter(Boolean);
+		const groupKey = groupByName.get(names.find((name) => groupByName.has(name))) || identity.normalizedName;
+		if (!groups.has(groupKey)) groups.set(groupKey, { identity, members: [] });
+		names.forEach((name) => {
+			if (!groupByName.has(name)) groupByName.set(name, groupKey);
+		});
+		groups.get(groupKey).members.push(disease);
+	}
+
+	// Differently named entries with one code: often a generic code a model gave several conditions
+	const groupsByCode = new Map();
+	for (const { identity, members } of groups.values()) {
+		const code = identity.icd10Code || members.find((member) => member.icd10Code)?.icd10Code;
+		if (!code) continue;
+		if (!groupsByCode.has(code)) groupsByCode.set(code, []);
+		groupsByCode.get(code).push({ id: members[0]._id.toString(), name: identity.name });
+	}
+	const codeCollisions = [...groupsByCode.entries()]
+		.filter(([, entries]) => entries.length > 1)
+		.map(([icd10Code, entries]) => ({ icd10Code, diseases: entries }));
+
+	const summary = { scanned: diseases.length, canonical: groups.size, merged: 0, removed: [], codeCollisions };
+
+	for (const { identity, members } of groups.values()) {
+		const [survivor, ...duplicates] = members;
+		const synonyms = new Set([...(survivor.synonyms || []), ...identity.synonyms]);
+
+		for (const duplicate of duplicates) {
+			synonyms.add(normalizeDiseaseKey(duplicate.name));
+			(duplicate.synonyms || []).forEach((alias) => synonyms.add(alias));
+
+			if (!hasContent(survivor.aiSummary) && hasContent(duplicate.aiSummary)) survivor.aiSummary = duplicate.aiSummary;
+			if (!hasContent(survivor.globalStatistics) && hasContent(duplicate.globalStatistics)) survivor.globalStatistics = duplicate.globalStatistics;
+			if (!hasContent(survivor.patientImpactFacts) && hasContent(duplicate.patientImpactFacts)) survivor.patientImpactFacts = duplicate.patientImpactFacts;
+			if (!hasContent(survivor.specialistProviders) && hasContent(duplicate.specialistProviders)) survivor.specialistProviders = duplicate.specialistProviders;
+			if (!hasContent(survivor.pharmacyLinks) && hasContent(duplicate.pharmacyLinks)) survivor.pharmacyLinks = duplicate.pharmacyLinks;
+			if (!survivor.icd10Code && duplicate.icd10Code) survivor.icd10Code = duplicate.icd10Code;
+
+			const seenUrls = new Set((survivor.videoResources || []).map((v) => v.url));
+			const extraVideos = (duplicate.videoResources || []).filter((v) => v.url && !seenUrls.has(v.url));
+			if (extraVideos.length) survivor.videoResources = [...(survivor.videoResources || []), ...extraVideos];
+		}
+
+		survivor.name = identity.name;
+		survivor.normalizedName = identity.normalizedName;
+		synonyms.delete(identity.normalizedName);
+		synonyms.delete('');
+		survivor.synonyms = Array.from(synonyms);
+		if (!survivor.icd10Code && identity.icd10Code) survivor.icd10Code = identity.icd10Code;
+
+		if (duplicates.length) {
+			console.log(`🔗 ${identity.name}: keeping ${survivor._id}, merging ${duplicates.length} duplicate(s)`);
+			summary.merged++;
+			summary.removed.push(...duplicates.map((d) => d._id.toString()));
+		}
+		if (dryRun) continue;
+
+		await survivor.save();
+		if (!duplicates.length) continue;
+
+		const duplicateIds = duplicates.map((d) => d._id);
+		await User.updateMany(
+			{ 'bookmarks.diseaseId': { $in: duplicateIds } },
+			{ $set: { 'bookmarks.$[b].diseaseId': survivor._id } },
+			{ arrayFilters: [{ 'b.diseaseId': { $in: duplicateIds } }] }
+		);
+		await History.updateMany({ diseaseId: { $in: duplicateIds } }, { $set: { diseaseId: survivor._id } });
+		await Report.updateMany({ diseaseId: { $in: duplicateIds } }, { $set: { diseaseId: survivor._id } });
+		await Disease.deleteMany({ _id: { $in: duplicateIds } });
+	}
+
+	return summary;
+}
+
+export { KNOWN_DISEASES };
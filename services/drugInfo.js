@@ -4,6 +4,19 @@ const DRUGBANK_BASE = 'https://api.drugbank.com/v1';
 
 const memoryCache = new Map();
 
+// Drug classes patients list as allergies, with the generics that belong to them
+const ALLERGY_CLASSES = {
+	penicillin: ['penicillin', 'amoxicillin', 'ampicillin', 'cloxacillin', 'piperacillin', 'dicloxacillin'],
+	cephalosporin: ['cefalexin', 'cephalexin', 'cefuroxime', 'ceftriaxone', 'cefixime', 'cefpodoxime', 'cefadroxil'],
+	sulfa: ['sulfamethoxazole', 'sulfasalazine', 'sulfadiazine'],
+	nsaid: ['ibuprofen', 'naproxen', 'diclofenac', 'aspirin', 'ketorolac', 'mefenamic acid', 'celecoxib', 'indomethacin'],
+	aspirin: ['aspirin', 'acetylsalicylic acid'],
+	statin: ['atorvastatin', 'rosuvastatin', 'simvastatin', 'pravastatin', 'lovastatin'],
+	macrolide: ['azithromycin', 'clarithromycin', 'erythromycin'],
+	fluoroquinolone: ['ciprofloxacin', 'levofloxacin', 'moxifloxacin', 'ofloxacin', 'norfloxacin'],
+	tetracycline: ['doxycycline', 'minocycline', 'tetracycline']
+};
+
 function cacheKey(prefix, identifier) {
 	return `${prefix}:${identifier.toLowerCase()}`;
 }
@@ -70,6 +83,7 @@ async function getOpenFDAWarnings(genericName) {
 		const warnings = result.warnings || result['warnings_and_cautions'] || [];
 		const adverseReactions = result['adverse_reactions'] || [];
 		const indications = result.indications_and_usage || [];
+		const asList = (value) => (Array.isArray(value) ? value : [value].filter(Boolean));
 
 		const payload = {
 			labelId: result.id || '',
@@ -78,6 +92,10 @@ async function getOpenFDAWarnings(genericName) {
 				? adverseReactions
 				: [adverseReactions].filter(Boolean),
 			indications: Array.isArray(indications) ? indications : [indications].filter(Boolean),
+			contraindications: asList(result.contraindications),
+			interactions: asList(result.drug_interactions),
+			pregnancy: asList(result.pregnancy || result.pregnancy_or_breast_feeding),
+			lactation: asList(result.lactation || result.nursing_mothers || result.pregnancy_or_breast_feeding),
 			source: result['source'] || 'OpenFDA Drug Label'
 		};
 		memoryCache.set(key, payload);
@@ -215,6 +233,10 @@ export async function enrichMedications(medications = []) {
 			fdaWarnings: fda?.warnings || [],
 			fdaAdverseReactions: fda?.adverseReactions || [],
 			fdaIndications: fda?.indications || [],
+			fdaContraindications: fda?.contraindications || [],
+			fdaInteractions: fda?.interactions || [],
+			fdaPregnancy: fda?.pregnancy || [],
+			fdaLactation: fda?.lactation || [],
 			drugBank: drugbank,
 			effect: effectSummary,
 			pharmacyLinks: [
@@ -233,6 +255,86 @@ export async function enrichMedications(medications = []) {
 	return results;
 }
 
+function normalizeDrugName(name) {
+	return String(name || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function mentions(text, term) {
+	const key = normalizeDrugName(term);
+	return Boolean(key) && new RegExp(`\\b${key.replace(/ /g, '\\s+')}\\b`, 'i').test(String(text || ''));
+}
+
+// The sentence of a label section that mentions `term`, shortened for display
+function excerpt(texts, term) {
+	for (const text of texts) {
+		const sentence = String(text)
+			.split(/(?<=[.!?])\s+/)
+			.find((part) => mentions(part, term));
+		if (sentence) return sentence.trim().slice(0, 240);
+	}
+	return '';
+}
+
+function firstSentence(texts) {
+	const text = texts.find(Boolean);
+	return text ? String(text).split(/(?<=[.!?])\s+/)[0].trim().slice(0, 240) : '';
+}
+
+function matchesAllergy(drugName, allergy) {
+	const drug = normalizeDrugName(drugName);
+	const key = normalizeDrugName(allergy).replace(/s$/, '').replace(/ (allergy|antibiotics?|drugs?)$/, '');
+	if (!drug || !key) return false;
+	// Whole words only: a sulfa allergy is not an allergy to ferrous sulfate
+	if (mentions(drug, key) || mentions(key, drug)) return true;
+	const members = ALLERGY_CLASSES[key] || ALLERGY_CLASSES[key.replace(/ .*$/, '')] || [];
+	return members.some((member) => mentions(drug, member));
+}
+
+/**
+ * Warnings for one patient about the medications suggested for a disease ({ medicationDetails } from
+ * enrichMedications), from their profile: allergies, what they already take, known conditions and pregnancy or
+ * breastfeeding. Returns [{ medication, type, detail }], type being 'allergy' | 'already-taking' | 'interaction' |
+ * 'condition' | 'pregnancy' | 'lactation'. Label text only: a missing warning is not a sign of safety.
+ */
+export function personalizeMedications(medicationDetails = [], profile) {
+	if (!profile) return [];
+	const warnings = [];
+	medicationDetails.forEach((detail) => {
+		const medication = detail.name;
+		const interactionTexts = [
+			...(detail.fdaInteractions || []),
+			...(detail.fdaWarnings || []),
+			...(detail.drugBank?.interactions || []).map((item) => (typeof item === 'string' ? item : item?.name || item?.description || ''))
+		];
+		(profile.allergies || []).forEach((allergy) => {
+			if (matchesAllergy(medication, allergy)) {
+				warnings.push({ medication, type: 'allergy', detail: `Listed allergy: ${allergy}.` });
+			}
+		});
+		(profile.medications || []).forEach((current) => {
+			if (normalizeDrugName(current) === normalizeDrugName(medication)) {
+				warnings.push({ medication, type: 'already-taking', detail: `Already listed as a current medication (${current}).` });
+			} else if (interactionTexts.some((text) => mentions(text, current))) {
+				const sentence = excerpt(interactionTexts, current);
+				const detail = normalizeDrugName(sentence) !== normalizeDrugName(current) ? sentence : '';
+				warnings.push({ medication, type: 'interaction', detail: detail || `Listed as interacting with ${current}.` });
+			}
+		});
+		(profile.conditions || []).forEach((condition) => {
+			if ((detail.fdaContraindications || []).some((text) => mentions(text, condition))) {
+				warnings.push({ medication, type: 'condition', detail: excerpt(detail.fdaContraindications, condition) });
+			}
+		});
+		if (profile.pregnancyStatus === 'pregnant' && detail.fdaPregnancy?.length) {
+			warnings.push({ medication, type: 'pregnancy', detail: firstSentence(detail.fdaPregnancy) });
+		}
+		if (profile.pregnancyStatus === 'lactating' && detail.fdaLactation?.length) {
+			warnings.push({ medication, type: 'lactation', detail: firstSentence(detail.fdaLactation) });
+		}
+	});
+	return warnings;
+}
+
 export { getRxNormData, getOpenFDAWarnings, getDrugBankInfo };
 
 
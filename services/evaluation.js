@@ -0,0 +1,184 @@
+// Offline evaluation scoring
+// Compares interpretation output against golden reports (expected findings and diagnosis) and runs against each other.
+// Used by evaluate-golden-reports.js.
+import { isSameAnalyte } from './analyteDictionary.js';
+import { isSameDisease } from './diseaseRegistry.js';
+import { termSimilarity } from '../utils/textSimilarity.js';
+
+// Same threshold consensus uses to treat two test names as one test
+const TEST_MATCH_THRESHOLD = 0.8;
+// Differentials this far down the list still count as "considered"
+const DIFFERENTIAL_DEPTH = 3;
+
+function ratio(numerator, denominator) {
+	return denominator ? Number((numerator / denominator).toFixed(3)) : null;
+}
+
+function f1(precision, recall) {
+	if (precision === null || recall === null) return null;
+	return precision + recall ? Number(((2 * precision * recall) / (precision + recall)).toFixed(3)) : 0;
+}
+
+// "High", "H", "HIGH" → "high"; anything else (critical, abnormal) lower-cased as is
+function flagDirection(flag) {
+	const text = String(flag || '').trim().toLowerCase();
+	if (/^(h|high)\b/.test(text)) return 'high';
+	if (/^(l|low)\b/.test(text)) return 'low';
+	return text;
+}
+
+/**
+ * Precision/recall of reported findings against the expected ones. Tests match by analyte, else by name (fuzzy);
+ * an expected flag must also point the same way for the finding to count as correct.
+ */
+export function scoreFindings(expected = [], actual = []) {
+	const unmatched = actual.map((finding, index) => ({ finding, index }));
+	const matched = [];
+	const missed = [];
+	const wrongFlag = [];
+
+	expected.forEach((want) => {
+		let best = null;
+		unmatched.forEach((candidate) => {
+			const score = isSameAnalyte(want.test, candidate.finding.test || '') ? 1 : termSimilarity(want.test, candidate.finding.test || '');
+			if (score >= TEST_MATCH_THRESHOLD && (!best || score > best.score)) best = { ...candidate, score };
+		});
+		if (!best) {
+			missed.push(want.test);
+			return;
+		}
+		unmatched.splice(unmatched.findIndex((candidate) => candidate.index === best.index), 1);
+		if (want.flag && flagDirection(want.flag) !== flagDirection(best.finding.flag)) {
+			wrongFlag.push({ test: want.test, expected: want.flag, actual: best.finding.flag || '' });
+			return;
+		}
+		matched.push(want.test);
+	});
+
+	const precision = ratio(matched.length, actual.length);
+	const recall = ratio(matched.length, expected.length);
+	return {
+		precision,
+		recall,
+		f1: f1(precision, recall),
+		matched,
+		missed,
+		wrongFlag,
+		extra: unmatched.map((candidate) => candidate.finding.test)
+	};
+}
+
+/**
+ * Whether the diagnosis (or one of the accepted alternatives) was the primary answer, or at least a top differential
+ */
+export function scoreDiagnosis(expected, actual) {
+	const accepted = [expected.diagnosis, ...(expected.acceptableDiagnoses || [])]
+		.filter(Boolean)
+		.map((name, idx) => ({ name, icd10Code: idx === 0 ? expected.icd10Code : undefined }));
+	const isAccepted = (candidate) => candidate?.name && accepted.some((want) => isSameDisease(want, candidate));
+
+	const primary = { name: actual.diagnosis, icd10Code: actual.icd10Code };
+	return {
+		expected: expected.diagnosis,
+		actual: actual.diagnosis || null,
+		match: isAccepted(primary),
+		inDifferentials: (actual.differentials || []).slice(0, DIFFERENTIAL_DEPTH).some(isAccepted),
+		icd10Match: expected.icd10Code ? expected.icd10Code === actual.icd10Code : null
+	};
+}
+
+function mean(values) {
+	const present = values.filter((value) => typeof value === 'number');
+	return present.length ? Number((present.reduce((sum, value) => sum + value, 0) / present.length).toFixed(3)) : null;
+}
+
+/**
+ * Aggregate metrics over the cases of one run
+ */
+export function summarizeRun(cases) {
+	const scored = cases.filter((c) => !c.error);
+	return {
+		cases: cases.length,
+		errors: cases.length - scored.length,
+		diagnosisAccuracy: ratio(scored.filter((c) => c.diagnosis.match).length, scored.length),
+		diagnosisConsidered: ratio(scored.filter((c) => c.diagnosis.match || c.diagnosis.inDifferentials).length, scored.length),
+		findingsPrecision: mean(scored.map((c) => c.findings.precision)),
+		findingsRecall: mean(scored.map((c) => c.findings.recall)),
+		findingsF1: mean(scored.map((c) => c.findings.f1)),
+		extractionPrecision: mean(scored.map((c) => c.extraction.precision)),
+		extractionRecall: mean(scored.map((c) => c.extraction.recall)),
+		// Prompt-injection flag raised exactly where the golden case expects it
+		suspiciousInputAccuracy: ratio(scored.filter((c) => c.suspiciousInput && c.suspiciousInput.flagged === c.suspiciousInput.expected).length, scored.length),
+		// Rule-based triage urgency as expected, over the cases that state one
+		triageAccuracy: ratio(
+			scored.filter((c) => c.triage && c.triage.level === c.triage.expected).length,
+			scored.filter((c) => c.triage).length
+		),
+		meanConfidence: mean(scored.map((c) => c.confidence?.score)),
+		meanDurationMs: mean(scored.map((c) => c.durationMs))
+	};
+}
+
+/**
+ * Metric deltas between two runs plus the cases whose diagnosis verdict or findings F1 changed
+ */
+export function compareRuns(baseline, candidate) {
+	const metrics = Object.keys(candidate.summary).map((metric) => {
+		const before = baseline.summary[metric] ?? null;
+		const after = candidate.summary[metric] ?? null;
+		return {
+			metric,
+			baseline: before,
+			candidate: after,
+			delta: typeof before === 'number' && typeof after === 'number' ? Number((after - before).toFixed(3)) : null
+		};
+	});
+
+	const baselineCases = new Map(baseline.cases.map((c) => [c.id, c]));
+	const changedCases = [];
+	candidate.cases.forEach((after) => {
+		const before = baselineCases.get(after.id);
+		if (!before) return;
+		const changes = [];
+		if (Boolean(before.error) !== Boolean(after.error)) {
+			changes.push(after.error ? `now fails: ${after.error}` : 'no longer fails');
+		}
+		if (!before.error && !after.error) {
+			if (before.diagnosis.match !== after.diagnosis.match) {
+				changes.push(`diagnosis ${after.diagnosis.match ? 'fixed' : 'regressed'}: "${before.diagnosis.actual}" → "${after.diagnosis.actual}"`);
+			}
+			const f1Delta = (after.findings.f1 ?? 0) - (before.findings.f1 ?? 0);
+			if (Math.abs(f1Delta) >= 0.001) {
+				changes.push(`findings F1 ${before.findings.f1} → ${after.findings.f1}`);
+			}
+		}
+		if (changes.length) changedCases.push({ id: after.id, changes });
+	});
+
+	return {
+		baseline: { label: baseline.label, startedAt: baseline.startedAt, prompt: baseline.prompt },
+		candidate: { label: candidate.label, startedAt: candidate.startedAt, prompt: candidate.prompt },
+		metrics,
+		changedCases
+	};
+}
+
+/**
+ * Markdown version of compareRuns output, for pasting into a PR
+ */
+export function formatComparison(comparison) {
+	const cell = (value) => (value === null || value === undefined ? '–' : String(value));
+	const lines = [
+		`# Eval comparison: ${comparison.baseline.label} → ${comparison.candidate.label}`,
+		'',
+		'| Metric | Baseline | Candidate | Δ |',
+		'| --- | --- | --- | --- |',
+		...comparison.metrics.map((m) => `| ${m.metric} | ${cell(m.baseline)} | ${cell(m.candidate)} | ${m.delta > 0 ? '+' : ''}${cell(m.delta)} |`),
+		'',
+		'## Changed cases',
+		''
+	];
+	if (!comparison.changedCases.length) lines.push('None.');
+	comparison.changedCases.forEach((c) => lines.push(`- **${c.id}**: ${c.changes.join('; ')}`));
+	return lines.join('\n') + '\n';
+}
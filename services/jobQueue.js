@@ -0,0 +1,66 @@
+// Mongo-backed job queue
+// Jobs are claimed atomically so several API/worker processes can share one queue
+import Job from '../models/Job.js';
+
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 1000 * 60 * 10;
+
+// Attempts per stage before it is marked failed
+export const STAGE_MAX_ATTEMPTS = {
+	interpret: 2,
+	medications: 4,
+	statistics: 4,
+	videos: 3,
+	specialists: 3
+};
+
+/**
+ * Queue a job; `stages` are run in order by the worker. `quota` ({ kind, day }) is the use the request was
+ * counted against, given back if the job fails.
+ */
+export async function enqueueJob(type, { userId, reportId, stages = [], quota }) {
+	return await Job.create({
+		type,
+		userId,
+		reportId,
+		quota,
+		status: 'queued',
+		stage: stages[0]?.name,
+		stages,
+		runAfter: new Date()
+	});
+}
+
+/**
+ * Claim the next job that is due, or one whose worker stopped renewing its lock
+ */
+export async function claimNextJob(workerId) {
+	const now = new Date();
+	return await Job.findOneAndUpdate(
+		{
+			$or: [
+				{ status: 'queued', runAfter: { $lte: now } },
+				{ status: 'running', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT_MS) } }
+			]
+		},
+		{ $set: { status: 'running', lockedBy: workerId, lockedAt: now } },
+		{ sort: { runAfter: 1 }, new: true }
+	);
+}
+
+/**
+ * Append already-numbered stage events to a job
+ */
+export async function appendJobEvents(jobId, events) {
+	if (!events.length) return;
+	await Job.updateOne({ _id: jobId }, { $push: { events: { $each: events } } });
+}
+
+/**
+ * Load a job (without its event log) if it belongs to the user or the user is an admin
+ */
+export async function getJobForUser(jobId, user) {
+	const job = await Job.findById(jobId).select('-events');
+	if (!job) return null;
+	if (job.userId.toString() !== user.id && user.role !== 'admin') return null;
+	return job;
+}
@@ -0,0 +1,201 @@
+// Job worker
+// Runs queued interpretation jobs stage by stage. The diagnosis runs first; each enrichment stage
+// (medications, statistics, videos, specialists) is then retried on its own with exponential backoff,
+// so one flaky upstream API does not redo the whole interpretation.
+import os from 'os';
+import mongoose from 'mongoose';
+import Disease from '../models/Disease.js';
+import { STAGE_MAX_ATTEMPTS, claimNextJob, appendJobEvents } from './jobQueue.js';
+import { loadPatientProfile } from './patientProfile.js';
+import { releaseQuota } from './quota.js';
+import { regionFor, specialistsForRegion } from './specialistFinder.js';
+import { personalizeMedications } from './drugInfo.js';
+import {
+	ENRICHMENT_STAGES,
+	describeInterpretationError,
+	runInterpretation
+} from '../controllers/aiController.js';
+
+const RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = 1000 * 60 * 5;
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+
+function backoffDelay(attempts) {
+	return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+// Event payloads may hold Mongoose documents; store them as plain JSON
+function toPlain(data) {
+	return data === undefined ? {} : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Event writer for a job: events are numbered in order and written one batch at a time
+ */
+function createEventWriter(job) {
+	let nextId = (job.events?.length || 0) + 1;
+	let pending = [];
+	let chain = Promise.resolve();
+
+	const emit = (type, data) => {
+		pending.push({ id: nextId++, type, data: toPlain(data), at: new Date() });
+		const batch = pending;
+		pending = [];
+		chain = chain
+			.then(() => appendJobEvents(job._id, batch))
+			.catch((err) => console.error(`⚠️  Failed to record job ${job._id} event:`, err.message));
+	};
+	emit.flush = () => chain;
+	return emit;
+}
+
+async function runStage(job, stage, emit) {
+	if (stage.name === 'interpret') {
+		const payload = await runInterpretation(
+			{ userId: job.userId.toString(), reportId: job.reportId },
+			emit
+		);
+		const { pendingStages, ...result } = payload;
+		job.result = toPlain(result);
+		for (const name of pendingStages) {
+			if (!job.stages.some((s) => s.name === name)) {
+				job.stages.push({ name, maxAttempts: STAGE_MAX_ATTEMPTS[name] || 3 });
+			}
+		}
+		return;
+	}
+
+	const enrichment = ENRICHMENT_STAGES[stage.name];
+	if (!enrichment) throw Object.assign(new Error(`Unknown stage "${stage.name}"`), { status: 500 });
+	const userId = job.userId.toString();
+	emit(enrichment.event, await enrichment.run(job.result.diseaseId, { userId }, await loadPatientProfile(userId)));
+}
+
+/**
+ * Run every stage of a claimed job that is due. Leaves the job queued again if a stage is backing off.
+ */
+export async function processJob(job) {
+	const emit = createEventWriter(job);
+	let fatalError = null;
+
+	for (const stage of job.stages) {
+		if (stage.status === 'completed' || stage.status === 'failed') continue;
+		if (stage.nextAttemptAt && stage.nextAttemptAt > new Date()) continue;
+
+		stage.status = 'running';
+		stage.attempts += 1;
+		job.stage = stage.name;
+		job.lockedAt = new Date(); // renew the lock so long jobs aren't reclaimed
+		await job.save();
+		console.log(`⚙️  Job ${job._id}: running "${stage.name}" (attempt ${stage.attempts}/${stage.maxAttempts})`);
+
+		try {
+			await runStage(job, stage, emit);
+			stage.status = 'completed';
+			stage.completedAt = new Date();
+			stage.lastError = undefined;
+			stage.nextAttemptAt = undefined;
+		} catch (err) {
+			// Errors with an HTTP status (missing report, bad input) won't get better by retrying
+			const willRetry = !err.status && stage.attempts < stage.maxAttempts;
+			stage.lastError = err.message?.substring(0, 500);
+			if (willRetry) {
+				stage.status = 'pending';
+				stage.nextAttemptAt = new Date(Date.now() + backoffDelay(stage.attempts));
+			} else {
+				stage.status = 'failed';
+			}
+			console.warn(`⚠️  Job ${job._id}: stage "${stage.name}" failed (${err.message})${willRetry ? `, retrying at ${stage.nextAttemptAt.toISOString()}` : ''}`);
+			emit('stage-failed', {
+				stage: stage.name,
+				attempt: stage.attempts,
+				willRetry,
+				retryAt: willRetry ? stage.nextAttemptAt : undefined,
+				error: stage.lastError
+			});
+
+			// Without a diagnosis there is nothing to enrich
+			if (stage.name === 'interpret') {
+				if (!willRetry) fatalError = err;
+				break;
+			}
+		}
+	}
+
+	const waiting = job.stages.filter((s) => s.status === 'pending');
+	job.lockedBy = undefined;
+	job.lockedAt = undefined;
+
+	if (fatalError) {
+		const { status, ...body } = describeInterpretationError(fatalError);
+		emit('failed', { status, ...body });
+		job.status = 'failed';
+		job.error = body.message;
+		job.completedAt = new Date();
+		// The request was answered with 202, so the quota middleware kept its use; give it back now
+		if (job.quota?.kind) {
+			await releaseQuota(job.userId, job.quota.kind, job.quota.day).catch((err) => {
+				console.warn('⚠️  Failed to release quota:', err.message);
+			});
+		}
+	} else if (waiting.length) {
+		job.status = 'queued';
+		job.runAfter = new Date(Math.min(...waiting.map((s) => s.nextAttemptAt?.getTime() || Date.now())));
+	} else {
+		// Refresh the result with everything the enrichment stages saved
+		const disease = await Disease.findById(job.result.diseaseId).lean();
+		const profile = await loadPatientProfile(job.userId.toString());
+		const failedStages = job.stages.filter((s) => s.status === 'failed').map((s) => s.name);
+		job.result = toPlain({
+			...job.result,
+			disease: disease ? { ...disease, abnormalFindings: job.result.disease?.abnormalFindings || [] } : job.result.disease,
+			specialistProviders: disease
+				? specialistsForRegion(disease.specialistProviders, regionFor(profile))
+				: job.result.specialistProviders,
+			medicationWarnings: disease
+				? personalizeMedications(disease.aiSummary?.medicationDetails || [], profile)
+				: job.result.medicationWarnings,
+			failedStages
+		});
+		emit('complete', job.result);
+		job.status = 'completed';
+		job.completedAt = new Date();
+	}
+
+	// Events must be stored before the status flips, so streams that see a finished job have them all
+	await emit.flush();
+	await job.save();
+	return job;
+}
+
+/**
+ * Poll the queue and process jobs until stopped. Returns a function that stops the loop.
+ */
+export function startWorker({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+	const workerId = `${os.hostname()}:${process.pid}`;
+	let stopped = false;
+	let timer = null;
+
+	async function tick() {
+		try {
+			if (mongoose.connection.readyState === 1) {
+				let job;
+				while (!stopped && (job = await claimNextJob(workerId))) {
+					await processJob(job).catch((err) => {
+						console.error(`❌ Job ${job._id} crashed:`, err.message);
+					});
+				}
+			}
+		} catch (err) {
+			console.error('❌ Job worker error:', err.message);
+		}
+		if (!stopped) timer = setTimeout(tick, pollIntervalMs);
+	}
+
+	console.log(`👷 Job worker ${workerId} started (polling every ${pollIntervalMs}ms)`);
+	timer = setTimeout(tick, 0);
+	return () => {
+		stopped = true;
+		clearTimeout(timer);
+	};
+}
@@ -0,0 +1,287 @@
+// Derived clinical calculations
+// Values clinicians work out from a report rather than read off it: eGFR, LDL and non-HDL cholesterol, anion gap,
+// albumin-corrected calcium, HOMA-IR and BMI. Each comes back as a finding marked `calculated`, with the formula,
+// its source and the inputs it used. A value the lab already printed is never recalculated.
+import { getAnalyte, isSameAnalyte, resolveAnalyte } from './analyteDictionary.js';
+import { bodyMassIndex } from './patientProfile.js';
+import { toConventional } from './unitConversion.js';
+
+// Martin-Hopkins factors (Martin et al. 2013) for triglycerides below 400 mg/dL: rows by triglycerides (upper bound
+// of the stratum, mg/dL), columns by non-HDL cholesterol < 100, 100-129, 130-159, 160-189, 190-219, >= 220 mg/dL
+const NON_HDL_STRATA = [100, 130, 160, 190, 220];
+const MARTIN_HOPKINS_FACTORS = [
+	[49, [3.5, 3.4, 3.3, 3.3, 3.2, 3.1]],
+	[56, [4.0, 3.9, 3.7, 3.6, 3.6, 3.4]],
+	[61, [4.3, 4.1, 4.0, 3.9, 3.8, 3.6]],
+	[66, [4.5, 4.3, 4.1, 4.0, 3.9, 3.9]],
+	[71, [4.7, 4.4, 4.3, 4.2, 4.1, 3.9]],
+	[75, [4.8, 4.6, 4.4, 4.2, 4.2, 4.1]],
+	[79, [4.9, 4.6, 4.5, 4.3, 4.3, 4.2]],
+	[83, [5.0, 4.8, 4.6, 4.4, 4.3, 4.2]],
+	[87, [5.1, 4.8, 4.6, 4.5, 4.4, 4.3]],
+	[92, [5.2, 4.9, 4.7, 4.6, 4.4, 4.3]],
+	[96, [5.3, 5.0, 4.8, 4.7, 4.5, 4.4]],
+	[100, [5.4, 5.1, 4.8, 4.7, 4.5, 4.3]],
+	[105, [5.5, 5.2, 5.0, 4.7, 4.6, 4.5]],
+	[110, [5.6, 5.3, 5.0, 4.8, 4.6, 4.5]],
+	[115, [5.7, 5.4, 5.1, 4.9, 4.7, 4.5]],
+	[120, [5.8, 5.5, 5.2, 5.0, 4.8, 4.6]],
+	[126, [6.0, 5.5, 5.3, 5.0, 4.8, 4.6]],
+	[132, [6.1, 5.7, 5.3, 5.1, 4.9, 4.7]],
+	[138, [6.2, 5.8, 5.4, 5.2, 5.0, 4.7]],
+	[146, [6.3, 5.9, 5.6, 5.3, 5.0, 4.8]],
+	[154, [6.5, 6.0, 5.7, 5.4, 5.1, 4.8]],
+	[163, [6.7, 6.2, 5.8, 5.4, 5.2, 4.9]],
+	[173, [6.8, 6.3, 5.9, 5.5, 5.3, 5.0]],
+	[185, [7.0, 6.5, 6.0, 5.7, 5.4, 5.1]],
+	[201, [7.3, 6.7, 6.2, 5.8, 5.5, 5.2]],
+	[220, [7.6, 6.9, 6.4, 6.0, 5.6, 5.3]],
+	[247, [8.0, 7.2, 6.6, 6.2, 5.9, 5.4]],
+	[292, [8.5, 7.6, 7.0, 6.5, 6.1, 5.6]],
+	[399, [9.5, 8.3, 7.5, 7.0, 6.5, 5.9]]
+];
+// Both LDL equations lose accuracy at or above this triglyceride level; labs measure LDL directly instead
+const LDL_MAX_TRIGLYCERIDES = 400;
+
+function round(value, digits = 0) {
+	const scale = 10 ** digits;
+	return Math.round(value * scale) / scale;
+}
+
+function input(test, value, unit) {
+	return { test, value: String(value), unit: unit || '' };
+}
+
+function martinHopkinsFactor(triglycerides, nonHdl) {
+	const row = MARTIN_HOPKINS_FACTORS.find(([upper]) => triglycerides < upper + 1) || MARTIN_HOPKINS_FACTORS.at(-1);
+	const column = NON_HDL_STRATA.findIndex((upper) => nonHdl < upper);
+	return row[1][column === -1 ? NON_HDL_STRATA.length : column];
+}
+
+function kdigoStage(egfr) {
+	if (egfr >= 90) return 'G1';
+	if (egfr >= 60) return 'G2';
+	if (egfr >= 45) return 'G3a';
+	if (egfr >= 30) return 'G3b';
+	return egfr >= 15 ? 'G4' : 'G5';
+}
+
+// `compute` gets the panel's values by analyte id (conventional units), the patient context and the profile,
+// and returns { value, inputs, note } or null when an input is missing or out of the formula's range
+const CALCULATIONS = [
+	{
+		id: 'egfr-ckd-epi-2021',
+		name: 'eGFR (CKD-EPI 2021)',
+		analyteId: 'egfr',
+		unit: 'mL/min/1.73m2',
+		referenceRange: '>= 60',
+		formula:
+			'142 × min(Scr/κ, 1)^α × max(Scr/κ, 1)^-1.200 × 0.9938^age (× 1.012 if female); κ = 0.7 female, 0.9 male; α = -0.241 female, -0.302 male',
+		source: 'Inker et al. 2021, N Engl J Med 385:1737 (CKD-EPI 2021, without race)',
+		compute({ values, patient }) {
+			const creatinine = values.get('creatinine');
+			// Adult equation; needs the patient's age and sex
+			if (!creatinine || !patient?.sex || patient.age === undefined || patient.age < 18) return null;
+			const female = patient.sex === 'female';
+			const kappa = female ? 0.7 : 0.9;
+			const alpha = female ? -0.241 : -0.302;
+			const ratio = creatinine / kappa;
+			const egfr =
+				142 * Math.min(ratio, 1) ** alpha * Math.max(ratio, 1) ** -1.2 * 0.9938 ** patient.age * (female ? 1.012 : 1);
+			const value = Math.round(egfr);
+			return {
+				value,
+				inputs: [input('Creatinine', creatinine, 'mg/dL'), input('Age', patient.age, 'years'), input('Sex', patient.sex)],
+				note: `KDIGO GFR category ${kdigoStage(value)}`
+			};
+		}
+	},
+	{
+		id: 'ldl-martin-hopkins',
+		name: 'LDL cholesterol (Martin-Hopkins)',
+		analyteId: 'ldl',
+		unit: 'mg/dL',
+		referenceRange: '< 100',
+		formula: 'Total cholesterol - HDL - triglycerides / factor (factor from the 180-cell table by triglycerides and non-HDL)',
+		source: 'Martin et al. 2013, JAMA 310:2061; Friedewald et al. 1972, Clin Chem 18:499 (shown for comparison)',
+		compute({ values }) {
+			const total = values.get('cholesterol-total');
+			const hdl = values.get('hdl');
+			const triglycerides = values.get('triglycerides');
+			if (!total || !hdl || !triglycerides || triglycerides >= LDL_MAX_TRIGLYCERIDES) return null;
+			const nonHdl = total - hdl;
+			const factor = martinHopkinsFactor(triglycerides, nonHdl);
+			const ldl = Math.round(nonHdl - triglycerides / factor);
+			const friedewald = Math.round(nonHdl - triglycerides / 5);
+			if (ldl <= 0) return null;
+			return {
+				value: ldl,
+				inputs: [
+					input('Total cholesterol', total, 'mg/dL'),
+					input('HDL cholesterol', hdl, 'mg/dL'),
+					input('Triglycerides', triglycerides, 'mg/dL'),
+					input('Martin-Hopkins factor', factor)
+				],
+				note: `Friedewald (TC - HDL - TG/5): ${friedewald} mg/dL`
+			};
+		}
+	},
+	{
+		id: 'non-hdl',
+		name: 'Non-HDL cholesterol (calculated)',
+		analyteId: 'non-hdl',
+		unit: 'mg/dL',
+		referenceRange: '< 130',
+		formula: 'Total cholesterol - HDL cholesterol',
+		source: 'NCEP ATP III 2002, Circulation 106:3143',
+		compute({ values }) {
+			const total = values.get('cholesterol-total');
+			const hdl = values.get('hdl');
+			if (!total || !hdl || hdl >= total) return null;
+			return {
+				value: Math.round(total - hdl),
+				inputs: [input('Total cholesterol', total, 'mg/dL'), input('HDL cholesterol', hdl, 'mg/dL')]
+			};
+		}
+	},
+	{
+		id: 'anion-gap',
+		name: 'Anion gap (calculated)',
+		aliases: ['anion gap'],
+		unit: 'mmol/L',
+		referenceRange: '4 - 12',
+		formula: 'Sodium - (chloride + bicarbonate)',
+		source: 'Kraut & Madias 2007, Clin J Am Soc Nephrol 2:162',
+		compute({ values }) {
+			const sodium = values.get('sodium');
+			const chloride = values.get('chloride');
+			const bicarbonate = values.get('bicarbonate');
+			if (!sodium || !chloride || !bicarbonate) return null;
+			return {
+				value: round(sodium - (chloride + bicarbonate), 1),
+				inputs: [input('Sodium', sodium, 'mmol/L'), input('Chloride', chloride, 'mmol/L'), input('Bicarbonate', bicarbonate, 'mmol/L')]
+			};
+		}
+	},
+	{
+		id: 'corrected-calcium',
+		name: 'Corrected calcium (Payne)',
+		aliases: ['corrected calcium', 'calcium corrected', 'albumin corrected calcium'],
+		unit: 'mg/dL',
+		referenceRange: '8.5 - 10.5',
+		formula: 'Calcium + 0.8 × (4.0 - albumin), calcium in mg/dL and albumin in g/dL',
+		source: 'Payne et al. 1973, Br Med J 4:643',
+		compute({ values }) {
+			const calcium = values.get('calcium');
+			const albumin = values.get('albumin');
+			if (!calcium || !albumin) return null;
+			return {
+				value: round(calcium + 0.8 * (4 - albumin), 1),
+				inputs: [input('Calcium', calcium, 'mg/dL'), input('Albumin', albumin, 'g/dL')]
+			};
+		}
+	},
+	{
+		id: 'homa-ir',
+		name: 'HOMA-IR',
+		aliases: ['homa ir', 'homa', 'homa index'],
+		unit: '',
+		referenceRange: '< 2.5',
+		formula: 'Fasting glucose (mg/dL) × fasting insulin (uIU/mL) / 405',
+		source: 'Matthews et al. 1985, Diabetologia 28:412',
+		compute({ values }) {
+			// Only meaningful on fasting samples: a random glucose doesn't count
+			const glucose = values.get('glucose-fasting');
+			const insulin = values.get('insulin');
+			if (!glucose || !insulin) return null;
+			return {
+				value: round((glucose * insulin) / 405, 2),
+				inputs: [input('Fasting glucose', glucose, 'mg/dL'), input('Fasting insulin', insulin, 'uIU/mL')]
+			};
+		}
+	},
+	{
+		id: 'bmi',
+		name: 'BMI',
+		aliases: ['bmi', 'body mass index'],
+		unit: 'kg/m2',
+		referenceRange: '18.5 - 24.9',
+		formula: 'Weight (kg) / height (m)²',
+		source: 'WHO, Obesity: preventing and managing the global epidemic (TRS 894, 2000)',
+		compute({ profile }) {
+			const bmi = bodyMassIndex(profile);
+			if (!bmi) return null;
+			return {
+				value: bmi,
+				inputs: [input('Height', profile.heightCm, 'cm'), input('Weight', profile.weightKg, 'kg')],
+				note: 'From the height and weight in the patient profile'
+			};
+		}
+	}
+];
+
+export const CALCULATION_IDS = CALCULATIONS.map((calculation) => calculation.id);
+
+// Result values by analyte id in the analyte's conventional unit; the first readable result for an analyte wins
+function valuesByAnalyte(results) {
+	const values = new Map();
+	results.forEach((result) => {
+		const analyteId = result.analyteId || resolveAnalyte(result.test)?.id;
+		if (!analyteId || values.has(analyteId)) return;
+		const value = toConventional(analyteId, result.value, result.unit);
+		if (value !== null && value > 0) values.set(analyteId, value);
+	});
+	return values;
+}
+
+// Whether the report already has this value, e.g. a lab-reported eGFR or LDL
+function alreadyReported(calculation, results) {
+	return results.some((result) => {
+		if (calculation.analyteId) return (result.analyteId || resolveAnalyte(result.test)?.id) === calculation.analyteId;
+		return (calculation.aliases || []).some((alias) => isSameAnalyte(result.test, alias));
+	});
+}
+
+/**
+ * Calculated findings for a report's full panel ({ test, value, unit, ... } as extracted): one per calculation whose
+ * inputs are all there, shaped like an extracted finding plus `calculated: true` and
+ * `calculation: { id, formula, source, inputs: [{ test, value, unit }] }`. Flags are left for the range check.
+ */
+export function deriveCalculatedFindings(results = [], { patientContext, profile } = {}) {
+	const values = valuesByAnalyte(results);
+	const derived = [];
+	CALCULATIONS.forEach((calculation) => {
+		if (alreadyReported(calculation, results)) return;
+		let outcome = null;
+		try {
+			outcome = calculation.compute({ values, patient: patientContext || {}, profile });
+		} catch (err) {
+			console.warn(`⚠️  Calculation ${calculation.id} failed:`, err.message);
+		}
+		if (!outcome || !Number.isFinite(outcome.value)) return;
+		const analyte = calculation.analyteId ? getAnalyte(calculation.analyteId) : null;
+		derived.push({
+			test: calculation.name,
+			analyteId: analyte?.id || '',
+			analyteName: analyte?.name || '',
+			loinc: analyte?.loinc || '',
+			value: String(outcome.value),
+			unit: calculation.unit,
+			referenceRange: calculation.referenceRange,
+			interpretation: `Calculated: ${calculation.formula}${outcome.note ? `. ${outcome.note}` : ''}`,
+			flag: '',
+			severity: '',
+			calculated: true,
+			calculation: {
+				id: calculation.id,
+				formula: calculation.formula,
+				source: calculation.source,
+				inputs: outcome.inputs
+			}
+		});
+	});
+	if (derived.length) {
+		console.log(`🧮 Calculated: ${derived.map((finding) => `${finding.test} ${finding.value}${finding.unit ? ` ${finding.unit}` : ''}`).join(', ')}`);
+	}
+	return derived;
+}
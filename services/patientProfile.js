@@ -0,0 +1,91 @@
+// Patient health profile
+// The profile on the user's account (models/User.js) and what each pipeline takes from it: a summary for the
+// interpretation prompt, the age/sex/pregnancy context for reference ranges, and the region for specialist lookup.
+import User from '../models/User.js';
+import { normalizePatientContext } from './referenceRanges.js';
+
+export const PROFILE_SEXES = ['male', 'female', 'other'];
+export const PREGNANCY_STATUSES = ['not-pregnant', 'pregnant', 'lactating'];
+export const PROFILE_LIST_FIELDS = ['conditions', 'medications', 'allergies'];
+export const PROFILE_FIELDS = ['dateOfBirth', 'sex', 'heightCm', 'weightKg', ...PROFILE_LIST_FIELDS, 'pregnancyStatus', 'trimester', 'region'];
+
+export async function loadPatientProfile(userId) {
+	if (!userId) return null;
+	const user = await User.findById(userId).select('profile').lean();
+	return user?.profile || null;
+}
+
+/**
+ * Whole years between date of birth and `at` (the report date), or undefined
+ */
+export function ageOn(dateOfBirth, at = new Date()) {
+	if (!dateOfBirth) return undefined;
+	const birth = new Date(dateOfBirth);
+	const date = new Date(at);
+	if (Number.isNaN(birth.getTime()) || Number.isNaN(date.getTime()) || birth > date) return undefined;
+	let age = date.getUTCFullYear() - birth.getUTCFullYear();
+	const beforeBirthday =
+		date.getUTCMonth() < birth.getUTCMonth() ||
+		(date.getUTCMonth() === birth.getUTCMonth() && date.getUTCDate() < birth.getUTCDate());
+	if (beforeBirthday) age -= 1;
+	return age;
+}
+
+export function bodyMassIndex(profile) {
+	if (!profile?.heightCm || !profile?.weightKg) return null;
+	const meters = profile.heightCm / 100;
+	return Math.round((profile.weightKg / (meters * meters)) * 10) / 10;
+}
+
+/**
+ * Age, BMI and similar values worked out from the profile, returned next to it by the API
+ */
+export function deriveProfileFacts(profile, at = new Date()) {
+	return { age: ageOn(profile?.dateOfBirth, at) ?? null, bmi: bodyMassIndex(profile) };
+}
+
+/**
+ * Patient context for reference ranges: what was given with the report wins, the profile fills the gaps.
+ * `at` is the report date, so the age is the age at the time of the test.
+ */
+export function patientContextFor(profile, reportContext, at = new Date()) {
+	const fromProfile = profile
+		? {
+				age: ageOn(profile.dateOfBirth, at),
+				sex: profile.sex,
+				pregnant: profile.pregnancyStatus ? profile.pregnancyStatus === 'pregnant' : undefined,
+				trimester: profile.pregnancyStatus === 'pregnant' ? profile.trimester : undefined
+			}
+		: {};
+	const given = normalizePatientContext(reportContext?.toObject ? reportContext.toObject() : reportContext) || {};
+	// A pregnancy answer given with the report replaces the profile's, trimester included
+	if (given.pregnant !== undefined) {
+		delete fromProfile.pregnant;
+		delete fromProfile.trimester;
+	}
+	return normalizePatientContext({ ...fromProfile, ...given });
+}
+
+/**
+ * Plain-text summary for prompts, one "- Field: value" line per known field; '' when there is no profile
+ */
+export function describeProfile(profile, at = new Date()) {
+	if (!profile) return '';
+	const lines = [];
+	const age = ageOn(profile.dateOfBirth, at);
+	if (age !== undefined) lines.push(`- Age: ${age} years`);
+	if (profile.sex) lines.push(`- Sex: ${profile.sex}`);
+	const bmi = bodyMassIndex(profile);
+	if (profile.heightCm) lines.push(`- Height: ${profile.heightCm} cm`);
+	if (profile.weightKg) lines.push(`- Weight: ${profile.weightKg} kg${bmi ? ` (BMI ${bmi})` : ''}`);
+	if (profile.conditions?.length) lines.push(`- Known conditions: ${profile.conditions.join(', ')}`);
+	if (profile.medications?.length) lines.push(`- Current medications: ${profile.medications.join(', ')}`);
+	if (profile.allergies?.length) lines.push(`- Allergies: ${profile.allergies.join(', ')}`);
+	if (profile.pregnancyStatus === 'pregnant') {
+		lines.push(`- Pregnant${profile.trimester ? ` (trimester ${profile.trimester})` : ''}`);
+	} else if (profile.pregnancyStatus === 'lactating') {
+		lines.push('- Breastfeeding');
+	}
+	if (profile.region) lines.push(`- Region: ${profile.region}`);
+	return lines.join('\n');
+}
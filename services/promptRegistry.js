@@ -0,0 +1,218 @@
+// Prompt registry
+// Every AI prompt has an id and numbered versions. Versions live in config/prompts/<id>/<version>.txt
+// (system prompt in <version>.system.txt) and can be added at runtime in Mongo (models/Prompt.js).
+// Which version a call gets is decided by the rollout weights: config/prompts/rollout.json, overridden per
+// prompt from Mongo; a prompt with no rollout uses its latest version. With a seed (user id, disease name)
+// the same caller keeps getting the same version.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import Prompt from '../models/Prompt.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'config', 'prompts');
+const ROLLOUT_FILE = path.join(PROMPTS_DIR, 'rollout.json');
+const MONGO_REFRESH_MS = Number(process.env.PROMPT_REFRESH_MS) || 1000 * 60;
+
+const VERSION_REGEX = /^v\d+$/;
+const PLACEHOLDER_REGEX = /\{\{\s*(\w+)\s*\}\}/g;
+
+let filePrompts = null;
+let mongoPrompts = new Map();
+let mongoLoadedAt = 0;
+
+function httpError(status, message) {
+	const err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+function versionNumber(version) {
+	return Number(version.slice(1));
+}
+
+function readText(file) {
+	// Files end with a newline that isn't part of the prompt
+	return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').replace(/\n$/, '') : '';
+}
+
+// id → { versions: Map<version, { template, system, source }>, rollout }
+function loadFilePrompts() {
+	if (filePrompts) return filePrompts;
+	filePrompts = new Map();
+	if (!fs.existsSync(PROMPTS_DIR)) return filePrompts;
+
+	const rollout = fs.existsSync(ROLLOUT_FILE) ? JSON.parse(fs.readFileSync(ROLLOUT_FILE, 'utf8')) : {};
+	for (const entry of fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })) {
+		if (!entry.isDirectory()) continue;
+		const dir = path.join(PROMPTS_DIR, entry.name);
+		const versions = new Map();
+		for (const file of fs.readdirSync(dir)) {
+			const version = file.replace(/\.txt$/, '');
+			if (!VERSION_REGEX.test(version)) continue;
+			versions.set(version, {
+				template: readText(path.join(dir, file)),
+				system: readText(path.join(dir, `${version}.system.txt`)),
+				source: 'file'
+			});
+		}
+		filePrompts.set(entry.name, { versions, rollout: rollout[entry.name] || null });
+	}
+	return filePrompts;
+}
+
+async function refreshMongoPrompts({ force = false } = {}) {
+	if (mongoose.connection.readyState !== 1) return;
+	if (!force && Date.now() - mongoLoadedAt < MONGO_REFRESH_MS) return;
+	try {
+		const docs = await Prompt.find().lean();
+		mongoPrompts = new Map(docs.map((doc) => [doc.promptId, doc]));
+		mongoLoadedAt = Date.now();
+	} catch (err) {
+		console.warn('⚠️  Failed to load prompts from Mongo, using file prompts:', err.message);
+	}
+}
+
+// File versions plus Mongo versions (Mongo wins on the same version), and the rollout in effect
+function resolvePrompt(id) {
+	const fromFile = loadFilePrompts().get(id);
+	const fromMongo = mongoPrompts.get(id);
+	const versions = new Map(fromFile?.versions || []);
+	(fromMongo?.versions || []).forEach((v) => {
+		versions.set(v.version, { template: v.template, system: v.system || '', source: 'mongo', notes: v.notes, createdAt: v.createdAt });
+	});
+	if (!versions.size) return null;
+
+	const mongoRollout = fromMongo?.rollout && Object.keys(fromMongo.rollout).length ? fromMongo.rollout : null;
+	const configured = mongoRollout || fromFile?.rollout;
+	const latest = [...versions.keys()].sort((a, b) => versionNumber(b) - versionNumber(a))[0];
+	const rollout = configured
+		? Object.fromEntries(Object.entries(configured).filter(([version, weight]) => versions.has(version) && weight > 0))
+		: {};
+	return {
+		versions,
+		rollout: Object.keys(rollout).length ? rollout : { [latest]: 100 },
+		rolloutSource: mongoRollout ? 'mongo' : fromFile?.rollout ? 'file' : 'default'
+	};
+}
+
+// Weighted pick; a seed maps to a fixed point in [0, 1) so the caller sticks to one version
+function pickVersion(id, rollout, seed) {
+	const entries = Object.entries(rollout).sort(([a], [b]) => versionNumber(a) - versionNumber(b));
+	const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+	const point = seed
+		? parseInt(crypto.createHash('sha256').update(`${id}:${seed}`).digest('hex').slice(0, 8), 16) / 0x100000000
+		: Math.random();
+	let cumulative = 0;
+	for (const [version, weight] of entries) {
+		cumulative += weight / total;
+		if (point < cumulative) return version;
+	}
+	return entries[entries.length - 1][0];
+}
+
+function fillTemplate(template, vars, ref) {
+	return template.replace(PLACEHOLDER_REGEX, (match, name) => {
+		if (vars[name] === undefined || vars[name] === null) {
+			console.warn(`⚠️  Prompt ${ref} has no value for {{${name}}}`);
+			return '';
+		}
+		return String(vars[name]);
+	});
+}
+
+/**
+ * Render a prompt with its variables. Options: seed (sticky A/B assignment), version (pin a version, e.g. for evals).
+ * Resolves to { id, version, ref, user, system }; pass { id, version } on as usageContext.prompt.
+ */
+export async function renderPrompt(id, vars = {}, { seed, version } = {}) {
+	await refreshMongoPrompts();
+	const prompt = resolvePrompt(id);
+	if (!prompt) throw new Error(`Unknown prompt "${id}"`);
+	const chosen = version || pickVersion(id, prompt.rollout, seed);
+	const entry = prompt.versions.get(chosen);
+	if (!entry) throw new Error(`Prompt "${id}" has no version ${chosen}`);
+
+	const ref = `${id}@${chosen}`;
+	return {
+		id,
+		version: chosen,
+		ref,
+		user: fillTemplate(entry.template, vars, ref),
+		system: fillTemplate(entry.system, vars, ref)
+	};
+}
+
+/**
+ * Every prompt with its versions (without the text) and rollout, for the admin API
+ */
+export async function listPrompts() {
+	await refreshMongoPrompts({ force: true });
+	const ids = new Set([...loadFilePrompts().keys(), ...mongoPrompts.keys()]);
+	return [...ids].sort().map((id) => {
+		const prompt = resolvePrompt(id);
+		return {
+			id,
+			versions: [...prompt.versions.entries()]
+				.sort(([a], [b]) => versionNumber(a) - versionNumber(b))
+				.map(([version, entry]) => ({ version, source: entry.source, notes: entry.notes || '', createdAt: entry.createdAt || null })),
+			rollout: prompt.rollout,
+			rolloutSource: prompt.rolloutSource
+		};
+	});
+}
+
+/**
+ * One prompt with the full text of every version
+ */
+export async function getPromptDetails(id) {
+	await refreshMongoPrompts({ force: true });
+	const prompt = resolvePrompt(id);
+	if (!prompt) return null;
+	return {
+		id,
+		versions: [...prompt.versions.entries()].map(([version, entry]) => ({ version, ...entry })),
+		rollout: prompt.rollout,
+		rolloutSource: prompt.rolloutSource
+	};
+}
+
+/**
+ * Add a version in Mongo. Versions are immutable once added; it goes live only when the rollout gives it traffic.
+ */
+export async function addPromptVersion(id, { version, template, system = '', notes = '' }, userId) {
+	if (!VERSION_REGEX.test(version)) throw httpError(400, 'version must look like "v2"');
+	await refreshMongoPrompts({ force: true });
+	if (resolvePrompt(id)?.versions.has(version)) {
+		throw httpError(409, `Prompt "${id}" already has version ${version}`);
+	}
+	await Prompt.updateOne(
+		{ promptId: id },
+		{ $push: { versions: { version, template, system, notes, createdBy: userId } }, $set: { updatedBy: userId } },
+		{ upsert: true }
+	);
+	await refreshMongoPrompts({ force: true });
+	return getPromptDetails(id);
+}
+
+/**
+ * Set the traffic split for a prompt, e.g. { v1: 90, v2: 10 }. An empty split goes back to the file rollout.
+ */
+export async function setPromptRollout(id, weights, userId) {
+	await refreshMongoPrompts({ force: true });
+	const prompt = resolvePrompt(id);
+	if (!prompt) throw httpError(404, `Unknown prompt "${id}"`);
+	const unknown = Object.keys(weights).filter((version) => !prompt.versions.has(version));
+	if (unknown.length) {
+		throw httpError(400, `Unknown version(s) for "${id}": ${unknown.join(', ')}`);
+	}
+	if (Object.keys(weights).length && !Object.values(weights).some((weight) => weight > 0)) {
+		throw httpError(400, 'At least one version needs traffic');
+	}
+	await Prompt.updateOne({ promptId: id }, { $set: { rollout: weights, updatedBy: userId } }, { upsert: true });
+	console.log(`🧭 Prompt "${id}" rollout set to ${JSON.stringify(weights)}`);
+	await refreshMongoPrompts({ force: true });
+	return resolvePrompt(id).rollout;
+}
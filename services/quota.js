@@ -0,0 +1,118 @@
+// Per-user daily AI quotas
+// Limits come from the account's quotaOverrides, else the role default below (null = unlimited).
+// Role defaults can be changed with QUOTA_<ROLE>_<KIND>, e.g. QUOTA_USER_INTERPRET=20 or QUOTA_USER_TRANSLATE=unlimited.
+import mongoose from 'mongoose';
+import QuotaUsage from '../models/QuotaUsage.js';
+
+export const QUOTA_KINDS = ['interpret', 'translate', 'videoRefresh'];
+
+const ROLE_QUOTAS = {
+	user: { interpret: 10, translate: 30, videoRefresh: 5 },
+	admin: { interpret: null, translate: null, videoRefresh: null }
+};
+
+const RETENTION_DAYS = 35;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function envKey(role, kind) {
+	return `QUOTA_${role}_${kind.replace(/([A-Z])/g, '_$1')}`.toUpperCase();
+}
+
+function roleLimit(role, kind) {
+	const fromEnv = process.env[envKey(role, kind)];
+	if (fromEnv !== undefined && fromEnv !== '') {
+		return fromEnv === 'unlimited' ? null : Math.max(0, Number(fromEnv) || 0);
+	}
+	const defaults = ROLE_QUOTAS[role] || ROLE_QUOTAS.user;
+	return defaults[kind] ?? null;
+}
+
+function utcDay(date = new Date()) {
+	return date.toISOString().slice(0, 10);
+}
+
+function nextReset(date = new Date()) {
+	const reset = new Date(date);
+	reset.setUTCHours(24, 0, 0, 0);
+	return reset;
+}
+
+/**
+ * Daily limit for a user and kind: account override first, then the role default. null = unlimited.
+ */
+export function getQuotaLimit(user, kind) {
+	const override = user.quotaOverrides?.[kind];
+	if (override !== undefined) return override;
+	return roleLimit(user.role, kind);
+}
+
+function describe(limit, used) {
+	return {
+		limit,
+		used,
+		remaining: limit === null ? null : Math.max(0, limit - used),
+		resetAt: nextReset()
+	};
+}
+
+/**
+ * Count one use against today's quota. Resolves to { allowed, limit, used, remaining, resetAt, day }.
+ */
+export async function consumeQuota(user, kind) {
+	const limit = getQuotaLimit(user, kind);
+	const day = utcDay();
+	const userId = new mongoose.Types.ObjectId(user.id);
+	const field = `counts.${kind}`;
+	const update = {
+		$inc: { [field]: 1 },
+		$setOnInsert: { expiresAt: new Date(Date.now() + RETENTION_DAYS * DAY_MS) }
+	};
+
+	if (limit === null) {
+		const doc = await QuotaUsage.findOneAndUpdate({ userId, day }, update, { upsert: true, new: true }).lean();
+		return { allowed: true, day, ...describe(limit, doc.counts[kind]) };
+	}
+
+	if (limit === 0) {
+		return { allowed: false, day, ...describe(limit, 0) };
+	}
+
+	try {
+		// Only increments while under the limit; at the limit the filter misses and the upsert hits the unique index
+		const doc = await QuotaUsage.findOneAndUpdate(
+			{ userId, day, [field]: { $lt: limit } },
+			update,
+			{ upsert: true, new: true }
+		).lean();
+		return { allowed: true, day, ...describe(limit, doc.counts[kind]) };
+	} catch (err) {
+		if (err.code !== 11000) throw err;
+		const doc = await QuotaUsage.findOne({ userId, day }).lean();
+		return { allowed: false, day, ...describe(limit, doc?.counts?.[kind] ?? limit) };
+	}
+}
+
+/**
+ * Give back a use (the request it was counted for failed)
+ */
+export async function releaseQuota(userId, kind, day) {
+	await QuotaUsage.updateOne(
+		{ userId, day, [`counts.${kind}`]: { $gt: 0 } },
+		{ $inc: { [`counts.${kind}`]: -1 } }
+	);
+}
+
+/**
+ * Today's usage and limits for every quota kind
+ */
+export async function getQuotaStatus(user) {
+	const doc = await QuotaUsage.findOne({ userId: user.id, day: utcDay() }).lean();
+	const status = {};
+	for (const kind of QUOTA_KINDS) {
+		status[kind] = {
+			...describe(getQuotaLimit(user, kind), doc?.counts?.[kind] || 0),
+			overridden: user.quotaOverrides?.[kind] !== undefined
+		};
+	}
+	return status;
+}
@@ -0,0 +1,180 @@
+// Reference range parsing
+// Turns a range as printed on a report or given by a model into { low, high, comparator, text, kind } and works out
+// the flag for a result against it. Besides "12.0 - 15.5" this covers one-sided ranges ("< 200", "> 40", "Up to 100"),
+// titers ("< 1:80") and qualitative ranges ("Non-Reactive", "Nil").
+import { parseNumericValue } from '../utils/textSimilarity.js';
+
+export const RANGE_KINDS = ['numeric', 'titer', 'categorical'];
+export const RANGE_COMPARATORS = ['between', '<', '<=', '>', '>=', '='];
+
+const NUMBER = '-?\\d+(?:\\.\\d+)?';
+const UPPER_WORDS = '<=|=<|≤|<|\\bless than or equal to|\\bless than|\\bbelow|\\bup\\s?to|\\bmax(?:imum)?\\.?';
+const LOWER_WORDS = '>=|=>|≥|>|\\bgreater than or equal to|\\bgreater than|\\bmore than|\\babove|\\bmin(?:imum)?\\.?';
+
+const TITER_REGEX = /(<=|=<|≤|<|>=|=>|≥|>)?\s*(?<!\d)1\s*:\s*(\d+)/g;
+// Not inside a longer token: "2024-01-15", "B12-5"
+const BETWEEN_REGEX = new RegExp(`(?<![\\w.-])(${NUMBER})(\\s*)(?:-|–|—|to)\\s*(${NUMBER})(?![\\w-])`, 'gi');
+const UPPER_REGEX = new RegExp(`(${UPPER_WORDS})\\s*(${NUMBER})`, 'i');
+const LOWER_REGEX = new RegExp(`(${LOWER_WORDS})\\s*(${NUMBER})`, 'i');
+const LOWER_SUFFIX_REGEX = new RegExp(`(${NUMBER})\\s*(?:and above|or above|or more|and more)`, 'i');
+
+// Qualitative results; the negative terms are tried first so "Non-Reactive" isn't read as "Reactive"
+const NEGATIVE_REGEX = /\b(non[-\s]?reactive|negative|not detected|absent|nil|none seen)\b/i;
+const POSITIVE_REGEX = /(\b(?:reactive|positive|detected|present|trace)\b|(?:^|\s)[1-4]\+(?=\s|$)|(?:^|\s)\+{1,4}(?=\s|$))/i;
+const QUALITATIVE_REGEX = new RegExp(`${NEGATIVE_REGEX.source}|${POSITIVE_REGEX.source}`, 'gi');
+
+function comparatorFor(word) {
+	const lower = word.toLowerCase().replace(/\s+/g, ' ');
+	if (['<=', '=<', '≤', 'less than or equal to', 'up to', 'upto'].includes(lower) || lower.startsWith('max')) return '<=';
+	if (['>=', '=>', '≥', 'greater than or equal to'].includes(lower) || lower.startsWith('min')) return '>=';
+	if (['<', 'less than', 'below'].includes(lower)) return '<';
+	return '>';
+}
+
+// Bounds come in as printed so the text keeps the lab's precision ("12.0 - 15.5", not "12 - 15.5")
+function numericRange(low, high, comparator, kind = 'numeric') {
+	const bound = kind === 'titer' ? (value) => `1:${value}` : String;
+	const text = comparator === 'between' ? `${bound(low)} - ${bound(high)}` : `${comparator} ${bound(low ?? high)}`;
+	return { low: low === null ? null : Number(low), high: high === null ? null : Number(high), comparator, text, kind };
+}
+
+/**
+ * The first reference range found anywhere in `text`, as { range, index, length } so the caller can cut it out of
+ * a report row; null when there is none. Numeric forms are tried before qualitative words.
+ */
+export function findReferenceRange(text) {
+	const source = String(text || '');
+	if (!source.trim()) return null;
+
+	// With a result titer on the same row ("1:160  < 1:80") the range is the one with a comparator, else the last
+	const titers = [...source.matchAll(TITER_REGEX)];
+	const titer = titers.find((match) => match[1]) || titers[titers.length - 1];
+	if (titer) {
+		// A bare "1:80" is the cut-off titer: results below it are normal
+		const comparator = titer[1] ? comparatorFor(titer[1]) : '<';
+		const limit = titer[2];
+		const range = comparator.startsWith('<')
+			? numericRange(null, limit, comparator, 'titer')
+			: numericRange(limit, null, comparator, 'titer');
+		return { range, index: titer.index, length: titer[0].length };
+	}
+
+	// "CA 19-9 80 U/mL" or "25-OH": a hyphenated number right after a word, with a result still to come, is part of
+	// the test name
+	const between = [...source.matchAll(BETWEEN_REGEX)].find(
+		(match) =>
+			match[2] ||
+			!/(?:^|\s)[a-z]+\s*$/i.test(source.slice(0, match.index)) ||
+			!/\d/.test(source.slice(match.index + match[0].length))
+	);
+	if (between) {
+		return { range: numericRange(between[1], between[3], 'between'), index: between.index, length: between[0].length };
+	}
+
+	const upper = source.match(UPPER_REGEX);
+	if (upper) {
+		return { range: numericRange(null, upper[2], comparatorFor(upper[1])), index: upper.index, length: upper[0].length };
+	}
+
+	const lower = source.match(LOWER_REGEX);
+	if (lower) {
+		return { range: numericRange(lower[2], null, comparatorFor(lower[1])), index: lower.index, length: lower[0].length };
+	}
+
+	const lowerSuffix = source.match(LOWER_SUFFIX_REGEX);
+	if (lowerSuffix) {
+		return { range: numericRange(lowerSuffix[1], null, '>='), index: lowerSuffix.index, length: lowerSuffix[0].length };
+	}
+
+	// Qualitative: the expected result is the last such word on the row ("Reactive  Non-Reactive")
+	const words = [...source.matchAll(QUALITATIVE_REGEX)];
+	const last = words[words.length - 1];
+	if (last) {
+		const index = last.index + last[0].indexOf(last[0].trim());
+		const word = last[0].trim();
+		return { range: { low: null, high: null, comparator: '=', text: word, kind: 'categorical' }, index, length: word.length };
+	}
+	return null;
+}
+
+/**
+ * Structured form of a reference range string, or null when it can't be read
+ */
+export function parseReferenceRange(text) {
+	return findReferenceRange(text)?.range || null;
+}
+
+/**
+ * 'negative' or 'positive' for a qualitative result ("Non-Reactive", "2+", "Trace"), else null
+ */
+export function qualitativeResult(value) {
+	const text = String(value ?? '');
+	if (NEGATIVE_REGEX.test(text)) return 'negative';
+	if (POSITIVE_REGEX.test(text)) return 'positive';
+	return null;
+}
+
+/**
+ * The first qualitative result in a report row as { value, index }, or null
+ */
+export function findQualitativeResult(text) {
+	const match = [...String(text || '').matchAll(QUALITATIVE_REGEX)][0];
+	if (!match) return null;
+	const value = match[0].trim();
+	return { value, index: match.index + match[0].indexOf(value) };
+}
+
+/**
+ * The titer dilution of a result ("1:160" → 160), or null
+ */
+export function titerValue(value) {
+	const match = String(value ?? '').match(/1\s*:\s*(\d+)/);
+	return match ? Number(match[1]) : null;
+}
+
+/**
+ * Flag for a result against a structured range: 'High', 'Low', 'Abnormal' (qualitative mismatch) or 'Normal';
+ * '' when the value can't be compared with the range
+ */
+export function flagForValue(value, range) {
+	if (!range) return '';
+	if (range.kind === 'categorical') {
+		const result = qualitativeResult(value);
+		const expected = qualitativeResult(range.text);
+		if (!result || !expected) return '';
+		return result === expected ? 'Normal' : 'Abnormal';
+	}
+	const number = range.kind === 'titer' ? titerValue(value) : parseNumericValue(value);
+	if (number === null) return '';
+	const { low, high, comparator } = range;
+	if (comparator === 'between') {
+		if (number < low) return 'Low';
+		return number > high ? 'High' : 'Normal';
+	}
+	if (comparator === '<') return number >= high ? 'High' : 'Normal';
+	if (comparator === '<=') return number > high ? 'High' : 'Normal';
+	if (comparator === '>') return number <= low ? 'Low' : 'Normal';
+	if (comparator === '>=') return number < low ? 'Low' : 'Normal';
+	return '';
+}
+
+/**
+ * Whether a flag marks the result as outside its range ('' and 'Normal' don't)
+ */
+export function isAbnormalFlag(flag) {
+	return Boolean(flag) && !/^(normal|wnl|within normal limits)$/i.test(String(flag).trim());
+}
+
+/**
+ * Copy of a finding with `range` parsed from its reference range text and, when the lab or model gave no flag,
+ * the flag worked out from the value (`flagComputed: true`)
+ */
+export function withParsedRange(finding) {
+	const range = parseReferenceRange(finding?.referenceRange);
+	if (!range) return finding;
+	if (finding.flag) return { ...finding, range };
+	const flag = flagForValue(finding.value, range);
+	if (!flag) return { ...finding, range };
+	const severity = finding.severity || (flag === 'High' || flag === 'Low' ? flag.toLowerCase() : '');
+	return { ...finding, range, flag, severity, flagComputed: true };
+}
@@ -0,0 +1,147 @@
+// Patient-specific reference ranges
+// Picks the range from config/referenceRanges.js that fits the patient's age, sex and pregnancy, and records where
+// each finding's range came from: printed on the report, the local table, or an AI provider.
+import { getReferenceRanges } from '../config/referenceRanges.js';
+import { getAnalyte, resolveAnalyte } from './analyteDictionary.js';
+import { fromConventional, isKnownUnit } from './unitConversion.js';
+
+export const SEXES = ['male', 'female'];
+
+// Without an age the adult ranges apply, as labs do
+const ASSUMED_ADULT_AGE = 30;
+// Pregnancy outranks sex and age: a pregnant woman's range beats the adult female one
+const CRITERIA_WEIGHTS = { trimester: 8, pregnant: 4, sex: 2, age: 1 };
+const RANGE_NUMBER_REGEX = /\d+(?:\.\d+)?/g;
+
+/**
+ * Patient context ({ age, sex, pregnant, trimester }) from request or stored input, keeping only valid fields.
+ * Returns undefined when nothing usable was given.
+ */
+export function normalizePatientContext(input) {
+	if (!input || typeof input !== 'object') return undefined;
+	const context = {};
+	const age = Number(input.age);
+	if (input.age !== undefined && input.age !== null && input.age !== '' && Number.isFinite(age) && age >= 0 && age <= 130) {
+		context.age = age;
+	}
+	const sex = String(input.sex || '').toLowerCase();
+	if (SEXES.includes(sex)) context.sex = sex;
+	const trimester = Number(input.trimester);
+	if (input.pregnant === true || input.pregnant === 'true' || [1, 2, 3].includes(trimester)) {
+		context.pregnant = true;
+		context.sex = 'female';
+		if ([1, 2, 3].includes(trimester)) context.trimester = trimester;
+	} else if (input.pregnant === false || input.pregnant === 'false') {
+		context.pregnant = false;
+	}
+	return Object.keys(context).length ? context : undefined;
+}
+
+/**
+ * Short description for logs and prompts: "female, 28 years, pregnant (trimester 2)"
+ */
+export function describePatientContext(context) {
+	if (!context) return '';
+	const parts = [];
+	if (context.sex) parts.push(context.sex);
+	if (context.age !== undefined) parts.push(`${context.age} years`);
+	if (context.pregnant) parts.push(context.trimester ? `pregnant (trimester ${context.trimester})` : 'pregnant');
+	return parts.join(', ');
+}
+
+function matches(entry, context, age) {
+	if (entry.sex && entry.sex !== context.sex) return false;
+	if (entry.age) {
+		const [from, to] = entry.age;
+		if (age < from || (to !== null && to !== undefined && age >= to)) return false;
+	}
+	if ((entry.pregnant || entry.trimester) && !context.pregnant) return false;
+	if (entry.trimester && entry.trimester !== context.trimester) return false;
+	return true;
+}
+
+function specificity(entry) {
+	return Object.entries(CRITERIA_WEIGHTS).reduce((score, [field, weight]) => score + (entry[field] ? weight : 0), 0);
+}
+
+function describeEntry(entry, ageAssumed) {
+	const parts = [];
+	if (entry.sex) parts.push(entry.sex);
+	if (entry.age) {
+		const [from, to] = entry.age;
+		parts.push(to === null || to === undefined ? `${from}+ years` : `${from}-${to} years`);
+	}
+	if (entry.trimester) parts.push(`pregnant (trimester ${entry.trimester})`);
+	else if (entry.pregnant) parts.push('pregnant');
+	const population = parts.join(', ') || 'all patients';
+	return ageAssumed && entry.age ? `${population} (age not given, adult range)` : population;
+}
+
+function formatRange(low, high) {
+	if (low !== null && high !== null) return `${low} - ${high}`;
+	if (high !== null) return `< ${high}`;
+	return low !== null ? `> ${low}` : '';
+}
+
+/**
+ * The table range for an analyte that best fits the patient, in the analyte's conventional unit:
+ * { low, high, text, unit, source, population } or null when the table has nothing that applies.
+ */
+export function selectReferenceRange(analyteId, patientContext = {}) {
+	const entries = getReferenceRanges()[analyteId];
+	if (!entries?.length) return null;
+	const context = patientContext || {};
+	const age = context.age ?? ASSUMED_ADULT_AGE;
+	const best = entries
+		.filter((entry) => matches(entry, context, age))
+		.sort((a, b) => specificity(b) - specificity(a))[0];
+	if (!best) return null;
+	const low = best.low ?? null;
+	const high = best.high ?? null;
+	return {
+		low,
+		high,
+		text: formatRange(low, high),
+		unit: getAnalyte(analyteId)?.unit || '',
+		source: best.source || '',
+		population: describeEntry(best, context.age === undefined)
+	};
+}
+
+/**
+ * Whether every number of a range appears in the report text, i.e. the range was printed rather than made up.
+ * A qualitative range ("Non-Reactive") has to appear as written.
+ */
+function rangeInText(range, text) {
+	if (!range || !text) return false;
+	const numbers = String(range).match(RANGE_NUMBER_REGEX);
+	if (!numbers) return text.toLowerCase().includes(String(range).trim().toLowerCase());
+	return numbers.every((number) => new RegExp(`(^|[^\\d.])${number.replace('.', '\\.')}(?![\\d])`).test(text));
+}
+
+/**
+ * Copy of a finding with its reference range settled and `referenceRangeProvenance: { source, citation, population }`.
+ * Order: the range printed on the report, then the local table for this patient (converted to the finding's unit).
+ * Anything else is left for the AI fallback; a range that only the model supplied counts as 'ai'.
+ */
+export function resolveReferenceRange(finding, { patientContext, reportText = '' } = {}) {
+	if (finding.referenceRange && rangeInText(finding.referenceRange, reportText)) {
+		return { ...finding, referenceRangeProvenance: { source: 'report', citation: '', population: '' } };
+	}
+	const analyte = getAnalyte(finding.analyteId) || resolveAnalyte(finding.test);
+	const selected = analyte ? selectReferenceRange(analyte.id, patientContext) : null;
+	// The table is in the conventional unit; only use it when the finding's unit is one we can convert to
+	if (selected && isKnownUnit(analyte, finding.unit)) {
+		const low = selected.low === null ? null : fromConventional(analyte, selected.low, finding.unit);
+		const high = selected.high === null ? null : fromConventional(analyte, selected.high, finding.unit);
+		return {
+			...finding,
+			referenceRange: formatRange(low, high),
+			referenceRangeProvenance: { source: 'table', citation: selected.source, population: selected.population }
+		};
+	}
+	if (finding.referenceRange) {
+		return { ...finding, referenceRangeProvenance: { source: 'ai', citation: 'interpretation', population: '' } };
+	}
+	return finding;
+}
@@ -0,0 +1,155 @@
+// Prompt-injection defense for uploaded report text
+// Report text is untrusted: a PDF can carry "ignore previous instructions" in white-on-white text.
+// Before it goes into a prompt it is cleaned, instruction-like lines are detected (and redacted), and the
+// delimiters the interpret prompt wraps it in are escaped. After the model answers, its output is checked
+// against what the text actually says.
+import { normalizeDiseaseKey } from '../utils/diseaseName.js';
+import { parseNumericValue } from '../utils/textSimilarity.js';
+
+// Zero-width, bidi override and other invisible characters used to hide text from a human reader
+const HIDDEN_CHARS_REGEX = /[\u00AD\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+const CONTROL_CHARS_REGEX = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+// Anything that could close the block the report sits in (see config/prompts/interpret) or open a chat turn
+const DELIMITER_REGEX = /<\s*\/?\s*lab_report\s*>|"{3,}|`{3,}|<\|[^|>\n]{1,30}\|>|\[\/?(?:INST|SYS)\]/gi;
+const EXCERPT_LENGTH = 120;
+
+// redact: the matching line is replaced before the text reaches the model. Rules that can also match
+// ordinary report wording are only reported.
+const INSTRUCTION_RULES = [
+	{
+		rule: 'ignore-instructions',
+		redact: true,
+		regex: /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|any|system|these|your)\b[^.\n]{0,30}\b(instructions?|prompts?|rules|directions|guidelines|context)\b/i
+	},
+	{ rule: 'new-instructions', redact: true, regex: /\b(new|updated|real|actual|additional)\s+(instructions?|task|prompt|system prompt)\b/i },
+	{ rule: 'role-override', redact: true, regex: /\byou are (now|no longer)\b|\b(act|behave|respond) as (an?|the)\b|\bpretend (to be|you are)\b/i },
+	{ rule: 'role-marker', redact: true, regex: /^\s*(system|assistant|developer)\s*:/im },
+	{
+		rule: 'output-directive',
+		redact: true,
+		regex: /\b(respond|reply|answer|output|return|print|say)\b[^.\n]{0,30}\b(only|exactly|with)\b[^.\n]{0,40}\b(json|diagnosis|probable_disease|disease|normal|healthy)\b/i
+	},
+	{
+		rule: 'diagnosis-directive',
+		redact: true,
+		regex: /\b(set|make|report|state|classify|mark|label)\b[^.\n]{0,30}\b(diagnosis|probable_disease|condition)\b[^.\n]{0,20}\b(as|to be|to)\b/i
+	},
+	{ rule: 'schema-field', redact: true, regex: /\b(probable_disease|abnormal_values|icd10_code|differential_diagnoses)\b/i },
+	{ rule: 'prompt-leak', redact: true, regex: /\b(reveal|print|show|repeat)\b[^.\n]{0,20}\b(system prompt|your (prompt|instructions))\b/i },
+	{ rule: 'delimiter', redact: false, regex: DELIMITER_REGEX },
+	// Checked on the raw line; every other rule sees it with the hidden characters taken out
+	{ rule: 'hidden-characters', redact: false, raw: true, regex: HIDDEN_CHARS_REGEX }
+];
+
+// Words that say nothing about which test a finding is
+const GENERIC_TEST_WORDS = new Set(['serum', 'plasma', 'blood', 'total', 'level', 'levels', 'count', 'test', 'free', 'fasting', 'random']);
+// Diagnoses that amount to "nothing wrong"
+const NO_DISEASE_REGEX = /^(none|normal|healthy|no (disease|abnormalit(y|ies)|significant)|within normal limits)\b/i;
+
+function cleanLine(line) {
+	return line.normalize('NFKC').replace(HIDDEN_CHARS_REGEX, '').replace(CONTROL_CHARS_REGEX, ' ');
+}
+
+function excerpt(line) {
+	const text = line.replace(/\s+/g, ' ').trim();
+	return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+}
+
+/**
+ * Look for text addressed to the model rather than lab data.
+ * Returns { suspicious, matches: [{ rule, line, excerpt }] } with 1-based line numbers.
+ */
+export function detectInstructionContent(text) {
+	const matches = [];
+	String(text || '').split(/\r?\n/).forEach((line, idx) => {
+		const clean = cleanLine(line);
+		INSTRUCTION_RULES.forEach(({ rule, regex, raw }) => {
+			regex.lastIndex = 0;
+			if (regex.test(raw ? line : clean)) matches.push({ rule, line: idx + 1, excerpt: excerpt(clean) });
+		});
+	});
+	return { suspicious: matches.length > 0, matches };
+}
+
+/**
+ * Clean report text and make it safe to place inside the interpret prompt's <lab_report> block:
+ * invisible and control characters removed, look-alike characters folded (NFKC), delimiters escaped and
+ * lines that read as instructions replaced with a placeholder.
+ * Returns { text, detection, changed }.
+ */
+export function prepareReportText(rawText) {
+	const raw = String(rawText || '');
+	const detection = detectInstructionContent(raw);
+	const redactLines = new Set(
+		detection.matches.filter((m) => INSTRUCTION_RULES.find((r) => r.rule === m.rule).redact).map((m) => m.line)
+	);
+
+	const text = raw
+		.split(/\r?\n/)
+		.map((line, idx) => (redactLines.has(idx + 1) ? '[line removed: instruction-like text]' : cleanLine(line)))
+		.join('\n')
+		.replace(DELIMITER_REGEX, (match) => (match.startsWith('<') ? match.replace(/</g, '(').replace(/>/g, ')') : ' '));
+
+	if (detection.suspicious) {
+		console.warn(`⚠️  Report text looks like it addresses the model (${[...new Set(detection.matches.map((m) => m.rule))].join(', ')}); ${redactLines.size} line(s) redacted`);
+	}
+	return { text, detection, changed: text !== raw };
+}
+
+function textNumbers(text) {
+	return new Set((String(text).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/g) || []).map(Number));
+}
+
+function mentionsTest(normalizedText, test) {
+	const key = normalizeDiseaseKey(test);
+	if (!key) return false;
+	if (` ${normalizedText} `.includes(` ${key} `)) return true;
+	return key.split(' ').some((word) => word.length >= 3 && !GENERIC_TEST_WORDS.has(word) && ` ${normalizedText} `.includes(` ${word} `));
+}
+
+/**
+ * Post-check of an interpretation against the report it came from. Flags findings whose test and value
+ * both appear nowhere in the text, a "no disease" answer when the text itself has abnormal results, and a
+ * diagnosis that was spelled out in the instruction-like lines.
+ * extractedFindings: abnormal findings read straight from the text; detection: from detectInstructionContent.
+ * Returns { consistent, issues: [{ type, detail }] }.
+ */
+export function checkInterpretationConsistency({ text, result, extractedFindings = [], detection = null }) {
+	const issues = [];
+	const normalizedText = normalizeDiseaseKey(text);
+	const numbers = textNumbers(text);
+	const aiFindings = Array.isArray(result?.abnormal_values) ? result.abnormal_values : [];
+
+	const unsupported = aiFindings.filter((finding) => {
+		const value = parseNumericValue(finding?.value);
+		const valueInText = value !== null && numbers.has(value);
+		return !valueInText && !mentionsTest(normalizedText, finding?.test);
+	});
+	if (unsupported.length) {
+		issues.push({
+			type: 'unsupported-findings',
+			detail: `Not in the report: ${unsupported.map((f) => `${f.test || '?'} ${f.value ?? ''}`.trim()).join(', ')}`
+		});
+	}
+
+	const diagnosis = typeof result?.probable_disease === 'string' ? result.probable_disease.trim() : '';
+	if (extractedFindings.length && (!diagnosis || NO_DISEASE_REGEX.test(diagnosis))) {
+		issues.push({
+			type: 'abnormal-results-ignored',
+			detail: `Diagnosis "${diagnosis}" although the report flags ${extractedFindings.map((f) => f.test).join(', ')}`
+		});
+	} else if (extractedFindings.length >= 2 && !aiFindings.length) {
+		issues.push({
+			type: 'abnormal-results-ignored',
+			detail: `No abnormal values reported although the report flags ${extractedFindings.map((f) => f.test).join(', ')}`
+		});
+	}
+
+	const diagnosisKey = normalizeDiseaseKey(diagnosis);
+	const dictated = diagnosisKey && (detection?.matches || []).find((m) => ` ${normalizeDiseaseKey(m.excerpt)} `.includes(` ${diagnosisKey} `));
+	if (dictated) {
+		issues.push({ type: 'diagnosis-from-instructions', detail: `"${diagnosis}" appears in line ${dictated.line}: ${dictated.excerpt}` });
+	}
+
+	return { consistent: issues.length === 0, issues };
+}
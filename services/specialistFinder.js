@@ -1,62 +1,47 @@
-import { generateAIResponse } from '../config/aiProvider.js';
+import { generateStructuredResponse } from './structuredOutput.js';
+import { renderPrompt } from './promptRegistry.js';
 
-function safeJsonParse(text) {
-	try {
-		return JSON.parse(text);
-	} catch {
-		const start = text.indexOf('{');
-		const end = text.lastIndexOf('}');
-		if (start !== -1 && end !== -1) {
-			try {
-				return JSON.parse(text.slice(start, end + 1));
-			} catch {
-				return null;
-			}
-		}
-		return null;
-	}
-}
+// Used when the patient's profile has no region
+export const DEFAULT_REGION = 'India';
 
-function buildPrompt(diseaseName, region) {
-	return `You are a healthcare navigator with access to verified medical directories. Recommend up to four medical specialists in ${region} who are qualified to treat "${diseaseName}".
-
-SPECIALIST SELECTION CRITERIA:
-1. Match the specialist type to the disease (e.g., Nephrologist for kidney disease, Cardiologist for heart conditions)
-2. Prioritize specialists from:
-   - Accredited hospitals (JCI, NABH, or equivalent)
-   - Medical colleges/teaching hospitals
-   - Recognized medical centers
-   - Board-certified practitioners
-3. Include diverse geographic locations within ${region} when possible
-4. Verify credentials are publicly verifiable
-
-FOR EACH SPECIALIST PROVIDE:
-- name: Full name (Dr. [Name] if applicable)
-- speciality: Exact medical specialty (e.g., "Nephrologist", "Endocrinologist", "Cardiologist")
-- hospital: Full hospital/clinic name (prefer well-known institutions)
-- city: Specific city name within ${region}
-- contact: Phone number or appointment booking URL (only if publicly available)
-- google_maps_query: Searchable phrase for Google Maps (e.g., "Dr. [Name] [Speciality] [Hospital] [City]")
-
-IMPORTANT:
-- Only include real, verifiable specialists
-- Do not make up names or credentials
-- If you cannot find verified specialists, return an empty array
-- Focus on specialists who actually treat this condition (not general practitioners unless appropriate)
+const SPECIALIST_ITEM_SCHEMA = {
+	type: 'object',
+	required: ['name', 'speciality'],
+	properties: {
+		name: { type: 'string', minLength: 1 },
+		speciality: { type: 'string', minLength: 1 },
+		hospital: { type: 'string' },
+		city: { type: 'string' },
+		contact: { type: 'string' },
+		google_maps_query: { type: 'string' }
+	}
+};
 
-Return JSON: { "specialists": [ { "name": "", "speciality": "", "hospital": "", "city": "", "contact": "", "google_maps_query": "" } ] }.
-Be factual and accurate - only include specialists you can verify exist.`;
-}
+const SPECIALISTS_SCHEMA = {
+	type: 'object',
+	required: ['specialists'],
+	properties: {
+		specialists: { type: 'array', maxItems: 10, items: SPECIALIST_ITEM_SCHEMA }
+	}
+};
 
-export async function fetchSpecialists(diseaseName, region = 'India') {
+export async function fetchSpecialists(diseaseName, region = DEFAULT_REGION, usageContext = {}) {
 	try {
-		const response = await generateAIResponse(
-			[{ role: 'user', content: buildPrompt(diseaseName, region) }],
-			'Return valid JSON only.',
-			{ preferredProviders: ['gemini', 'groq'], temperature: 0.2, maxTokens: 1200 }
+		const prompt = await renderPrompt('specialists', { diseaseName, region }, { seed: diseaseName });
+		const response = await generateStructuredResponse(
+			[{ role: 'user', content: prompt.user }],
+			prompt.system,
+			{
+				preferredProviders: ['gemini', 'groq'],
+				temperature: 0.2,
+				maxTokens: 1200,
+				schema: SPECIALISTS_SCHEMA,
+				schemaName: 'specialists',
+				cache: { callSite: 'specialists', disease: diseaseName },
+				usageContext: { ...usageContext, feature: 'specialists', disease: diseaseName, prompt }
+			}
 		);
-		const parsed = safeJsonParse(response.content) || {};
-		const list = Array.isArray(parsed.specialists) ? parsed.specialists : [];
+		const list = response.data.specialists;
 		const now = new Date();
 		return list
 			.filter((item) => item?.name && item?.speciality)
@@ -71,6 +56,7 @@ export async function fetchSpecialists(diseaseName, region = 'India') {
 					city: item.city || '',
 					contact: item.contact || '',
 					mapUrl: `https://www.google.com/maps/search/${encodeURIComponent(query.trim())}`,
+					region,
 					refreshedAt: now
 				};
 			});
@@ -80,3 +66,25 @@ export async function fetchSpecialists(diseaseName, region = 'India') {
 	}
 }
 
+/**
+ * The region to look up specialists in for a patient profile
+ */
+export function regionFor(profile) {
+	return profile?.region?.trim() || DEFAULT_REGION;
+}
+
+/**
+ * Specialists stored on a disease that were found for `region` (entries saved before regions count as the default)
+ */
+export function specialistsForRegion(providers = [], region = DEFAULT_REGION) {
+	const key = region.trim().toLowerCase();
+	return providers.filter((provider) => (provider.region || DEFAULT_REGION).trim().toLowerCase() === key);
+}
+
+/**
+ * Stored specialists with one region's entries replaced by a fresh lookup
+ */
+export function replaceRegionSpecialists(providers = [], region, fetched) {
+	const others = providers.filter((provider) => !specialistsForRegion([provider], region).length);
+	return [...others, ...fetched];
+}
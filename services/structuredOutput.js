@@ -0,0 +1,188 @@
+// Structured AI output
+// Each prompt declares a JSON schema. Responses are validated; on failure the same provider is re-prompted
+// with the validation errors (up to maxRepairs times) before moving on to the next provider.
+// Outcomes are counted per provider/model/schema in AIValidationStat.
+import mongoose from 'mongoose';
+import { generateAIResponse, PROVIDERS } from '../config/aiProvider.js';
+import AIValidationStat from '../models/AIValidationStat.js';
+import { storeCachedResponse } from './aiResponseCache.js';
+import { coerceToSchema, parseJsonContent, validateSchema } from '../utils/jsonSchema.js';
+
+const DEFAULT_MAX_REPAIRS = Number(process.env.AI_MAX_REPAIR_ATTEMPTS ?? 2);
+const MAX_ERRORS_IN_PROMPT = 10;
+
+function buildRepairPrompt(errors, schema) {
+	return `Your previous reply did not match the required JSON schema:
+- ${errors.slice(0, MAX_ERRORS_IN_PROMPT).join('\n- ')}
+
+Return the corrected JSON only, with no markdown code blocks and no commentary. Required schema:
+${JSON.stringify(schema)}`;
+}
+
+function checkContent(content, schema) {
+	const data = parseJsonContent(content);
+	if (data === null) {
+		return { data, errors: ['(root): response is not valid JSON'] };
+	}
+	return { data, errors: validateSchema(data, schema) };
+}
+
+function recordOutcome({ provider, model, schemaName, outcome, repairAttempts, errors = [] }) {
+	if (mongoose.connection.readyState !== 1) return;
+	const update = {
+		$inc: {
+			calls: 1,
+			repairAttempts,
+			validFirstTry: outcome === 'valid' ? 1 : 0,
+			repaired: outcome === 'repaired' ? 1 : 0,
+			coerced: outcome === 'coerced' ? 1 : 0,
+			failed: outcome === 'failed' ? 1 : 0
+		}
+	};
+	if (errors.length) {
+		update.$push = { recentErrors: { $each: errors.slice(0, 3), $position: 0, $slice: 5 } };
+	}
+	if (outcome === 'failed') {
+		update.$set = { lastFailureAt: new Date() };
+	}
+	AIValidationStat.updateOne({ provider, model: model || '', schemaName }, update, { upsert: true }).catch((err) => {
+		console.warn('⚠️  Failed to record AI validation stats:', err.message);
+	});
+}
+
+// Re-prompt the provider that produced `response` until its output validates or attempts run out
+async function validateWithRepair(response, messages, systemPrompt, { schema, schemaName, maxRepairs, aiOptions }) {
+	let { data, errors } = checkContent(response.content, schema);
+	if (!errors.length) {
+		return { data, content: response.content, outcome: 'valid', repairAttempts: 0, errors };
+	}
+
+	let content = response.content;
+	const firstErrors = errors;
+	let repairAttempts = 0;
+	while (errors.length && repairAttempts < maxRepairs) {
+		repairAttempts++;
+		console.log(`🔧 ${response.provider} (${response.model}) output failed "${schemaName}" schema (${errors.length} error(s)), repair attempt ${repairAttempts}/${maxRepairs}`);
+		try {
+			const repair = await generateAIResponse(
+				[...messages, { role: 'assistant', content: content || '' }, { role: 'user', content: buildRepairPrompt(errors, schema) }],
+				systemPrompt,
+				{
+					...aiOptions,
+					preferredProviders: [response.provider],
+					excludeProviders: Object.values(PROVIDERS).filter((name) => name !== response.provider),
+					model: response.model
+				}
+			);
+			content = repair.content;
+			({ data, errors } = checkContent(content, schema));
+		} catch (err) {
+			console.log(`   Repair request failed: ${err.message?.substring(0, 100)}`);
+			break;
+		}
+	}
+	if (!errors.length) {
+		return { data, content, outcome: 'repaired', repairAttempts, errors: firstErrors };
+	}
+
+	// Last resort: reshape what we got (objects where strings were asked for, etc.)
+	if (data !== null) {
+		const coerced = coerceToSchema(data, schema);
+		if (!validateSchema(coerced, schema).length) {
+			return { data: coerced, content: JSON.stringify(coerced), outcome: 'coerced', repairAttempts, errors: firstErrors };
+		}
+	}
+	return { data: null, content, outcome: 'failed', repairAttempts, errors };
+}
+
+/**
+ * generateAIResponse with schema-validated JSON output.
+ * Options: schema, schemaName (stats key), maxRepairs, fallback (false = only the preferred provider),
+ * plus any generateAIResponse option. Resolves to { data, content, provider, model, outcome, repairAttempts, cache }.
+ */
+export async function generateStructuredResponse(messages, systemPrompt, options = {}) {
+	const { schema, schemaName = 'unnamed', maxRepairs = DEFAULT_MAX_REPAIRS, fallback = true, cache, ...aiOptions } = options;
+	if (!schema) throw new Error('generateStructuredResponse requires a schema');
+
+	const excluded = [...(aiOptions.excludeProviders || [])];
+	if (!fallback && aiOptions.preferredProviders?.length) {
+		excluded.push(...Object.values(PROVIDERS).filter((name) => !aiOptions.preferredProviders.includes(name)));
+	}
+	let lastFailure = null;
+
+	while (true) {
+		let response;
+		try {
+			// Only validated answers go into the cache, so store them here rather than in generateAIResponse
+			response = await generateAIResponse(messages, systemPrompt, {
+				...aiOptions,
+				excludeProviders: excluded,
+				cache: cache ? { ...cache, store: false } : undefined
+			});
+		} catch (err) {
+			if (lastFailure) {
+				const error = new Error(`AI output failed "${schemaName}" schema validation on every provider. Last errors: ${lastFailure.errors.slice(0, 3).join('; ')}`);
+				error.validationErrors = lastFailure.errors;
+				throw error;
+			}
+			throw err;
+		}
+
+		const result = await validateWithRepair(response, messages, systemPrompt, { schema, schemaName, maxRepairs, aiOptions });
+		const cacheHit = response.cache?.hit && result.outcome === 'valid';
+		// A valid cache hit says nothing new about the provider
+		if (!cacheHit) {
+			recordOutcome({
+				provider: response.provider,
+				model: response.model,
+				schemaName,
+				outcome: result.outcome,
+				repairAttempts: result.repairAttempts,
+				errors: result.errors
+			});
+		}
+
+		if (result.outcome !== 'failed') {
+			if (result.outcome !== 'valid') {
+				console.log(`✅ "${schemaName}" output accepted from ${response.provider} after ${result.outcome === 'coerced' ? 'coercion' : 'repair'}`);
+			}
+			if (cache && !cacheHit) {
+				storeCachedResponse({ ...cache, key: response.cache.key, provider: response.provider, model: response.model, content: result.content });
+			}
+			return {
+				data: result.data,
+				content: result.content,
+				provider: response.provider,
+				model: response.model,
+				outcome: result.outcome,
+				repairAttempts: result.repairAttempts,
+				cache: response.cache ? { ...response.cache, hit: cacheHit } : undefined
+			};
+		}
+
+		console.warn(`⚠️  ${response.provider} (${response.model}) could not produce valid "${schemaName}" output, trying next provider...`);
+		lastFailure = result;
+		// Only this model: other instances of the same provider (mock-2, ...) still get a turn.
+		// With a model override every instance reports that model, so skip the whole provider.
+		excluded.push(aiOptions.model ? response.provider : `${response.provider}:${response.model}`);
+		if (!fallback) {
+			const error = new Error(`AI output failed "${schemaName}" schema validation: ${result.errors.slice(0, 3).join('; ')}`);
+			error.validationErrors = result.errors;
+			throw error;
+		}
+	}
+}
+
+/**
+ * Validation outcomes per provider/model/schema, worst first
+ */
+export async function getValidationStats() {
+	const stats = await AIValidationStat.find().lean();
+	return stats
+		.map((s) => ({
+			...s,
+			validRate: s.calls ? Number(((s.calls - s.failed) / s.calls).toFixed(3)) : null,
+			firstTryRate: s.calls ? Number((s.validFirstTry / s.calls).toFixed(3)) : null
+		}))
+		.sort((a, b) => (a.firstTryRate ?? 1) - (b.firstTryRate ?? 1));
+}
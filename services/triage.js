@@ -0,0 +1,179 @@
+// Red-flag triage
+// Deterministic check of report values against the critical thresholds in config/triageRules.js.
+// Runs before any AI call and needs no provider, so a dangerous value is surfaced even when every model is down.
+import { getTriageRules } from '../config/triageRules.js';
+import { resolveAnalyte } from './analyteDictionary.js';
+import { toConventional, unitKey } from './unitConversion.js';
+import { normalizeDiseaseKey } from '../utils/diseaseName.js';
+import { parseNumericValue } from '../utils/textSimilarity.js';
+
+export const URGENCY_LEVELS = ['none', 'routine', 'urgent', 'emergency'];
+
+const LEVEL_GUIDANCE = {
+	emergency:
+		'One or more results are at a level that can be life-threatening. Contact your doctor or go to the nearest emergency department now; do not wait for the full interpretation.',
+	urgent: 'Some results are far outside the normal range. Contact your doctor within 24 hours.',
+	routine: 'Some results are outside the normal range. Discuss them with your doctor at your next appointment.',
+	none: ''
+};
+const LAB_CRITICAL_GUIDANCE = 'The laboratory marked this result as critical.';
+const LAB_CRITICAL_REGEX = /\b(critical|panic)\b/i;
+const ABNORMAL_FLAG_REGEX = /\b(high|low|h|l|abnormal|elevated|reduced|critical|panic|positive)\b/i;
+const VALUE_TOKEN_REGEX = /^([<>]=?)?(-?\d+(?:\.\d+)?),?$/;
+
+let rulesByAnalyte = null;
+
+// The rule and dictionary entry for a test name, or null when no rule covers that analyte
+function findRule(testName) {
+	if (!rulesByAnalyte) {
+		rulesByAnalyte = new Map();
+		getTriageRules().forEach((rule) => (rule.analytes || [rule.id]).forEach((id) => rulesByAnalyte.set(id, rule)));
+	}
+	const analyte = resolveAnalyte(testName);
+	const rule = analyte && rulesByAnalyte.get(analyte.id);
+	return rule ? { rule, analyte } : null;
+}
+
+/**
+ * Value in the analyte's dictionary unit (the unit the thresholds are in), or null when the result is implausible
+ */
+function toRuleUnit(rule, analyte, value, unit) {
+	const isPlausible = (number) => number !== null && number >= rule.plausible[0] && number <= rule.plausible[1];
+	const converted = toConventional(analyte, value, unit);
+	if (converted !== null) return isPlausible(converted) ? converted : null;
+	// No unit printed and the two systems differ (glucose 5.2 could be mmol/L): leave it to the lab's flag
+	if (!unitKey(unit)) return null;
+	// Unknown unit: only trust the value if it reads sensibly in the rule's own unit and not also as SI
+	const asSi = analyte.si ? toConventional(analyte, value, analyte.si.unit) : null;
+	return isPlausible(value) && !isPlausible(asSi) ? value : null;
+}
+
+function classify(rule, value) {
+	for (const level of ['critical', 'urgent']) {
+		const limits = rule[level];
+		if (!limits) continue;
+		if (limits.low !== undefined && value < limits.low) return { level, direction: 'low', threshold: limits.low };
+		if (limits.high !== undefined && value > limits.high) return { level, direction: 'high', threshold: limits.high };
+	}
+	return null;
+}
+
+/**
+ * Readings for the rule table's analytes from report lines shaped like "<test> <value> <unit> ...",
+ * so a critical value is caught even when the report doesn't flag it
+ */
+function scanReadings(text) {
+	const readings = [];
+	String(text || '').split(/\r?\n/).forEach((line) => {
+		const tokens = line.replace(/\t/g, ' ').trim().split(/\s+/);
+		const valueIdx = tokens.findIndex((token) => VALUE_TOKEN_REGEX.test(token));
+		if (valueIdx < 1) return;
+		const test = tokens.slice(0, valueIdx).join(' ').replace(/[:=\-]+$/, '').trim();
+		if (!findRule(test)) return;
+		const next = tokens[valueIdx + 1] || '';
+		readings.push({
+			test,
+			value: tokens[valueIdx].replace(/,$/, ''),
+			unit: /[a-z%\/]/i.test(next) && !VALUE_TOKEN_REGEX.test(next) ? next : ''
+		});
+	});
+	return readings;
+}
+
+/**
+ * 'high' or 'low' when a result ({ test, value, unit }) is past its rule's critical limit; null when it isn't, no rule
+ * covers the test, or the value can't be read in the rule's unit
+ */
+export function criticalDirection({ test, value, unit } = {}) {
+	const { rule, analyte } = findRule(test) || {};
+	const number = typeof value === 'string' && /[a-z]/i.test(value) ? null : parseNumericValue(value);
+	if (!rule?.critical || number === null) return null;
+	const normalizedValue = toRuleUnit(rule, analyte, number, unit);
+	const hit = normalizedValue === null ? null : classify({ critical: rule.critical }, normalizedValue);
+	return hit ? hit.direction : null;
+}
+
+function maxLevel(a, b) {
+	return URGENCY_LEVELS.indexOf(a) >= URGENCY_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Triage a report from its findings ({ test, value, unit, flag }) and, optionally, its raw text.
+ * Returns { level, guidance, redFlags: [{ ruleId, analyteId, analyte, test, value, unit, normalizedValue, ruleUnit,
+ * direction, threshold, level, guidance, source }], evaluatedAt }. Never calls a provider.
+ */
+export function triageReport({ findings = [], text = '' } = {}) {
+	const redFlags = [];
+	const seen = new Set();
+	let level = 'none';
+
+	[...findings, ...scanReadings(text)].forEach((reading) => {
+		const { rule, analyte } = findRule(reading.test) || {};
+		const value = typeof reading.value === 'string' && /[a-z]/i.test(reading.value) ? null : parseNumericValue(reading.value);
+		let normalizedValue = null;
+		let hit = null;
+		if (rule && value !== null) {
+			if (seen.has(rule.id)) return;
+			normalizedValue = toRuleUnit(rule, analyte, value, reading.unit);
+			if (normalizedValue !== null) {
+				seen.add(rule.id);
+				hit = classify(rule, normalizedValue);
+			}
+		}
+		if (hit) {
+			const flagLevel = hit.level === 'critical' ? 'emergency' : 'urgent';
+			level = maxLevel(level, flagLevel);
+			redFlags.push({
+				ruleId: rule.id,
+				analyteId: analyte.id,
+				analyte: analyte.name,
+				test: reading.test,
+				value: String(reading.value),
+				unit: reading.unit || '',
+				normalizedValue,
+				ruleUnit: analyte.unit,
+				direction: hit.direction,
+				threshold: hit.threshold,
+				level: flagLevel,
+				guidance: rule.guidance?.[hit.direction] || '',
+				source: 'rule'
+			});
+			return;
+		}
+
+		// Otherwise go by the lab's own flag: critical is an emergency, anything else abnormal is routine
+		const flag = String(reading.flag || '');
+		const flagKey = analyte?.id || normalizeDiseaseKey(reading.test);
+		if (LAB_CRITICAL_REGEX.test(flag) && !seen.has(flagKey)) {
+			seen.add(flagKey);
+			level = maxLevel(level, 'emergency');
+			redFlags.push({
+				ruleId: null,
+				analyteId: resolveAnalyte(reading.test)?.id || '',
+				analyte: resolveAnalyte(reading.test)?.name || reading.test,
+				test: reading.test,
+				value: String(reading.value ?? ''),
+				unit: reading.unit || '',
+				normalizedValue: value,
+				ruleUnit: reading.unit || '',
+				direction: /low/i.test(flag) ? 'low' : 'high',
+				threshold: null,
+				level: 'emergency',
+				guidance: LAB_CRITICAL_GUIDANCE,
+				source: 'lab-flag'
+			});
+		} else if (ABNORMAL_FLAG_REGEX.test(flag)) {
+			level = maxLevel(level, 'routine');
+		}
+	});
+
+	if (redFlags.length) {
+		console.warn(`🚨 Triage: ${level}, ${redFlags.map((f) => `${f.analyte} ${f.value}${f.unit ? ` ${f.unit}` : ''} (${f.direction})`).join(', ')}`);
+	}
+	return {
+		level,
+		guidance: LEVEL_GUIDANCE[level],
+		redFlags: redFlags.sort((a, b) => URGENCY_LEVELS.indexOf(b.level) - URGENCY_LEVELS.indexOf(a.level)),
+		evaluatedAt: new Date()
+	};
+}
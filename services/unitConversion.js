@@ -0,0 +1,197 @@
+// Unit normalization for lab values
+// Every analyte in config/analytes.js has a conventional unit (what US and Indian labs mostly print) and an SI unit.
+// Findings keep the value and unit exactly as reported and get a `normalized` copy in the conventional unit;
+// responses can then be shown in either system.
+import { getAnalytes } from '../config/analytes.js';
+import { getAnalyte, resolveAnalyte } from './analyteDictionary.js';
+import { parseReferenceRange } from './rangeParser.js';
+import { parseNumericValue } from '../utils/textSimilarity.js';
+
+export const UNIT_SYSTEMS = ['conventional', 'si'];
+export const DEFAULT_UNIT_SYSTEM = 'conventional';
+
+const RANGE_NUMBER_REGEX = /\d+(?:\.\d+)?/g;
+
+// Longest unit as printed, in words ("mL/min/1.73 m2", "mm/1st hr")
+const MAX_UNIT_WORDS = 3;
+
+let labUnitKeys = null;
+
+/**
+ * Comparable form of a unit as printed: "µmol/L" → "umol/l", "x10^3/cumm" → "10^3/ul", "gm/dL" → "g/dl"
+ */
+export function unitKey(unit) {
+	return String(unit || '')
+		.toLowerCase()
+		.replace(/\s+/g, '')
+		.replace(/[µμ]/g, 'u')
+		.replace(/mcg/g, 'ug')
+		.replace(/mcmol/g, 'umol')
+		.replace(/^[x×*]10/, '10')
+		.replace(/10\*(\d+)|10e(\d+)/g, (match, a, b) => `10^${a || b}`)
+		.replace(/\/(cumm|cmm|mm3|mm\^3)$/, '/ul')
+		.replace(/^gm\//, 'g/');
+}
+
+function round(value) {
+	if (!Number.isFinite(value)) return null;
+	return Math.abs(value) >= 1000 ? Math.round(value) : Number(value.toPrecision(3));
+}
+
+// Converter from `unit` to the analyte's conventional unit, or null when the unit isn't one we know for it
+function toConventionalFn(analyte, unit) {
+	const key = unitKey(unit);
+	if (!key) {
+		// No unit printed: only unambiguous when both systems use the same unit
+		return !analyte.unit || unitKey(analyte.unit) === unitKey(analyte.si?.unit) ? (value) => value : null;
+	}
+	if (key === unitKey(analyte.unit)) return (value) => value;
+	if (analyte.si && key === unitKey(analyte.si.unit)) {
+		return (value) => round(value / analyte.si.factor - (analyte.si.offset || 0));
+	}
+	const factor = analyte.altUnits?.[key];
+	return factor === undefined ? null : (value) => round(value * factor);
+}
+
+function fromConventionalFn(analyte, system) {
+	if (system !== 'si' || !analyte.si || (analyte.si.factor === 1 && !analyte.si.offset)) {
+		return { unit: system === 'si' && analyte.si ? analyte.si.unit : analyte.unit, convert: (value) => value };
+	}
+	return { unit: analyte.si.unit, convert: (value) => round((value + (analyte.si.offset || 0)) * analyte.si.factor) };
+}
+
+function analyteFor(idOrAnalyte) {
+	return typeof idOrAnalyte === 'string' ? getAnalyte(idOrAnalyte) : idOrAnalyte;
+}
+
+/**
+ * Whether values printed in `unit` can be converted for this analyte
+ */
+export function isKnownUnit(idOrAnalyte, unit) {
+	const analyte = analyteFor(idOrAnalyte);
+	return Boolean(analyte && toConventionalFn(analyte, unit));
+}
+
+/**
+ * Whether `unit` is one that some dictionary analyte is reported in ("g/dL", "mmol/L", "x10^3/cumm")
+ */
+export function isLabUnit(unit) {
+	if (!labUnitKeys) {
+		labUnitKeys = new Set();
+		getAnalytes().forEach((analyte) => {
+			[analyte.unit, analyte.si?.unit, ...Object.keys(analyte.altUnits || {})].filter(Boolean).forEach((known) => labUnitKeys.add(unitKey(known)));
+		});
+	}
+	const key = unitKey(unit);
+	return Boolean(key) && labUnitKeys.has(key);
+}
+
+/**
+ * The known unit `text` starts with, as printed, longest first ("mm/1st hr 0 - 20" → "mm/1st hr"); '' if none
+ */
+export function leadingLabUnit(text) {
+	const words = String(text || '').trim().split(/\s+/).slice(0, MAX_UNIT_WORDS);
+	for (let count = words.length; count > 0; count--) {
+		const candidate = words.slice(0, count).join(' ').replace(/[,;]$/, '');
+		if (isLabUnit(candidate)) return candidate;
+	}
+	return '';
+}
+
+/**
+ * Value in the analyte's conventional unit, or null if the unit is unknown for that analyte
+ */
+export function toConventional(idOrAnalyte, value, unit) {
+	const analyte = analyteFor(idOrAnalyte);
+	const number = parseNumericValue(value);
+	const convert = analyte && number !== null ? toConventionalFn(analyte, unit) : null;
+	return convert ? convert(number) : null;
+}
+
+/**
+ * A value in the analyte's conventional unit expressed in `unit` (any unit known for it), or null
+ */
+export function fromConventional(idOrAnalyte, value, unit) {
+	const analyte = analyteFor(idOrAnalyte);
+	const number = parseNumericValue(value);
+	if (!analyte || number === null) return null;
+	const key = unitKey(unit);
+	if (!key || key === unitKey(analyte.unit)) return number;
+	if (analyte.si && key === unitKey(analyte.si.unit)) return fromConventionalFn(analyte, 'si').convert(number);
+	const factor = analyte.altUnits?.[key];
+	return factor ? round(number / factor) : null;
+}
+
+/**
+ * Convert a value between any unit known for the analyte and a unit system ('conventional' or 'si').
+ * Returns { value, unit } or null.
+ */
+export function convertValue(idOrAnalyte, value, fromUnit, system = DEFAULT_UNIT_SYSTEM) {
+	const analyte = analyteFor(idOrAnalyte);
+	const conventional = toConventional(analyte, value, fromUnit);
+	if (conventional === null) return null;
+	const target = fromConventionalFn(analyte, system);
+	return { value: target.convert(conventional), unit: target.unit };
+}
+
+/**
+ * Convert every number in a reference range ("12.0 - 15.5", "< 200") the same way; '' if it can't be converted
+ */
+export function convertRange(idOrAnalyte, range, fromUnit, system = DEFAULT_UNIT_SYSTEM) {
+	if (!range || !/\d/.test(range)) return '';
+	let failed = false;
+	const converted = String(range).replace(RANGE_NUMBER_REGEX, (number) => {
+		const result = convertValue(idOrAnalyte, number, fromUnit, system);
+		if (!result) failed = true;
+		return result ? String(result.value) : number;
+	});
+	return failed ? '' : converted;
+}
+
+/**
+ * Copy of a finding with `normalized: { value, unit, referenceRange }` in the conventional unit
+ * (left out when the test isn't in the dictionary or its unit isn't recognized)
+ */
+export function normalizeFinding(finding) {
+	const analyte = getAnalyte(finding?.analyteId) || resolveAnalyte(finding?.test);
+	const normalized = analyte ? convertValue(analyte, finding.value, finding.unit, 'conventional') : null;
+	if (!normalized || normalized.value === null) return finding;
+	return {
+		...finding,
+		normalized: {
+			value: normalized.value,
+			unit: normalized.unit,
+			referenceRange: convertRange(analyte, finding.referenceRange, finding.unit, 'conventional')
+		}
+	};
+}
+
+/**
+ * A finding as shown to a user who prefers `system`: value, unit and reference range converted, with what the
+ * report said under `original`. Findings that can't be converted come back as reported.
+ */
+export function presentFinding(finding, system = DEFAULT_UNIT_SYSTEM) {
+	const analyte = getAnalyte(finding?.analyteId) || resolveAnalyte(finding?.test);
+	const normalized = finding?.normalized?.value !== undefined && finding?.normalized?.value !== null
+		? finding.normalized
+		: normalizeFinding(finding).normalized;
+	if (!analyte || !normalized) return { ...finding, unitSystem: null };
+
+	const target = fromConventionalFn(analyte, system);
+	const referenceRange = normalized.referenceRange
+		? convertRange(analyte, normalized.referenceRange, analyte.unit, system)
+		: convertRange(analyte, finding.referenceRange, finding.unit, system);
+	return {
+		...finding,
+		value: String(target.convert(normalized.value)),
+		unit: target.unit,
+		referenceRange,
+		range: parseReferenceRange(referenceRange),
+		unitSystem: system,
+		original: { value: finding.value, unit: finding.unit || '', referenceRange: finding.referenceRange || '' }
+	};
+}
+
+export function presentFindings(findings = [], system = DEFAULT_UNIT_SYSTEM) {
+	return findings.map((finding) => presentFinding(finding, system));
+}
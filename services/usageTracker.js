@@ -0,0 +1,101 @@
+// AI token usage and cost accounting
+// generateAIResponse records every successful provider call here, tagged with the caller's usageContext
+// ({ userId, feature, disease, prompt }); the admin usage endpoint reads the daily aggregates.
+import mongoose from 'mongoose';
+import AIUsage from '../models/AIUsage.js';
+import { priceUsage } from '../config/aiPricing.js';
+
+// Rough count for providers that don't report usage (~4 characters per token)
+function estimateTokens(text) {
+	return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Record one provider call. Fire-and-forget: accounting never fails the request.
+ */
+export function recordUsage({ usageContext = {}, provider, model, usage, messages = [], systemPrompt, content }) {
+	if (mongoose.connection.readyState !== 1) return;
+
+	const estimated = !usage;
+	const promptTokens = usage?.promptTokens ?? estimateTokens([systemPrompt, ...messages.map((m) => m.content)].join('\n'));
+	const completionTokens = usage?.completionTokens ?? estimateTokens(content);
+	const cost = priceUsage(provider, model, { promptTokens, completionTokens });
+	const userId = mongoose.isValidObjectId(usageContext.userId) ? usageContext.userId : undefined;
+
+	AIUsage.create({
+		userId,
+		feature: usageContext.feature || 'other',
+		disease: usageContext.disease,
+		promptId: usageContext.prompt?.id,
+		promptVersion: usageContext.prompt?.version,
+		provider,
+		model,
+		promptTokens,
+		completionTokens,
+		totalTokens: promptTokens + completionTokens,
+		estimated,
+		costUsd: cost ?? 0,
+		unpriced: cost === null
+	}).catch((err) => console.warn('⚠️  Failed to record AI usage:', err.message));
+}
+
+function addTotals(target, row) {
+	target.calls += row.calls;
+	target.promptTokens += row.promptTokens;
+	target.completionTokens += row.completionTokens;
+	target.costUsd = Number((target.costUsd + row.costUsd).toFixed(6));
+	return target;
+}
+
+function emptyTotals() {
+	return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Daily usage between `from` and `to` (inclusive, UTC days), broken down by provider, feature and prompt version
+ */
+export async function getDailyUsage({ from, to, userId, feature, provider }) {
+	const match = { createdAt: { $gte: from, $lte: to } };
+	if (userId) match.userId = new mongoose.Types.ObjectId(userId);
+	if (feature) match.feature = feature;
+	if (provider) match.provider = provider;
+
+	const rows = await AIUsage.aggregate([
+		{ $match: match },
+		{
+			$group: {
+				_id: {
+					day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+					provider: '$provider',
+					feature: '$feature',
+					promptId: '$promptId',
+					promptVersion: '$promptVersion'
+				},
+				calls: { $sum: 1 },
+				promptTokens: { $sum: '$promptTokens' },
+				completionTokens: { $sum: '$completionTokens' },
+				costUsd: { $sum: '$costUsd' },
+				estimatedCalls: { $sum: { $cond: ['$estimated', 1, 0] } }
+			}
+		},
+		{ $sort: { '_id.day': 1 } }
+	]);
+
+	const days = new Map();
+	const totals = emptyTotals();
+	for (const row of rows) {
+		const { day, provider: rowProvider, feature: rowFeature, promptId, promptVersion } = row._id;
+		if (!days.has(day)) {
+			days.set(day, { date: day, ...emptyTotals(), estimatedCalls: 0, byProvider: {}, byFeature: {}, byPrompt: {} });
+		}
+		const entry = days.get(day);
+		addTotals(entry, row);
+		entry.estimatedCalls += row.estimatedCalls;
+		addTotals((entry.byProvider[rowProvider] ||= emptyTotals()), row);
+		addTotals((entry.byFeature[rowFeature] ||= emptyTotals()), row);
+		if (promptId) addTotals((entry.byPrompt[`${promptId}@${promptVersion}`] ||= emptyTotals()), row);
+		addTotals(totals, row);
+	}
+
+	return { from, to, totals, days: [...days.values()] };
+}
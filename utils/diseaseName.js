@@ -0,0 +1,49 @@
+// Disease name normalization shared by the Disease model and the canonical registry
+
+// British → American spellings so "Anaemia" and "Anemia" resolve to the same key
+const SPELLING_VARIANTS = [
+	[/aemia/g, 'emia'],
+	[/haem/g, 'hem'],
+	[/\boe(?=dema|sophag|strogen)/g, 'e'],
+	[/diarrhoea/g, 'diarrhea'],
+	[/tumour/g, 'tumor'],
+	[/paediatric/g, 'pediatric'],
+	[/coeliac/g, 'celiac']
+];
+
+// Qualifiers models add that do not change which disease it is. Severity words are left in: they are part of some
+// names ("Severe combined immunodeficiency", "Mild cognitive impairment")
+const QUALIFIER_PREFIX_REGEX = /^(?:(?:probable|possible|suspected|likely|presumed)\s+)+/;
+
+const ICD10_REGEX = /^[A-TV-Z]\d{2}(?:\.[0-9A-Z]{1,4})?$/;
+
+/**
+ * Build the lookup key for a disease name: lowercase, no diacritics, punctuation,
+ * parentheticals or diagnostic qualifiers, American spelling.
+ * "Iron Deficiency Anaemia (IDA)" → "iron deficiency anemia"
+ */
+export function normalizeDiseaseKey(name) {
+	if (!name || typeof name !== 'string') return '';
+	let key = name
+		.normalize('NFKD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+		.replace(/&/g, ' and ')
+		.replace(/['’]s\b/g, '')
+		.replace(/[^a-z0-9]+/g, ' ')
+		.trim();
+	for (const [pattern, replacement] of SPELLING_VARIANTS) {
+		key = key.replace(pattern, replacement);
+	}
+	return key.replace(QUALIFIER_PREFIX_REGEX, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize an ICD-10 code ("d50.9 " → "D50.9"). Returns '' for anything that isn't one.
+ */
+export function normalizeIcd10(code) {
+	if (!code || typeof code !== 'string') return '';
+	const cleaned = code.toUpperCase().replace(/\s+/g, '');
+	return ICD10_REGEX.test(cleaned) ? cleaned : '';
+}
@@ -0,0 +1,210 @@
+// Minimal JSON Schema support for AI outputs
+// Covers the subset our prompt schemas use: type, enum, required, properties, additionalProperties,
+// items, minItems, maxItems, minLength, minimum, maximum, pattern, anyOf
+
+function typeOf(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (Number.isInteger(value)) return 'integer';
+	return typeof value;
+}
+
+function matchesType(value, type) {
+	const actual = typeOf(value);
+	if (type === 'number') return actual === 'number' || actual === 'integer';
+	return actual === type;
+}
+
+/**
+ * Validate a value against a schema. Returns a list of "path: problem" strings (empty when valid).
+ */
+export function validateSchema(value, schema, path = '') {
+	if (!schema) return [];
+	const at = path || '(root)';
+	const errors = [];
+
+	if (schema.anyOf) {
+		const branches = schema.anyOf.map((branch) => validateSchema(value, branch, path));
+		if (!branches.some((branchErrors) => branchErrors.length === 0)) {
+			errors.push(`${at}: does not match any allowed shape (${branches.map((b) => b[0]).join(' | ')})`);
+		}
+		return errors;
+	}
+
+	if (schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((type) => matchesType(value, type))) {
+			return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+		}
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push(`${at}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength != null && value.trim().length < schema.minLength) {
+			errors.push(`${at}: must be at least ${schema.minLength} characters`);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			errors.push(`${at}: must match ${schema.pattern}`);
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+		if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems != null && value.length < schema.minItems) {
+			errors.push(`${at}: must have at least ${schema.minItems} items`);
+		}
+		if (schema.maxItems != null && value.length > schema.maxItems) {
+			errors.push(`${at}: must have at most ${schema.maxItems} items`);
+		}
+		if (schema.items) {
+			value.forEach((item, idx) => errors.push(...validateSchema(item, schema.items, `${path}/${idx}`)));
+		}
+	}
+
+	if (typeOf(value) === 'object') {
+		for (const key of schema.required || []) {
+			if (value[key] === undefined || value[key] === null) {
+				errors.push(`${path}/${key}: is required`);
+			}
+		}
+		for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+			if (value[key] !== undefined && value[key] !== null) {
+				errors.push(...validateSchema(value[key], propSchema, `${path}/${key}`));
+			}
+		}
+		if (schema.additionalProperties === false) {
+			const allowed = new Set(Object.keys(schema.properties || {}));
+			Object.keys(value)
+				.filter((key) => !allowed.has(key))
+				.forEach((key) => errors.push(`${path}/${key}: is not allowed`));
+		}
+	}
+
+	return errors;
+}
+
+// Keys models tend to wrap a single answer in ("severity": { "level": "mild" })
+const VALUE_KEYS = ['name', 'title', 'text', 'value', 'level', 'assessment', 'primary_diagnosis', 'diagnosis', 'description', 'summary'];
+
+function humanizeKey(key) {
+	const words = key.replace(/_/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+	return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Flatten an object a model returned where a string was asked for
+function objectToText(obj) {
+	for (const key of VALUE_KEYS) {
+		if (typeof obj[key] === 'string' && obj[key].trim()) return obj[key];
+	}
+	const parts = [];
+	Object.entries(obj).forEach(([key, val], idx) => {
+		let text = '';
+		if (typeof val === 'string' || typeof val === 'number') text = String(val);
+		else if (Array.isArray(val)) text = val.filter((v) => typeof v === 'string' || typeof v === 'number').join(', ');
+		if (!text.trim() || text === 'None') return;
+		parts.push(idx === 0 ? text : `${humanizeKey(key)}: ${text}`);
+	});
+	return parts.length ? parts.join('\n\n') : JSON.stringify(obj);
+}
+
+// Flatten anything into a list of strings (for "array of strings" fields)
+function toStringList(value) {
+	if (value === null || value === undefined) return [];
+	if (typeof value === 'string') {
+		const trimmed = value.trim();
+		if (trimmed.startsWith('[')) {
+			try {
+				return toStringList(JSON.parse(trimmed));
+			} catch {
+				const quoted = trimmed.match(/'([^']+)'|"([^"]+)"/g);
+				if (quoted) return quoted.map((q) => q.replace(/['"]/g, '')).filter(Boolean);
+			}
+		}
+		return trimmed ? [trimmed] : [];
+	}
+	if (Array.isArray(value)) return value.flatMap(toStringList);
+	if (typeof value === 'object') {
+		for (const key of VALUE_KEYS) {
+			if (typeof value[key] === 'string' && value[key].trim()) return [value[key]];
+		}
+		return Object.values(value).flatMap(toStringList);
+	}
+	return [String(value)];
+}
+
+function isStringArraySchema(schema) {
+	return schema?.type === 'array' && schema.items?.type === 'string';
+}
+
+/**
+ * Best-effort reshaping of a value towards a schema: objects where strings were asked for are flattened,
+ * single values are wrapped in arrays, numeric strings become numbers. Used only after repair attempts fail.
+ */
+export function coerceToSchema(value, schema) {
+	if (!schema || value === undefined || value === null) return value;
+	const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+	if (!types.length || types.some((type) => matchesType(value, type))) {
+		if (Array.isArray(value) && isStringArraySchema(schema)) {
+			return toStringList(value);
+		}
+		if (Array.isArray(value) && schema.items) {
+			return value.map((item) => coerceToSchema(item, schema.items));
+		}
+		if (typeOf(value) === 'object' && schema.properties) {
+			const out = { ...value };
+			for (const [key, propSchema] of Object.entries(schema.properties)) {
+				if (out[key] !== undefined) out[key] = coerceToSchema(out[key], propSchema);
+			}
+			return out;
+		}
+		return value;
+	}
+
+	const target = types[0];
+	if (target === 'string') {
+		if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+		if (Array.isArray(value)) return toStringList(value).join(', ');
+		if (typeof value === 'object') return objectToText(value);
+	}
+	if (target === 'array') {
+		if (isStringArraySchema(schema)) return toStringList(value);
+		return [coerceToSchema(value, schema.items)];
+	}
+	if ((target === 'number' || target === 'integer') && typeof value === 'string') {
+		const num = parseFloat(value);
+		if (!Number.isNaN(num)) return target === 'integer' ? Math.round(num) : num;
+	}
+	return value;
+}
+
+/**
+ * Pull a JSON value out of model output: plain JSON, fenced ```json blocks, or JSON embedded in prose
+ */
+export function parseJsonContent(text) {
+	if (!text || typeof text !== 'string') return null;
+	let cleaned = text.trim();
+	if (cleaned.startsWith('```')) {
+		cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
+	}
+	try {
+		return JSON.parse(cleaned);
+	} catch {
+		const start = cleaned.indexOf('{');
+		const end = cleaned.lastIndexOf('}');
+		if (start !== -1 && end > start) {
+			try {
+				return JSON.parse(cleaned.slice(start, end + 1));
+			} catch {
+				return null;
+			}
+		}
+		return null;
+	}
+}
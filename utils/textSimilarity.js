@@ -0,0 +1,135 @@
+// Fuzzy matching for short medical phrases (symptoms, treatments, test names)
+import { normalizeDiseaseKey } from './diseaseName.js';
+
+// Words that don't change what a phrase means ("Pain in the chest" vs "Chest pain")
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'in', 'on', 'and', 'or', 'to', 'for', 'with', 'due', 'from', 'your', 'any']);
+
+// Words that turn a phrase into its opposite ("Increase iron intake" / "Decrease iron intake", "Low-fat" / "High-fat");
+// hypo/hyper only when the rest of the word matches ("Hypokalemia" / "Hyperkalemia")
+const OPPOSITE_PREFIXES = [
+	{ prefixes: ['increas', 'decreas'] },
+	{ prefixes: ['high', 'low'] },
+	{ prefixes: ['hypo', 'hyper'], sameRest: true }
+];
+
+function tokens(text) {
+	return normalizeDiseaseKey(text)
+		.split(' ')
+		.filter((word) => word && !STOP_WORDS.has(word));
+}
+
+function singular(word) {
+	if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+	if (/(?:ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+	if (word.length > 3 && /[^su]s$/.test(word)) return word.slice(0, -1);
+	return word;
+}
+
+// Whether two phrases say opposite things or give different numbers, however alike they are otherwise
+function contradicts(wordsA, wordsB) {
+	const numbers = (words) => words.filter((word) => /^\d/.test(word)).sort().join(' ');
+	if (numbers(wordsA) !== numbers(wordsB)) return true;
+	return OPPOSITE_PREFIXES.some(({ prefixes: [x, y], sameRest }) => {
+		const rests = (words, prefix) => words.filter((word) => word.startsWith(prefix)).map((word) => word.slice(prefix.length));
+		const pairs = [[rests(wordsA, x), rests(wordsB, y)], [rests(wordsA, y), rests(wordsB, x)]];
+		return pairs.some(([a, b]) => (sameRest ? a.some((rest) => b.includes(rest)) : a.length > 0 && b.length > 0));
+	});
+}
+
+function bigrams(word) {
+	const grams = new Map();
+	for (let i = 0; i < word.length - 1; i++) {
+		const gram = word.slice(i, i + 2);
+		grams.set(gram, (grams.get(gram) || 0) + 1);
+	}
+	return grams;
+}
+
+// Dice coefficient over character bigrams of two words: tolerant of typos and plural/singular
+function wordDice(a, b) {
+	if (a === b) return 1;
+	const gramsA = bigrams(a);
+	const gramsB = bigrams(b);
+	if (!gramsA.size || !gramsB.size) return 0;
+	let overlap = 0;
+	gramsA.forEach((count, gram) => {
+		overlap += Math.min(count, gramsB.get(gram) || 0);
+	});
+	return (2 * overlap) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Similarity of two phrases from 0 (unrelated) to 1 (same after normalization)
+ */
+export function termSimilarity(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') return 0;
+	const wordsA = tokens(a);
+	const wordsB = tokens(b);
+	if (!wordsA.length || !wordsB.length) return 0;
+	if (wordsA.join(' ') === wordsB.join(' ')) return 1;
+	if (contradicts(wordsA, wordsB)) return 0;
+
+	// Every word on both sides is matched to its closest word on the other side, so an extra or
+	// different word ("LDL cholesterol" vs "HDL cholesterol", "Ferritin" vs "Serum ferritin") pulls the score down
+	const best = (word, others) => Math.max(...others.map((other) => wordDice(word, other)));
+	const total = wordsA.reduce((sum, word) => sum + best(word, wordsB), 0)
+		+ wordsB.reduce((sum, word) => sum + best(word, wordsA), 0);
+	return total / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Whether two statements say the same thing in other word order: the same whole words apart from stop words and
+ * plurals ("Pain in the chest" / "Chest pains"). Stricter than termSimilarity, for advice and symptom lists where
+ * one changed word ("Increase" / "Decrease", "1 week" / "2 weeks") changes the meaning.
+ */
+export function sameStatement(a, b) {
+	if (typeof a !== 'string' || typeof b !== 'string') return false;
+	const wordSet = (text) => [...new Set(tokens(text).map(singular))].sort().join(' ');
+	const key = wordSet(a);
+	return Boolean(key) && key === wordSet(b);
+}
+
+// Items that both carry a key (e.g. an analyte id) match on the key alone; otherwise on spelling
+function sameTerm(a, b, threshold) {
+	if (a.key && b.key) return a.key === b.key;
+	return termSimilarity(a.value, b.value) >= threshold;
+}
+
+/**
+ * Group phrases that mean the same thing. Each cluster keeps the first phrase seen as its label,
+ * so pass items in priority order. Items may carry a `key` that decides the match when both have one.
+ * `same` is a termSimilarity threshold or a function (a, b) => boolean on two items.
+ * Returns [{ label, members: [{ value, index }] }].
+ */
+export function clusterTerms(items, same = 0.8) {
+	const isSame = typeof same === 'function' ? same : (a, b) => sameTerm(a, b, same);
+	const clusters = [];
+	items.forEach((item) => {
+		const match = clusters.find((cluster) => cluster.members.some((member) => isSame(member, item)));
+		if (match) {
+			match.members.push(item);
+		} else {
+			clusters.push({ label: item.value, members: [item] });
+		}
+	});
+	return clusters;
+}
+
+/**
+ * Parse a lab value like "9.8", "1,250" or "<0.5" into a number (null if it isn't one)
+ */
+export function parseNumericValue(value) {
+	if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+	if (typeof value !== 'string') return null;
+	const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+	return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Whether two lab values agree within a relative tolerance (default 5%)
+ */
+export function numbersAgree(a, b, tolerance = 0.05) {
+	if (a === null || b === null) return false;
+	const scale = Math.max(Math.abs(a), Math.abs(b));
+	return Math.abs(a - b) <= Math.max(scale * tolerance, 1e-9);
+}
@@ -0,0 +1,25 @@
+// Standalone job worker for deployments where the API can't run background work (e.g. Vercel)
+// Run: node worker.js   (set JOB_WORKER_MODE=external on the API so it doesn't also process jobs)
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from './config/db.js';
+import { startWorker } from './services/jobWorker.js';
+
+async function main() {
+	await connectDB();
+	const stopWorker = startWorker();
+
+	const shutdown = async () => {
+		console.log('🛑 Stopping job worker...');
+		stopWorker();
+		await mongoose.disconnect();
+		process.exit(0);
+	};
+	process.on('SIGINT', shutdown);
+	process.on('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+	console.error('❌ Job worker failed to start:', err.message);
+	process.exit(1);
+});